@@ -0,0 +1,251 @@
+/**
+ * IndraCast - Shared API proxy handler
+ * Validates requests, applies per-IP rate limits, caches upstream responses
+ * and injects provider keys before forwarding.
+ */
+
+const { getUpstream, getUpstreamUrl, getDocumentUrl, getApiKey } = require('./upstreams');
+
+// Query parameters clients may pass through to upstream APIs
+const FORWARDED_PARAMS = ['lat', 'lon', 'q', 'limit', 'units', 'days', 'hours'];
+const MAX_CACHE_ENTRIES = 500;
+const UPSTREAM_TIMEOUT = 10000;
+
+const rateLimits = new Map();
+const responseCache = new Map();
+
+/**
+ * Read rate limit settings from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} Maximum requests and window length
+ */
+function getRateLimitSettings(env) {
+    return {
+        max: parseInt(env.RATE_LIMIT_MAX, 10) || 60,
+        windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS, 10) || 60000
+    };
+}
+
+/**
+ * Identify the calling client
+ * The first X-Forwarded-For entry is whatever the client sent, so it is never trusted. On
+ * Vercel the edge overwrites X-Real-IP with the connecting address; the Netlify adapter passes
+ * its client IP header as the socket address. Behind another reverse proxy, set TRUST_PROXY
+ * to use the last X-Forwarded-For hop, which that proxy appended.
+ * @param {http.IncomingMessage} req - Request
+ * @param {Object} env - Environment variables
+ * @returns {string} Client IP address
+ */
+function getClientIp(req, env) {
+    if (env.VERCEL && req.headers['x-real-ip']) {
+        return String(req.headers['x-real-ip']).trim();
+    }
+
+    if (env.TRUST_PROXY && req.headers['x-forwarded-for']) {
+        const hops = String(req.headers['x-forwarded-for']).split(',').map(hop => hop.trim()).filter(Boolean);
+        if (hops.length > 0) return hops[hops.length - 1];
+    }
+
+    return req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Count a request against the client's fixed rate-limit window
+ * @param {string} ip - Client IP address
+ * @param {Object} settings - Rate limit settings
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Whether the request is allowed and when the window resets
+ */
+function checkRateLimit(ip, settings, now = Date.now()) {
+    let entry = rateLimits.get(ip);
+
+    if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + settings.windowMs };
+        rateLimits.set(ip, entry);
+    }
+
+    entry.count++;
+
+    // Drop expired windows so the map doesn't grow without bound
+    if (rateLimits.size > 10000) {
+        rateLimits.forEach((value, key) => {
+            if (value.resetAt <= now) rateLimits.delete(key);
+        });
+    }
+
+    return {
+        allowed: entry.count <= settings.max,
+        remaining: Math.max(0, settings.max - entry.count),
+        resetAt: entry.resetAt
+    };
+}
+
+/**
+ * Store an upstream response, evicting the oldest entry when full
+ * @param {string} key - Cache key
+ * @param {Object} entry - Cached response
+ */
+function cacheResponse(key, entry) {
+    if (responseCache.size >= MAX_CACHE_ENTRIES) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+    responseCache.set(key, entry);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+/**
+ * Send an upstream body with its own content type (e.g. XML feeds)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {string} body - Response body
+ * @param {string|null} contentType - Upstream content type
+ * @param {Object} headers - Extra headers
+ */
+function sendUpstream(res, status, body, contentType, headers = {}) {
+    if (!contentType || /json/i.test(contentType)) {
+        sendJson(res, status, body, headers);
+        return;
+    }
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', contentType);
+    Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.end(body);
+}
+
+/**
+ * Validate latitude and longitude query parameters
+ * @param {URLSearchParams} query - Request query
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCoordinates(query) {
+    const lat = Number(query.get('lat'));
+    const lon = Number(query.get('lon'));
+
+    if (!query.has('lat') || !query.has('lon') || !Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return 'lat and lon are required';
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return 'lat or lon out of range';
+    }
+    return null;
+}
+
+/**
+ * Create a proxy request handler
+ * @param {Object} options - Handler options
+ * @param {Function} options.resolve - (query) => { provider, endpoint | documentUrl, path, params, ttl } or { error }
+ * @param {Function} [options.fetch] - Fetch implementation, for tests
+ * @param {Object} [options.env] - Environment variables, for tests
+ * @returns {Function} Node (req, res) handler
+ */
+function createProxyHandler({ resolve, fetch = globalThis.fetch, env = process.env }) {
+    return async function handler(req, res) {
+        if (req.method !== 'GET') {
+            sendJson(res, 405, { error: 'Method not allowed' }, { Allow: 'GET' });
+            return;
+        }
+
+        const requestUrl = new URL(req.url, 'http://localhost');
+        const query = requestUrl.searchParams;
+
+        const limit = checkRateLimit(getClientIp(req, env), getRateLimitSettings(env));
+        if (!limit.allowed) {
+            sendJson(res, 429, { error: 'Too many requests' }, {
+                'Retry-After': String(Math.ceil((limit.resetAt - Date.now()) / 1000))
+            });
+            return;
+        }
+
+        const route = resolve(query);
+        if (route.error) {
+            sendJson(res, 400, { error: route.error });
+            return;
+        }
+
+        const upstreamUrl = route.documentUrl
+            ? getDocumentUrl(route.provider, route.documentUrl, env)
+            : getUpstreamUrl(route.provider, route.endpoint, env);
+        if (route.documentUrl && !upstreamUrl) {
+            sendJson(res, 400, { error: 'document is not an allowed URL' });
+            return;
+        }
+
+        // Keyless upstreams (alert feeds) have no keyEnv
+        const needsKey = Boolean(getUpstream(route.provider)?.keyEnv);
+        const apiKey = needsKey ? getApiKey(route.provider, env) : null;
+        if (!upstreamUrl || (needsKey && !apiKey)) {
+            sendJson(res, 503, { error: `Provider ${route.provider} is not configured` });
+            return;
+        }
+
+        if (route.path) {
+            upstreamUrl.pathname += route.path;
+        }
+
+        FORWARDED_PARAMS.forEach(name => {
+            if (query.has(name)) upstreamUrl.searchParams.set(name, query.get(name));
+        });
+        Object.entries(route.params || {}).forEach(([name, value]) => upstreamUrl.searchParams.set(name, value));
+
+        // Cache on the key-less URL so keys never end up in cache keys or logs
+        const cacheKey = upstreamUrl.toString();
+        const cached = responseCache.get(cacheKey);
+        const maxAge = Math.round(route.ttl / 1000);
+
+        if (cached && cached.expires > Date.now()) {
+            sendUpstream(res, cached.status, cached.body, cached.contentType, {
+                'Cache-Control': `public, max-age=${maxAge}`,
+                'X-Cache': 'HIT'
+            });
+            return;
+        }
+
+        if (apiKey) {
+            upstreamUrl.searchParams.set(getUpstream(route.provider).keyParam, apiKey);
+        }
+
+        try {
+            const response = await fetch(upstreamUrl.toString(), {
+                signal: AbortSignal.timeout(UPSTREAM_TIMEOUT)
+            });
+            const body = await response.text();
+            const contentType = response.headers.get('content-type');
+
+            if (response.ok) {
+                cacheResponse(cacheKey, { status: response.status, body, contentType, expires: Date.now() + route.ttl });
+            }
+
+            sendUpstream(res, response.status, body, contentType, {
+                'Cache-Control': response.ok ? `public, max-age=${maxAge}` : 'no-store',
+                'X-Cache': 'MISS'
+            });
+        } catch (error) {
+            console.error(`Upstream ${route.provider}/${route.endpoint} error:`, error.message);
+            sendJson(res, 502, { error: 'Upstream request failed' });
+        }
+    };
+}
+
+/**
+ * Clear rate limit and cache state, for tests
+ */
+function resetProxyState() {
+    rateLimits.clear();
+    responseCache.clear();
+}
+
+module.exports = { createProxyHandler, validateCoordinates, resetProxyState };
@@ -0,0 +1,27 @@
+/**
+ * API route table
+ * Maps each /api/<name> path to its handler. Vercel routes api/ by file name itself; the
+ * Netlify function and server.js use this table, which also keeps every handler statically
+ * required so function bundlers can trace it.
+ */
+
+const ROUTES = new Map([
+    ['weather/current', require('../weather/current')],
+    ['weather/forecast', require('../weather/forecast')],
+    ['geocode', require('../geocode')],
+    ['air-quality', require('../air-quality')],
+    ['air-quality/forecast', require('../air-quality/forecast')],
+    ['alerts/cap', require('../alerts/cap')]
+]);
+
+/**
+ * Find the handler for an API path
+ * @param {string} pathname - Request path, e.g. /api/weather/current
+ * @returns {Function|null} Handler taking Node's (req, res)
+ */
+function findRoute(pathname) {
+    const name = pathname.replace(/^\/api\//, '').replace(/\/$/, '');
+    return ROUTES.get(name) || null;
+}
+
+module.exports = { ROUTES, findRoute };
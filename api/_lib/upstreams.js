@@ -0,0 +1,126 @@
+/**
+ * IndraCast - Upstream provider definitions for the API proxy
+ * Keys are injected from environment variables so they never reach the browser.
+ */
+
+const CONFIG = require('../../config.js');
+
+const UPSTREAMS = {
+    openweathermap: {
+        keyEnv: 'OPENWEATHERMAP_KEY',
+        keyParam: 'appid',
+        baseUrlEnv: 'OPENWEATHERMAP_BASE_URL',
+        endpoints: {
+            current: CONFIG.ENDPOINTS.OPENWEATHERMAP.CURRENT,
+            forecast: CONFIG.ENDPOINTS.OPENWEATHERMAP.FORECAST,
+            geocode: CONFIG.ENDPOINTS.OPENWEATHERMAP.GEOCODING,
+            reverseGeocode: CONFIG.ENDPOINTS.OPENWEATHERMAP.REVERSE_GEOCODING,
+            airQuality: CONFIG.ENDPOINTS.OPENWEATHERMAP.AIR_POLLUTION,
+            airQualityForecast: CONFIG.ENDPOINTS.OPENWEATHERMAP.AIR_POLLUTION_FORECAST
+        }
+    },
+    // Keyless feeds proxied for CORS and caching; documentHosts limits which CAP links may be followed
+    meteoalarm: {
+        baseUrlEnv: 'METEOALARM_BASE_URL',
+        documentHosts: CONFIG.ALERT_FEEDS.SOURCES.meteoalarm.DOCUMENT_HOSTS,
+        endpoints: {
+            feed: CONFIG.ENDPOINTS.METEOALARM.FEED
+        }
+    },
+    naads: {
+        baseUrlEnv: 'NAADS_BASE_URL',
+        documentHosts: CONFIG.ALERT_FEEDS.SOURCES.naads.DOCUMENT_HOSTS,
+        endpoints: {
+            feed: CONFIG.ENDPOINTS.NAADS.FEED
+        }
+    },
+    weatherbit: {
+        keyEnv: 'WEATHERBIT_KEY',
+        keyParam: 'key',
+        baseUrlEnv: 'WEATHERBIT_BASE_URL',
+        endpoints: {
+            current: CONFIG.ENDPOINTS.WEATHERBIT.CURRENT,
+            forecastDaily: CONFIG.ENDPOINTS.WEATHERBIT.FORECAST_DAILY,
+            forecastHourly: CONFIG.ENDPOINTS.WEATHERBIT.FORECAST_HOURLY
+        }
+    }
+};
+
+/**
+ * Look up a provider, ignoring inherited properties such as "toString"
+ * @param {string} provider - Provider key in UPSTREAMS
+ * @returns {Object|null} Upstream definition
+ */
+function getUpstream(provider) {
+    return Object.hasOwn(UPSTREAMS, provider) ? UPSTREAMS[provider] : null;
+}
+
+/**
+ * Build the upstream URL for a provider endpoint, honouring base URL overrides
+ * @param {string} provider - Provider key in UPSTREAMS
+ * @param {string} endpoint - Endpoint name
+ * @param {Object} env - Environment variables
+ * @returns {URL|null} Upstream URL without query parameters, or null if unknown
+ */
+function getUpstreamUrl(provider, endpoint, env = process.env) {
+    const upstream = getUpstream(provider);
+    if (!upstream || !Object.hasOwn(upstream.endpoints, endpoint)) return null;
+    const template = upstream.endpoints[endpoint];
+
+    return rebaseUrl(new URL(template), env[upstream.baseUrlEnv]);
+}
+
+/**
+ * Point a URL at a stub server, e.g. OPENWEATHERMAP_BASE_URL=http://localhost:9000
+ * @param {URL} url - Upstream URL
+ * @param {string} [override] - Base URL override
+ * @returns {URL} The URL, rebased if an override is set
+ */
+function rebaseUrl(url, override) {
+    if (override) {
+        const base = new URL(override);
+        url.protocol = base.protocol;
+        url.host = base.host;
+        url.pathname = base.pathname.replace(/\/$/, '') + url.pathname;
+    }
+
+    return url;
+}
+
+/**
+ * Validate a linked document URL against a provider's allowed hosts
+ * @param {string} provider - Provider key in UPSTREAMS
+ * @param {string} documentUrl - Absolute URL taken from a feed
+ * @param {Object} env - Environment variables
+ * @returns {URL|null} URL to fetch (rebased if overridden), or null if not allowed
+ */
+function getDocumentUrl(provider, documentUrl, env = process.env) {
+    const upstream = getUpstream(provider);
+    let url;
+
+    try {
+        url = new URL(documentUrl);
+    } catch (error) {
+        return null;
+    }
+
+    const allowed = (upstream?.documentHosts || []).some(host =>
+        url.hostname === host || url.hostname.endsWith(`.${host}`)
+    );
+    if (!allowed || !/^https?:$/.test(url.protocol)) return null;
+
+    return rebaseUrl(url, env[upstream.baseUrlEnv]);
+}
+
+/**
+ * Get the API key for a provider
+ * @param {string} provider - Provider key in UPSTREAMS
+ * @param {Object} env - Environment variables
+ * @returns {string|null} API key
+ */
+function getApiKey(provider, env = process.env) {
+    const upstream = getUpstream(provider);
+    return (upstream && env[upstream.keyEnv]) || null;
+}
+
+module.exports = { UPSTREAMS, getUpstream, getUpstreamUrl, getDocumentUrl, getApiKey };
@@ -0,0 +1,17 @@
+/**
+ * GET /api/air-quality/forecast?lat=..&lon=..
+ * Hourly air pollution forecast (about 4 days) from OpenWeatherMap
+ */
+
+const { createProxyHandler, validateCoordinates } = require('../_lib/proxy');
+
+const AIR_QUALITY_TTL = 30 * 60 * 1000;
+
+module.exports = createProxyHandler({
+    resolve(query) {
+        const error = validateCoordinates(query);
+        if (error) return { error };
+
+        return { provider: 'openweathermap', endpoint: 'airQualityForecast', ttl: AIR_QUALITY_TTL };
+    }
+});
@@ -0,0 +1,34 @@
+/**
+ * GET /api/alerts/cap?source=meteoalarm&region=france   Atom feed for a country
+ * GET /api/alerts/cap?source=naads                      Atom feed for Canada
+ * GET /api/alerts/cap?source=naads&document=<url>       CAP 1.2 document linked from a feed
+ */
+
+const CONFIG = require('../../config.js');
+const { createProxyHandler } = require('../_lib/proxy');
+
+const FEED_TTL = CONFIG.APP.CACHE_TTL.alerts;
+const DOCUMENT_TTL = CONFIG.APP.CACHE_TTL.capDocument;
+
+module.exports = createProxyHandler({
+    resolve(query) {
+        const source = query.get('source');
+        if (!Object.hasOwn(CONFIG.ALERT_FEEDS.SOURCES, source)) {
+            return { error: `source must be one of ${Object.keys(CONFIG.ALERT_FEEDS.SOURCES).join(', ')}` };
+        }
+
+        if (query.has('document')) {
+            return { provider: source, documentUrl: query.get('document'), ttl: DOCUMENT_TTL };
+        }
+
+        if (source === 'meteoalarm') {
+            const region = query.get('region');
+            const known = Object.values(CONFIG.ALERT_FEEDS.COUNTRIES).some(feed => feed.REGION === region);
+            if (!known) return { error: 'region must be a MeteoAlarm country from CONFIG.ALERT_FEEDS' };
+
+            return { provider: source, endpoint: 'feed', path: region, ttl: FEED_TTL };
+        }
+
+        return { provider: source, endpoint: 'feed', ttl: FEED_TTL };
+    }
+});
@@ -0,0 +1,22 @@
+/**
+ * GET /api/geocode?q=..&limit=..   Search locations by name
+ * GET /api/geocode?lat=..&lon=..   Reverse geocode coordinates
+ */
+
+const { createProxyHandler, validateCoordinates } = require('./_lib/proxy');
+
+const GEOCODE_TTL = 24 * 60 * 60 * 1000;
+
+module.exports = createProxyHandler({
+    resolve(query) {
+        if (query.has('q')) {
+            if (!query.get('q').trim()) return { error: 'q must not be empty' };
+            return { provider: 'openweathermap', endpoint: 'geocode', ttl: GEOCODE_TTL };
+        }
+
+        const error = validateCoordinates(query);
+        if (error) return { error: 'q or lat and lon are required' };
+
+        return { provider: 'openweathermap', endpoint: 'reverseGeocode', params: { limit: 1 }, ttl: GEOCODE_TTL };
+    }
+});
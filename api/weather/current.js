@@ -0,0 +1,23 @@
+/**
+ * GET /api/weather/current?provider=openweathermap|weatherbit&lat=..&lon=..
+ * Current conditions from a keyed provider
+ */
+
+const CONFIG = require('../../config.js');
+const { createProxyHandler, validateCoordinates } = require('../_lib/proxy');
+
+module.exports = createProxyHandler({
+    resolve(query) {
+        const error = validateCoordinates(query);
+        if (error) return { error };
+
+        switch (query.get('provider')) {
+            case 'openweathermap':
+                return { provider: 'openweathermap', endpoint: 'current', params: { units: 'metric' }, ttl: CONFIG.APP.CACHE_DURATION };
+            case 'weatherbit':
+                return { provider: 'weatherbit', endpoint: 'current', ttl: CONFIG.APP.CACHE_DURATION };
+            default:
+                return { error: 'provider must be openweathermap or weatherbit' };
+        }
+    }
+});
@@ -0,0 +1,35 @@
+/**
+ * GET /api/weather/forecast?provider=openweathermap&lat=..&lon=..
+ * GET /api/weather/forecast?provider=weatherbit&kind=daily|hourly&lat=..&lon=..
+ * Forecasts from a keyed provider
+ */
+
+const { createProxyHandler, validateCoordinates } = require('../_lib/proxy');
+
+const FORECAST_TTL = 30 * 60 * 1000;
+
+module.exports = createProxyHandler({
+    resolve(query) {
+        const error = validateCoordinates(query);
+        if (error) return { error };
+
+        const provider = query.get('provider');
+        const kind = query.get('kind');
+
+        if (provider === 'openweathermap') {
+            return { provider, endpoint: 'forecast', params: { units: 'metric' }, ttl: FORECAST_TTL };
+        }
+
+        if (provider === 'weatherbit') {
+            if (kind === 'daily') {
+                return { provider, endpoint: 'forecastDaily', params: { days: 7 }, ttl: FORECAST_TTL };
+            }
+            if (kind === 'hourly') {
+                return { provider, endpoint: 'forecastHourly', params: { hours: 24 }, ttl: FORECAST_TTL };
+            }
+            return { error: 'kind must be daily or hourly for weatherbit' };
+        }
+
+        return { error: 'provider must be openweathermap or weatherbit' };
+    }
+});
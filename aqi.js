@@ -0,0 +1,246 @@
+/**
+ * IndraCast - Air quality index calculation
+ * Converts pollutant concentrations (µg/m³, as OpenWeatherMap and Open-Meteo report them) into
+ * US EPA AQI, European EAQI or India NAQI sub-indices using each agency's breakpoint tables.
+ * The overall index is the highest sub-index, and that pollutant is the dominant one.
+ *
+ * Providers report hourly concentrations while the official tables use 1-, 8- or 24-hour
+ * averages depending on the pollutant, so the result is a "now-cast" style estimate.
+ */
+
+const AirQuality = {
+    // Molar masses (g/mol) for converting µg/m³ to ppb at 25 °C and 1 atm
+    POLLUTANTS: {
+        pm2_5: { label: 'PM2.5' },
+        pm10: { label: 'PM10' },
+        o3: { label: 'O₃', molarMass: 48.00 },
+        no2: { label: 'NO₂', molarMass: 46.01 },
+        so2: { label: 'SO₂', molarMass: 64.07 },
+        co: { label: 'CO', molarMass: 28.01 }
+    },
+
+    MOLAR_VOLUME: 24.45, // Litres per mole at 25 °C
+
+    // Breakpoint rows are [concentration low, concentration high, index low, index high]
+    STANDARDS: {
+        us: {
+            name: 'US EPA',
+            units: { pm2_5: 'ug', pm10: 'ug', o3: 'ppb', no2: 'ppb', so2: 'ppb', co: 'ppm' },
+            // EPA truncates concentrations before looking them up
+            decimals: { pm2_5: 1, pm10: 0, o3: 0, no2: 0, so2: 0, co: 1 },
+            breakpoints: {
+                // 24-hour, 2024 revision
+                pm2_5: [[0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]],
+                pm10: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]],
+                // 8-hour table; it ends at 200 ppb, above which the 1-hour table below takes over
+                o3: [[0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150], [86, 105, 151, 200], [106, 200, 201, 300]],
+                no2: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]],
+                so2: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]],
+                co: [[0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]]
+            },
+            // EPA's 1-hour ozone table only applies from its first row (125 ppb); where both apply the
+            // higher of the 8-hour and 1-hour sub-indices counts
+            oneHourBreakpoints: {
+                o3: [[125, 164, 101, 150], [165, 204, 151, 200], [205, 404, 201, 300], [405, 504, 301, 400], [505, 604, 401, 500]]
+            }
+        },
+
+        eu: {
+            name: 'European EAQI',
+            units: { pm2_5: 'ug', pm10: 'ug', o3: 'ug', no2: 'ug', so2: 'ug' },
+            decimals: {},
+            // EAQI is banded: every concentration in a band gets the band's index (1-6)
+            breakpoints: {
+                pm2_5: [[0, 10, 1, 1], [10, 20, 2, 2], [20, 25, 3, 3], [25, 50, 4, 4], [50, 75, 5, 5], [75, 800, 6, 6]],
+                pm10: [[0, 20, 1, 1], [20, 40, 2, 2], [40, 50, 3, 3], [50, 100, 4, 4], [100, 150, 5, 5], [150, 1200, 6, 6]],
+                o3: [[0, 50, 1, 1], [50, 100, 2, 2], [100, 130, 3, 3], [130, 240, 4, 4], [240, 380, 5, 5], [380, 800, 6, 6]],
+                no2: [[0, 40, 1, 1], [40, 90, 2, 2], [90, 120, 3, 3], [120, 230, 4, 4], [230, 340, 5, 5], [340, 1000, 6, 6]],
+                so2: [[0, 100, 1, 1], [100, 200, 2, 2], [200, 350, 3, 3], [350, 500, 4, 4], [500, 750, 5, 5], [750, 1250, 6, 6]]
+            }
+        },
+
+        in: {
+            name: 'India NAQI',
+            units: { pm2_5: 'ug', pm10: 'ug', o3: 'ug', no2: 'ug', so2: 'ug', co: 'mg' },
+            decimals: { pm2_5: 0, pm10: 0, o3: 0, no2: 0, so2: 0, co: 1 },
+            // CPCB's top band is open-ended; it is capped here so the index tops out at 500
+            breakpoints: {
+                pm2_5: [[0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200], [91, 120, 201, 300], [121, 250, 301, 400], [251, 500, 401, 500]],
+                pm10: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200], [251, 350, 201, 300], [351, 430, 301, 400], [431, 600, 401, 500]],
+                o3: [[0, 50, 0, 50], [51, 100, 51, 100], [101, 168, 101, 200], [169, 208, 201, 300], [209, 748, 301, 400], [749, 1000, 401, 500]],
+                no2: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 180, 101, 200], [181, 280, 201, 300], [281, 400, 301, 400], [401, 800, 401, 500]],
+                so2: [[0, 40, 0, 50], [41, 80, 51, 100], [81, 380, 101, 200], [381, 800, 201, 300], [801, 1600, 301, 400], [1601, 2400, 401, 500]],
+                co: [[0, 1.0, 0, 50], [1.1, 2.0, 51, 100], [2.1, 10, 101, 200], [10.1, 17, 201, 300], [17.1, 34, 301, 400], [34.1, 50, 401, 500]]
+            },
+            // NAQI is only reported from three or more pollutants, one of them particulate matter
+            minPollutants: 3,
+            requiresOneOf: ['pm2_5', 'pm10']
+        }
+    },
+
+    /**
+     * Convert a µg/m³ concentration to the unit a standard's table uses
+     * @param {string} pollutant - Pollutant key
+     * @param {number} value - Concentration in µg/m³
+     * @param {string} unit - 'ug' (µg/m³), 'mg' (mg/m³), 'ppb' or 'ppm'
+     * @returns {number} Converted concentration
+     */
+    convert(pollutant, value, unit) {
+        const { molarMass } = this.POLLUTANTS[pollutant];
+
+        switch (unit) {
+            case 'mg':
+                return value / 1000;
+            case 'ppb':
+                return value * this.MOLAR_VOLUME / molarMass;
+            case 'ppm':
+                return value * this.MOLAR_VOLUME / molarMass / 1000;
+            default:
+                return value;
+        }
+    },
+
+    /**
+     * Calculate one pollutant's sub-index
+     * @param {string} standardKey - Key from STANDARDS
+     * @param {string} pollutant - Pollutant key
+     * @param {number} value - Concentration in µg/m³
+     * @returns {number|null} Sub-index, or null when the standard doesn't cover the pollutant
+     */
+    getSubIndex(standardKey, pollutant, value) {
+        const standard = this.STANDARDS[standardKey];
+        const table = standard.breakpoints[pollutant];
+        if (!table || !Number.isFinite(value) || value < 0) return null;
+
+        // The epsilon keeps floating-point error (0.29 * 100 = 28.999…) from truncating a whole step
+        const factor = 10 ** (standard.decimals[pollutant] ?? 2);
+        const concentration = Math.floor(this.convert(pollutant, value, standard.units[pollutant]) * factor + 1e-9) / factor;
+        const index = this.interpolate(table, concentration);
+
+        const oneHourTable = standard.oneHourBreakpoints?.[pollutant];
+        if (!oneHourTable || concentration < oneHourTable[0][0]) return index;
+
+        return Math.max(index, this.interpolate(oneHourTable, concentration));
+    },
+
+    /**
+     * Look up a concentration in a breakpoint table
+     * @param {Array} table - Breakpoint rows
+     * @param {number} concentration - Concentration in the table's unit, already truncated
+     * @returns {number} Index value
+     */
+    interpolate(table, concentration) {
+        // Gaps between rows (e.g. 9.0 and 9.1) fall into the higher row; beyond the table is the top index
+        const row = table.find(([, high]) => concentration <= high);
+        if (!row) return table[table.length - 1][3];
+
+        const [low, high, indexLow, indexHigh] = row;
+        const clamped = Math.max(concentration, low);
+        return Math.round((indexHigh - indexLow) / (high - low) * (clamped - low) + indexLow);
+    },
+
+    /**
+     * Calculate the overall index from pollutant concentrations
+     * @param {Object} pollutants - Concentrations in µg/m³ keyed by pollutant
+     * @param {string} [standardKey] - Key from STANDARDS
+     * @returns {Object|null} { standard, aqi, level, dominant, subIndices }, or null without enough data
+     */
+    calculate(pollutants, standardKey = 'us') {
+        const standard = this.STANDARDS[standardKey];
+        if (!standard || !pollutants) return null;
+
+        const subIndices = {};
+        Object.keys(this.POLLUTANTS).forEach(pollutant => {
+            const index = this.getSubIndex(standardKey, pollutant, pollutants[pollutant]);
+            if (index !== null) subIndices[pollutant] = index;
+        });
+
+        const measured = Object.keys(subIndices);
+        if (measured.length === 0) return null;
+        if (standard.minPollutants && measured.length < standard.minPollutants) return null;
+        if (standard.requiresOneOf && !standard.requiresOneOf.some(pollutant => pollutant in subIndices)) return null;
+
+        // Ties go to the pollutant listed first (particulates)
+        const dominant = measured.reduce((best, pollutant) => subIndices[pollutant] > subIndices[best] ? pollutant : best);
+        const aqi = subIndices[dominant];
+
+        return { standard: standardKey, aqi, level: this.getLevel(standardKey, aqi), dominant, subIndices };
+    },
+
+    /**
+     * Merge hourly concentration forecasts from several providers
+     * Hours are matched by timestamp and each pollutant is the mean of the providers that report it.
+     * @param {Array} series - One array of { time, pollutants } per provider
+     * @returns {Array} Merged hours as { time, pollutants } in time order
+     */
+    mergeHourly(series) {
+        const byTime = new Map();
+        series.flat().forEach(({ time, pollutants }) => {
+            if (!byTime.has(time)) byTime.set(time, []);
+            byTime.get(time).push(pollutants || {});
+        });
+
+        return [...byTime.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([time, readings]) => {
+                const pollutants = {};
+                Object.keys(this.POLLUTANTS).forEach(pollutant => {
+                    const values = readings.map(reading => reading[pollutant]).filter(Number.isFinite);
+                    pollutants[pollutant] = values.length > 0
+                        ? values.reduce((sum, value) => sum + value, 0) / values.length
+                        : null;
+                });
+                return { time, pollutants };
+            });
+    },
+
+    /**
+     * Find the run of hours with the lowest average index during today's outdoor hours
+     * Looks at the next 24 hours between CONFIG.APP.CLEAN_AIR_WINDOW.START and END local time.
+     * @param {Array} hours - Forecast hours as { time, result } in time order, result from calculate()
+     * @param {string} standardKey - Key from STANDARDS
+     * @param {number} [utcOffset] - Location's UTC offset in seconds
+     * @returns {Object|null} { start, end, aqi, level }, or null if no full window fits
+     */
+    findCleanestWindow(hours, standardKey, utcOffset = 0) {
+        if (hours.length === 0) return null;
+
+        const { HOURS, START, END } = CONFIG.APP.CLEAN_AIR_WINDOW;
+        const hour = 3600000;
+        const offset = utcOffset * 1000;
+        const limit = hours[0].time + 24 * hour;
+        let best = null;
+
+        hours.forEach((first, index) => {
+            const run = hours.slice(index, index + HOURS);
+            const last = run[run.length - 1];
+            const contiguous = run.length === HOURS && last.time - first.time === (HOURS - 1) * hour;
+            const startHour = new Date(first.time + offset).getUTCHours();
+            const endHour = new Date(last.time + offset).getUTCHours() + 1;
+
+            if (!contiguous || first.time >= limit || startHour < START || endHour > END || endHour <= startHour) return;
+
+            const aqi = Math.round(run.reduce((sum, point) => sum + point.result.aqi, 0) / HOURS);
+            if (!best || aqi < best.aqi) {
+                best = { start: first.time, end: last.time + hour, aqi };
+            }
+        });
+
+        return best && { ...best, level: this.getLevel(standardKey, best.aqi) };
+    },
+
+    /**
+     * Get the level an index value falls in
+     * @param {string} standardKey - Key from STANDARDS
+     * @param {number} aqi - Index value
+     * @returns {Object} Level from CONFIG.AQI_LEVELS with label, color and advice
+     */
+    getLevel(standardKey, aqi) {
+        return CONFIG.AQI_LEVELS[standardKey].find(level => aqi <= level.max);
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AirQuality;
+}
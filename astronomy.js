@@ -0,0 +1,265 @@
+/**
+ * IndraCast - Sun and moon calculations
+ * Sunrise, sunset, twilight, golden and blue hours, moon phase, illumination and
+ * moonrise/moonset computed from coordinates alone, so they work without any provider.
+ * Based on the formulas in Astronomy Answers (aa.quae.nl) as popularised by SunCalc;
+ * accurate to about a minute for the sun and a few minutes for the moon.
+ */
+
+const Astronomy = {
+    RAD: Math.PI / 180,
+    DAY_MS: 86400000,
+    J1970: 2440588,
+    J2000: 2451545,
+    OBLIQUITY: 23.4397 * Math.PI / 180,
+
+    // Sun altitudes (degrees) that bound each part of the day
+    SUN_ANGLES: {
+        sunrise: -0.833, // Upper limb on the horizon, with refraction
+        goldenHour: 6,
+        blueHour: -4,
+        civilTwilight: -6
+    },
+
+    MOON_PHASES: [
+        { max: 0.0625, name: 'New Moon', icon: '🌑' },
+        { max: 0.1875, name: 'Waxing Crescent', icon: '🌒' },
+        { max: 0.3125, name: 'First Quarter', icon: '🌓' },
+        { max: 0.4375, name: 'Waxing Gibbous', icon: '🌔' },
+        { max: 0.5625, name: 'Full Moon', icon: '🌕' },
+        { max: 0.6875, name: 'Waning Gibbous', icon: '🌖' },
+        { max: 0.8125, name: 'Last Quarter', icon: '🌗' },
+        { max: 0.9375, name: 'Waning Crescent', icon: '🌘' },
+        { max: 1, name: 'New Moon', icon: '🌑' }
+    ],
+
+    /**
+     * Days since J2000.0
+     * @param {number} time - Timestamp in milliseconds
+     * @returns {number} Days
+     */
+    toDays(time) {
+        return time / this.DAY_MS - 0.5 + this.J1970 - this.J2000;
+    },
+
+    /**
+     * Convert a Julian date to a timestamp
+     * @param {number} julian - Julian date
+     * @returns {number} Milliseconds since epoch
+     */
+    fromJulian(julian) {
+        return (julian + 0.5 - this.J1970) * this.DAY_MS;
+    },
+
+    /**
+     * Right ascension from ecliptic coordinates
+     * @param {number} l - Ecliptic longitude (radians)
+     * @param {number} b - Ecliptic latitude (radians)
+     * @returns {number} Right ascension (radians)
+     */
+    rightAscension(l, b) {
+        const e = this.OBLIQUITY;
+        return Math.atan2(Math.sin(l) * Math.cos(e) - Math.tan(b) * Math.sin(e), Math.cos(l));
+    },
+
+    /**
+     * Declination from ecliptic coordinates
+     * @param {number} l - Ecliptic longitude (radians)
+     * @param {number} b - Ecliptic latitude (radians)
+     * @returns {number} Declination (radians)
+     */
+    declination(l, b) {
+        const e = this.OBLIQUITY;
+        return Math.asin(Math.sin(b) * Math.cos(e) + Math.cos(b) * Math.sin(e) * Math.sin(l));
+    },
+
+    /**
+     * Solar mean anomaly
+     * @param {number} d - Days since J2000.0
+     * @returns {number} Anomaly (radians)
+     */
+    solarMeanAnomaly(d) {
+        return this.RAD * (357.5291 + 0.98560028 * d);
+    },
+
+    /**
+     * Ecliptic longitude of the sun
+     * @param {number} M - Solar mean anomaly (radians)
+     * @returns {number} Longitude (radians)
+     */
+    eclipticLongitude(M) {
+        const center = this.RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+        const perihelion = this.RAD * 102.9372;
+        return M + center + perihelion + Math.PI;
+    },
+
+    /**
+     * Sun's equatorial coordinates
+     * @param {number} d - Days since J2000.0
+     * @returns {Object} { dec, ra } in radians
+     */
+    sunCoords(d) {
+        const L = this.eclipticLongitude(this.solarMeanAnomaly(d));
+        return { dec: this.declination(L, 0), ra: this.rightAscension(L, 0) };
+    },
+
+    /**
+     * Moon's equatorial coordinates and distance
+     * @param {number} d - Days since J2000.0
+     * @returns {Object} { ra, dec } in radians and dist in km
+     */
+    moonCoords(d) {
+        const L = this.RAD * (218.316 + 13.176396 * d); // Ecliptic longitude
+        const M = this.RAD * (134.963 + 13.064993 * d); // Mean anomaly
+        const F = this.RAD * (93.272 + 13.229350 * d); // Mean distance
+
+        const l = L + this.RAD * 6.289 * Math.sin(M);
+        const b = this.RAD * 5.128 * Math.sin(F);
+
+        return { ra: this.rightAscension(l, b), dec: this.declination(l, b), dist: 385001 - 20905 * Math.cos(M) };
+    },
+
+    /**
+     * Times when the sun crosses the given altitudes on the day around a time
+     * @param {number} time - Any time on the wanted day (local noon works best)
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Object} { solarNoon, sunrise, sunset, polar, goldenHour: { rise, set }, blueHour, civilTwilight }
+     *                   in milliseconds; rise/set are null when the sun never reaches the altitude,
+     *                   and polar is then 'day' or 'night' for the horizon
+     */
+    getSunTimes(time, lat, lon) {
+        const lw = this.RAD * -lon;
+        const phi = this.RAD * lat;
+        const J0 = 0.0009;
+
+        const d = this.toDays(time);
+        const n = Math.round(d - J0 - lw / (2 * Math.PI));
+        const ds = J0 + lw / (2 * Math.PI) + n;
+        const M = this.solarMeanAnomaly(ds);
+        const L = this.eclipticLongitude(M);
+        const dec = this.declination(L, 0);
+        const transit = this.J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+        const crossing = (degrees) => {
+            const h = degrees * this.RAD;
+            const cosH = (Math.sin(h) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+            if (cosH < -1) return { rise: null, set: null, always: 'above' };
+            if (cosH > 1) return { rise: null, set: null, always: 'below' };
+
+            const w = Math.acos(cosH);
+            const a = J0 + (w + lw) / (2 * Math.PI) + n;
+            const set = this.J2000 + a + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+            return { rise: this.fromJulian(transit - (set - transit)), set: this.fromJulian(set), always: null };
+        };
+
+        const horizon = crossing(this.SUN_ANGLES.sunrise);
+
+        return {
+            solarNoon: this.fromJulian(transit),
+            sunrise: horizon.rise,
+            sunset: horizon.set,
+            polar: horizon.always && (horizon.always === 'above' ? 'day' : 'night'),
+            goldenHour: crossing(this.SUN_ANGLES.goldenHour),
+            blueHour: crossing(this.SUN_ANGLES.blueHour),
+            civilTwilight: crossing(this.SUN_ANGLES.civilTwilight)
+        };
+    },
+
+    /**
+     * Moon phase and illuminated fraction
+     * @param {number} time - Timestamp in milliseconds
+     * @returns {Object} { fraction: 0-1 lit, phase: 0 new → 0.5 full → 1 new, name, icon }
+     */
+    getMoonIllumination(time) {
+        const d = this.toDays(time);
+        const sun = this.sunCoords(d);
+        const moon = this.moonCoords(d);
+        const sunDistance = 149598000; // km
+
+        const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+            Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+        const inc = Math.atan2(sunDistance * Math.sin(elongation), moon.dist - sunDistance * Math.cos(elongation));
+        const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+            Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+        const phase = 0.5 + 0.5 * inc * (angle < 0 ? -1 : 1) / Math.PI;
+        const { name, icon } = this.MOON_PHASES.find(entry => phase <= entry.max);
+
+        return { fraction: (1 + Math.cos(inc)) / 2, phase, name, icon };
+    },
+
+    /**
+     * Moon altitude above the horizon, corrected for refraction
+     * @param {number} time - Timestamp in milliseconds
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {number} Altitude (radians)
+     */
+    getMoonAltitude(time, lat, lon) {
+        const lw = this.RAD * -lon;
+        const phi = this.RAD * lat;
+        const d = this.toDays(time);
+        const moon = this.moonCoords(d);
+        const H = this.RAD * (280.16 + 360.9856235 * d) - lw - moon.ra;
+
+        const altitude = Math.asin(Math.sin(phi) * Math.sin(moon.dec) + Math.cos(phi) * Math.cos(moon.dec) * Math.cos(H));
+        const h = Math.max(altitude, 0);
+        return altitude + 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+    },
+
+    /**
+     * Moonrise and moonset within the 24 hours from a start time
+     * Fits a parabola through the moon's altitude every two hours to find horizon crossings.
+     * @param {number} start - Start of the local day in milliseconds
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {Object} { rise, set } in milliseconds, either null when it doesn't happen that day
+     */
+    getMoonTimes(start, lat, lon) {
+        const hour = 3600000;
+        const hc = 0.133 * this.RAD; // Apparent radius plus parallax
+        const altitude = (hours) => this.getMoonAltitude(start + hours * hour, lat, lon) - hc;
+        let h0 = altitude(0);
+        let rise = null;
+        let set = null;
+
+        for (let i = 1; i <= 24 && (rise === null || set === null); i += 2) {
+            const h1 = altitude(i);
+            const h2 = altitude(i + 1);
+
+            const a = (h0 + h2) / 2 - h1;
+            const b = (h2 - h0) / 2;
+            const xe = -b / (2 * a);
+            const ye = (a * xe + b) * xe + h1;
+            const discriminant = b * b - 4 * a * h1;
+
+            if (discriminant >= 0) {
+                const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+                let x1 = xe - dx;
+                const x2 = xe + dx;
+                let roots = 0;
+                if (Math.abs(x1) <= 1) roots++;
+                if (Math.abs(x2) <= 1) roots++;
+                if (x1 < -1) x1 = x2;
+
+                if (roots === 1) {
+                    if (h0 < 0 && rise === null) rise = start + (i + x1) * hour;
+                    if (h0 >= 0 && set === null) set = start + (i + x1) * hour;
+                } else if (roots === 2) {
+                    if (rise === null) rise = start + (i + (ye < 0 ? x2 : x1)) * hour;
+                    if (set === null) set = start + (i + (ye < 0 ? x1 : x2)) * hour;
+                }
+            }
+
+            h0 = h2;
+        }
+
+        return { rise, set };
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Astronomy;
+}
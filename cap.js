@@ -0,0 +1,231 @@
+/**
+ * IndraCast - Common Alerting Protocol (CAP 1.2) and Atom feed parsing
+ * Turns national warning feeds into GeoJSON features whose properties match the NOAA
+ * alerts API (event, headline, severity, urgency, onset, expires, ...), so every alert
+ * source renders through the same code.
+ */
+
+const CapAlerts = {
+    /**
+     * Parse an XML string
+     * @param {string} xml - XML text
+     * @returns {Document} Parsed document
+     */
+    parseXml(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('Invalid XML in alert feed');
+        }
+        return doc;
+    },
+
+    /**
+     * Get the trimmed text of the first descendant with a local name, ignoring namespace prefixes
+     * @param {Element|Document} parent - Element to search
+     * @param {string} name - Local element name
+     * @returns {string|null} Text content
+     */
+    getText(parent, name) {
+        const element = parent.getElementsByTagNameNS('*', name)[0];
+        const text = element?.textContent.trim();
+        return text || null;
+    },
+
+    /**
+     * Get the text of every descendant with a local name
+     * @param {Element|Document} parent - Element to search
+     * @param {string} name - Local element name
+     * @returns {Array<string>} Text contents
+     */
+    getAllText(parent, name) {
+        return [...parent.getElementsByTagNameNS('*', name)]
+            .map(element => element.textContent.trim())
+            .filter(Boolean);
+    },
+
+    /**
+     * Parse an Atom feed of alerts
+     * Entries that carry CAP fields inline (MeteoAlarm) become alerts directly; the rest
+     * (NAAD System) only link to their CAP document, which has to be fetched separately.
+     * @param {string} xml - Atom feed XML
+     * @param {string} source - Display name of the issuing service
+     * @returns {Array} Entries as { id, capUrl, alert }
+     */
+    parseFeed(xml, source) {
+        const doc = this.parseXml(xml);
+
+        return [...doc.getElementsByTagNameNS('*', 'entry')].map(entry => {
+            const capLink = [...entry.getElementsByTagNameNS('*', 'link')].find(link =>
+                /cap|xml/i.test(link.getAttribute('type') || '') || /\.xml($|\?)/i.test(link.getAttribute('href') || '')
+            ) || entry.getElementsByTagNameNS('*', 'link')[0];
+
+            const id = this.getText(entry, 'identifier') || this.getText(entry, 'id');
+            const event = this.getText(entry, 'event');
+
+            return {
+                id,
+                capUrl: capLink?.getAttribute('href') || null,
+                alert: event ? this.createFeature({
+                    id,
+                    event,
+                    headline: this.getText(entry, 'title'),
+                    description: this.getText(entry, 'summary'),
+                    severity: this.getText(entry, 'severity'),
+                    urgency: this.getText(entry, 'urgency'),
+                    certainty: this.getText(entry, 'certainty'),
+                    sent: this.getText(entry, 'sent') || this.getText(entry, 'updated'),
+                    effective: this.getText(entry, 'effective'),
+                    onset: this.getText(entry, 'onset'),
+                    expires: this.getText(entry, 'expires'),
+                    areaDesc: this.getAllText(entry, 'areaDesc').join('; ') || null,
+                    geocode: this.parseGeocodes(entry),
+                    messageType: this.getText(entry, 'message_type') || this.getText(entry, 'msgType'),
+                    senderName: source,
+                    polygons: this.getAllText(entry, 'polygon')
+                }) : null
+            };
+        });
+    },
+
+    /**
+     * Parse a CAP 1.2 alert document
+     * @param {string} xml - CAP XML
+     * @param {string} source - Display name of the issuing service
+     * @returns {Object|null} Alert feature, or null for documents without an info block
+     */
+    parseCapDocument(xml, source) {
+        const doc = this.parseXml(xml);
+        const alert = doc.getElementsByTagNameNS('*', 'alert')[0];
+        if (!alert) return null;
+
+        // Bilingual feeds repeat <info> per language; prefer English
+        const infos = [...alert.getElementsByTagNameNS('*', 'info')];
+        const info = infos.find(block => /^en/i.test(this.getText(block, 'language') || 'en-US')) || infos[0];
+        if (!info) return null;
+
+        const areas = [...info.getElementsByTagNameNS('*', 'area')];
+
+        return this.createFeature({
+            id: this.getText(alert, 'identifier'),
+            event: this.getText(info, 'event'),
+            headline: this.getText(info, 'headline'),
+            description: this.getText(info, 'description'),
+            instruction: this.getText(info, 'instruction'),
+            severity: this.getText(info, 'severity'),
+            urgency: this.getText(info, 'urgency'),
+            certainty: this.getText(info, 'certainty'),
+            sent: this.getText(alert, 'sent'),
+            effective: this.getText(info, 'effective'),
+            onset: this.getText(info, 'onset'),
+            expires: this.getText(info, 'expires'),
+            areaDesc: areas.map(area => this.getText(area, 'areaDesc')).filter(Boolean).join('; ') || null,
+            geocode: this.parseGeocodes(info),
+            messageType: this.getText(alert, 'msgType'),
+            references: this.parseReferences(this.getText(alert, 'references')),
+            senderName: this.getText(info, 'senderName') || source,
+            polygons: areas.flatMap(area => this.getAllText(area, 'polygon'))
+        });
+    },
+
+    /**
+     * Collect the geocodes of every area under an element
+     * @param {Element} parent - CAP info block or feed entry
+     * @returns {Object} Codes by value name, e.g. { EMMA_ID: ['FR070'] }
+     */
+    parseGeocodes(parent) {
+        const geocodes = {};
+
+        [...parent.getElementsByTagNameNS('*', 'geocode')].forEach(geocode => {
+            const name = this.getText(geocode, 'valueName');
+            const value = this.getText(geocode, 'value');
+            if (name && value) (geocodes[name] = geocodes[name] || []).push(value);
+        });
+
+        return geocodes;
+    },
+
+    /**
+     * Parse a CAP references list ("sender,identifier,sent sender,identifier,sent")
+     * @param {string|null} references - References text
+     * @returns {Array} References as { sender, identifier, sent }
+     */
+    parseReferences(references) {
+        if (!references) return [];
+
+        return references.split(/\s+/).map(reference => {
+            const [sender, identifier, sent] = reference.split(',');
+            return { sender, identifier, sent };
+        }).filter(reference => reference.identifier);
+    },
+
+    /**
+     * Convert a CAP polygon ("lat,lon lat,lon ...") to a GeoJSON ring
+     * @param {string} polygon - CAP polygon text
+     * @returns {Array|null} Ring of [lon, lat] pairs
+     */
+    parsePolygon(polygon) {
+        const ring = polygon.trim().split(/\s+/)
+            .map(pair => pair.split(',').map(Number))
+            .filter(([lat, lon]) => Number.isFinite(lat) && Number.isFinite(lon))
+            .map(([lat, lon]) => [lon, lat]);
+
+        return ring.length >= 4 ? ring : null;
+    },
+
+    /**
+     * Build a NOAA-shaped GeoJSON feature from parsed CAP fields
+     * @param {Object} fields - CAP fields plus raw polygons
+     * @returns {Object} Alert feature
+     */
+    createFeature({ polygons = [], ...fields }) {
+        const rings = polygons.map(polygon => this.parsePolygon(polygon)).filter(Boolean);
+        let geometry = null;
+
+        if (rings.length === 1) {
+            geometry = { type: 'Polygon', coordinates: [rings[0]] };
+        } else if (rings.length > 1) {
+            geometry = { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+        }
+
+        const properties = {
+            ...fields,
+            onset: fields.onset || fields.effective || null,
+            headline: fields.headline || fields.event,
+            references: fields.references || []
+        };
+
+        return { id: fields.id, type: 'Feature', geometry, properties };
+    },
+
+    /**
+     * Check whether a linked CAP document is on one of the source's hosts
+     * @param {string|null} url - Document URL from a feed
+     * @param {Array<string>} hosts - Allowed host names (subdomains included)
+     * @returns {boolean} True if the document may be fetched
+     */
+    isAllowedDocument(url, hosts) {
+        try {
+            const { hostname } = new URL(url);
+            return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Check whether an alert is still in force
+     * @param {Object} feature - Alert feature
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {boolean} True unless expired or cancelled
+     */
+    isActive(feature, now = Date.now()) {
+        const { expires, messageType } = feature.properties;
+        if (/^cancel$/i.test(messageType || '')) return false;
+        return !expires || new Date(expires).getTime() > now;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CapAlerts;
+}
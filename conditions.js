@@ -0,0 +1,164 @@
+/**
+ * IndraCast - Weather condition taxonomy
+ * Maps WMO (Open-Meteo), OpenWeatherMap and Weatherbit condition codes into the internal
+ * conditions in CONFIG.WEATHER_CONDITIONS, picks day or night icons, and chooses one condition
+ * for the ensemble when sources disagree.
+ */
+
+const Conditions = {
+    // WMO 4677 present-weather codes as used by Open-Meteo
+    WMO: {
+        0: 'clear',
+        1: 'mostly-clear',
+        2: 'partly-cloudy',
+        3: 'overcast',
+        45: 'fog',
+        48: 'freezing-fog', // Depositing rime fog
+        51: 'drizzle-light',
+        53: 'drizzle',
+        55: 'drizzle-heavy',
+        56: 'freezing-drizzle',
+        57: 'freezing-drizzle',
+        61: 'rain-light',
+        63: 'rain',
+        65: 'rain-heavy',
+        66: 'freezing-rain',
+        67: 'freezing-rain',
+        71: 'snow-light',
+        73: 'snow',
+        75: 'snow-heavy',
+        77: 'snow-grains',
+        80: 'rain-showers',
+        81: 'rain-showers',
+        82: 'rain-showers-heavy',
+        85: 'snow-showers',
+        86: 'snow-showers-heavy',
+        95: 'thunderstorm',
+        96: 'thunderstorm-hail',
+        99: 'thunderstorm-hail'
+    },
+
+    // The rest of the WMO code table, by range: [first code, last code, condition]
+    WMO_RANGES: [
+        [4, 9, 'haze'], // Smoke, haze, dust
+        [10, 12, 'mist'],
+        [30, 35, 'dust'], // Dust and sand storms
+        [36, 39, 'snow'], // Blowing and drifting snow
+        [40, 49, 'fog'],
+        [50, 59, 'drizzle'],
+        [60, 69, 'rain'],
+        [70, 79, 'snow'],
+        [80, 84, 'rain-showers'],
+        [85, 90, 'snow-showers'],
+        [91, 99, 'thunderstorm']
+    ],
+
+    OPENWEATHERMAP: {
+        200: 'thunderstorm', 201: 'thunderstorm', 202: 'thunderstorm', 210: 'thunderstorm',
+        211: 'thunderstorm', 212: 'thunderstorm', 221: 'thunderstorm', 230: 'thunderstorm',
+        231: 'thunderstorm', 232: 'thunderstorm',
+        300: 'drizzle-light', 301: 'drizzle', 302: 'drizzle-heavy', 310: 'drizzle-light',
+        311: 'drizzle', 312: 'drizzle-heavy', 313: 'rain-showers', 314: 'rain-showers-heavy',
+        321: 'rain-showers',
+        500: 'rain-light', 501: 'rain', 502: 'rain-heavy', 503: 'rain-heavy', 504: 'rain-heavy',
+        511: 'freezing-rain', 520: 'rain-showers', 521: 'rain-showers', 522: 'rain-showers-heavy',
+        531: 'rain-showers',
+        600: 'snow-light', 601: 'snow', 602: 'snow-heavy', 611: 'sleet', 612: 'sleet', 613: 'sleet',
+        615: 'sleet', 616: 'sleet', 620: 'snow-showers', 621: 'snow-showers', 622: 'snow-showers-heavy',
+        701: 'mist', 711: 'smoke', 721: 'haze', 731: 'dust', 741: 'fog', 751: 'dust', 761: 'dust',
+        762: 'ash', 771: 'squalls', 781: 'tornado',
+        800: 'clear', 801: 'mostly-clear', 802: 'partly-cloudy', 803: 'cloudy', 804: 'overcast'
+    },
+
+    WEATHERBIT: {
+        200: 'thunderstorm', 201: 'thunderstorm', 202: 'thunderstorm', 230: 'thunderstorm',
+        231: 'thunderstorm', 232: 'thunderstorm', 233: 'thunderstorm-hail',
+        300: 'drizzle-light', 301: 'drizzle', 302: 'drizzle-heavy',
+        500: 'rain-light', 501: 'rain', 502: 'rain-heavy', 511: 'freezing-rain',
+        520: 'rain-showers', 521: 'rain-showers', 522: 'rain-showers-heavy',
+        600: 'snow-light', 601: 'snow', 602: 'snow-heavy', 610: 'sleet', 611: 'sleet', 612: 'sleet',
+        621: 'snow-showers', 622: 'snow-showers-heavy', 623: 'snow-light', // Flurries
+        700: 'mist', 711: 'smoke', 721: 'haze', 731: 'dust', 741: 'fog', 751: 'freezing-fog',
+        800: 'clear', 801: 'mostly-clear', 802: 'partly-cloudy', 803: 'cloudy', 804: 'overcast',
+        900: 'rain' // Unknown precipitation
+    },
+
+    // Fallbacks by code group for OpenWeatherMap and Weatherbit codes missing from the tables
+    GROUPS: { 2: 'thunderstorm', 3: 'drizzle', 5: 'rain', 6: 'snow', 7: 'haze', 8: 'cloudy', 9: 'rain' },
+
+    /**
+     * Map a WMO weather code
+     * @param {number} code - WMO code (0-99)
+     * @returns {string|null} Condition key, or null for codes with no weather (e.g. 13-29)
+     */
+    fromWmo(code) {
+        if (code in this.WMO) return this.WMO[code];
+        const range = this.WMO_RANGES.find(([first, last]) => code >= first && code <= last);
+        return range ? range[2] : null;
+    },
+
+    /**
+     * Map an OpenWeatherMap condition id
+     * @param {number} id - OpenWeatherMap condition id
+     * @returns {string|null} Condition key
+     */
+    fromOpenWeatherMap(id) {
+        return this.OPENWEATHERMAP[id] || this.GROUPS[Math.floor(id / 100)] || null;
+    },
+
+    /**
+     * Map a Weatherbit weather code
+     * @param {number} code - Weatherbit code
+     * @returns {string|null} Condition key
+     */
+    fromWeatherbit(code) {
+        return this.WEATHERBIT[code] || this.GROUPS[Math.floor(code / 100)] || null;
+    },
+
+    /**
+     * Get the icon for a condition
+     * @param {string} condition - Condition key
+     * @param {boolean} [isDay] - False at night, for the moon instead of the sun
+     * @returns {string} Icon emoji
+     */
+    getIcon(condition, isDay = true) {
+        const entry = CONFIG.WEATHER_CONDITIONS[condition];
+        if (!entry) return '⛅';
+        return !isDay && entry.nightIcon ? entry.nightIcon : entry.icon;
+    },
+
+    /**
+     * Get the description for a condition
+     * @param {string} condition - Condition key
+     * @returns {string} Description
+     */
+    getDescription(condition) {
+        return CONFIG.WEATHER_CONDITIONS[condition]?.description || 'Unknown';
+    },
+
+    /**
+     * Pick one condition from what each source reports
+     * Every source votes for its condition and, implicitly, for everything less severe. The
+     * result is the most severe condition with at least the quorum's share of votes, so two
+     * disagreeing sources give the more severe report while a lone outlier among three is outvoted.
+     * @param {Array<string>} conditions - Condition key from each source
+     * @param {number} [quorum] - Share of sources needed, 0-1
+     * @returns {string|null} Condition key, or null when no source reported a known condition
+     */
+    vote(conditions, quorum = CONFIG.ENSEMBLE.CONDITION_QUORUM) {
+        const severity = (condition) => CONFIG.WEATHER_CONDITIONS[condition].severity;
+        const known = conditions
+            .filter(condition => condition in CONFIG.WEATHER_CONDITIONS)
+            .sort((a, b) => severity(b) - severity(a));
+
+        if (known.length === 0) return null;
+
+        const needed = Math.max(1, Math.ceil(known.length * quorum));
+        return known[needed - 1];
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Conditions;
+}
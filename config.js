@@ -2,14 +2,11 @@
 // This file manages API keys and application settings
 
 const CONFIG = {
-    // API Keys - In production, these should be loaded securely
-    API_KEYS: {
-        OPENWEATHERMAP: 'ab0507c811b374496c0ff191113d11b2',
-        WEATHERBIT: 'ff025bad1da445a6af3a9b93da5757c4',
-        // Open-Meteo is free and doesn't require an API key
-        OPEN_METEO: null,
-        // NOAA and other government services
-        NOAA: null // NOAA API is free
+    // Keyed providers (OpenWeatherMap, Weatherbit) are reached through the serverless
+    // proxy in api/, which injects keys from environment variables.
+    // Open-Meteo and NOAA are free and called directly.
+    API_PROXY: {
+        BASE_URL: '/api'
     },
 
     // API Endpoints
@@ -19,7 +16,9 @@ const CONFIG = {
             FORECAST: 'https://api.openweathermap.org/data/2.5/forecast',
             ONECALL: 'https://api.openweathermap.org/data/3.0/onecall',
             GEOCODING: 'https://api.openweathermap.org/geo/1.0/direct',
-            AIR_POLLUTION: 'https://api.openweathermap.org/data/2.5/air_pollution'
+            REVERSE_GEOCODING: 'https://api.openweathermap.org/geo/1.0/reverse',
+            AIR_POLLUTION: 'https://api.openweathermap.org/data/2.5/air_pollution',
+            AIR_POLLUTION_FORECAST: 'https://api.openweathermap.org/data/2.5/air_pollution/forecast'
         },
         WEATHERBIT: {
             CURRENT: 'https://api.weatherbit.io/v2.0/current',
@@ -34,112 +33,386 @@ const CONFIG = {
         NOAA: {
             ALERTS: 'https://api.weather.gov/alerts/active',
             FORECAST: 'https://api.weather.gov/points'
+        },
+        // CAP alert feeds, fetched through the API proxy because they don't send CORS headers
+        METEOALARM: {
+            FEED: 'https://feeds.meteoalarm.org/feeds/meteoalarm-legacy-atom-'
+        },
+        NAADS: {
+            FEED: 'https://rss.naad-adna.pelmorex.com/'
         }
     },
 
+    // Government alert feeds outside the US, keyed by ISO country code
+    ALERT_FEEDS: {
+        SOURCES: {
+            meteoalarm: { NAME: 'MeteoAlarm', DOCUMENT_HOSTS: ['meteoalarm.org'] },
+            naads: { NAME: 'Environment Canada (NAAD System)', DOCUMENT_HOSTS: ['pelmorex.com'] }
+        },
+        COUNTRIES: {
+            CA: { SOURCE: 'naads' },
+            AT: { SOURCE: 'meteoalarm', REGION: 'austria' },
+            BA: { SOURCE: 'meteoalarm', REGION: 'bosnia-herzegovina' },
+            BE: { SOURCE: 'meteoalarm', REGION: 'belgium' },
+            BG: { SOURCE: 'meteoalarm', REGION: 'bulgaria' },
+            CH: { SOURCE: 'meteoalarm', REGION: 'switzerland' },
+            CY: { SOURCE: 'meteoalarm', REGION: 'cyprus' },
+            CZ: { SOURCE: 'meteoalarm', REGION: 'czechia' },
+            DE: { SOURCE: 'meteoalarm', REGION: 'germany' },
+            DK: { SOURCE: 'meteoalarm', REGION: 'denmark' },
+            EE: { SOURCE: 'meteoalarm', REGION: 'estonia' },
+            ES: { SOURCE: 'meteoalarm', REGION: 'spain' },
+            FI: { SOURCE: 'meteoalarm', REGION: 'finland' },
+            FR: { SOURCE: 'meteoalarm', REGION: 'france' },
+            GB: { SOURCE: 'meteoalarm', REGION: 'united-kingdom' },
+            GR: { SOURCE: 'meteoalarm', REGION: 'greece' },
+            HR: { SOURCE: 'meteoalarm', REGION: 'croatia' },
+            HU: { SOURCE: 'meteoalarm', REGION: 'hungary' },
+            IE: { SOURCE: 'meteoalarm', REGION: 'ireland' },
+            IL: { SOURCE: 'meteoalarm', REGION: 'israel' },
+            IS: { SOURCE: 'meteoalarm', REGION: 'iceland' },
+            IT: { SOURCE: 'meteoalarm', REGION: 'italy' },
+            LT: { SOURCE: 'meteoalarm', REGION: 'lithuania' },
+            LU: { SOURCE: 'meteoalarm', REGION: 'luxembourg' },
+            LV: { SOURCE: 'meteoalarm', REGION: 'latvia' },
+            MD: { SOURCE: 'meteoalarm', REGION: 'moldova' },
+            ME: { SOURCE: 'meteoalarm', REGION: 'montenegro' },
+            MK: { SOURCE: 'meteoalarm', REGION: 'republic-of-north-macedonia' },
+            MT: { SOURCE: 'meteoalarm', REGION: 'malta' },
+            NL: { SOURCE: 'meteoalarm', REGION: 'netherlands' },
+            NO: { SOURCE: 'meteoalarm', REGION: 'norway' },
+            PL: { SOURCE: 'meteoalarm', REGION: 'poland' },
+            PT: { SOURCE: 'meteoalarm', REGION: 'portugal' },
+            RO: { SOURCE: 'meteoalarm', REGION: 'romania' },
+            RS: { SOURCE: 'meteoalarm', REGION: 'serbia' },
+            SE: { SOURCE: 'meteoalarm', REGION: 'sweden' },
+            SI: { SOURCE: 'meteoalarm', REGION: 'slovenia' },
+            SK: { SOURCE: 'meteoalarm', REGION: 'slovakia' }
+        },
+        MAX_CAP_DOCUMENTS: 25 // CAP documents fetched per refresh for feeds that only link to them
+    },
+
+    // Provider adapters (see providers.js); lower priority numbers are preferred
+    PROVIDERS: {
+        'openweathermap': { ENABLED: true, PRIORITY: 1 },
+        'weatherbit': { ENABLED: true, PRIORITY: 2 },
+        'open-meteo': { ENABLED: true, PRIORITY: 3 },
+        'openweathermap-air': { ENABLED: true, PRIORITY: 1 },
+        'open-meteo-air': { ENABLED: true, PRIORITY: 2 },
+        'noaa': { ENABLED: true, PRIORITY: 1 },
+        'cap': { ENABLED: true, PRIORITY: 2 }
+    },
+
     // Default settings
     DEFAULTS: {
-        TEMPERATURE_UNIT: 'celsius',
-        WIND_UNIT: 'kmh',
-        PRESSURE_UNIT: 'hPa',
+        TEMPERATURE_UNIT: 'celsius', // 'celsius', 'fahrenheit', 'kelvin'
+        WIND_UNIT: 'kmh', // 'kmh', 'mph', 'ms', 'knots', 'beaufort'
+        PRESSURE_UNIT: 'hPa', // 'hPa', 'inHg', 'mmHg', 'kPa'
+        DISTANCE_UNIT: 'km', // 'km', 'miles'
+        PRECIPITATION_UNIT: 'mm', // 'mm', 'in'
         AUTO_REFRESH: true,
         REFRESH_INTERVAL: 300000, // 5 minutes
         REDUCE_MOTION: false,
         THEME: 'auto', // 'light', 'dark', 'auto'
-        HIGH_CONTRAST: false
+        HIGH_CONTRAST: false,
+        OBSERVATION_RETENTION_DAYS: 30, // 0 keeps observations forever
+        ALERT_NOTIFICATIONS: false, // Opt-in desktop notifications for new alerts
+        NOTIFY_SEVERITIES: ['extreme', 'severe'], // Any of 'extreme', 'severe', 'moderate', 'minor'
+        QUIET_HOURS_ENABLED: false,
+        QUIET_HOURS_START: '22:00', // Local time; extreme alerts still notify
+        QUIET_HOURS_END: '07:00',
+        HEALTH_PROFILE: 'general', // Key from HEALTH_PROFILES
+        AQI_STANDARD: 'us', // 'us' (EPA AQI), 'eu' (EAQI), 'in' (NAQI)
+        SKIN_TYPE: 2 // Fitzpatrick type, key from SKIN_TYPES
     },
 
-    // Weather condition mappings for better icons and descriptions
+    // Ensemble merging of current conditions and forecasts
+    ENSEMBLE: {
+        CURRENT_FIELDS: [
+            'temperature', 'feelsLike', 'humidity', 'pressure', 'windSpeed', 'windGust',
+            'windDirection', 'visibility', 'uvIndex', 'cloudCover', 'precipitationChance'
+        ],
+        HOURLY_FIELDS: [
+            'temp', 'feels_like', 'humidity', 'precipitation_prob', 'precipitation',
+            'wind_speed', 'wind_gust', 'wind_direction', 'pressure', 'cloud_cover', 'visibility', 'uv_index'
+        ],
+        DAILY_FIELDS: [
+            'max_temp', 'min_temp', 'precipitation_probability_max', 'precipitation_sum',
+            'wind_speed_max', 'wind_gust_max', 'wind_direction', 'uv_index_max', 'sunrise', 'sunset'
+        ],
+        HOURLY_SLOTS: 24,
+        DAILY_SLOTS: 7,
+        MAX_INTERPOLATION_GAP: 10800000, // 3 hours, the OpenWeatherMap forecast step
+        // Share of sources that must report a condition, or a more severe one, for the ensemble to show it
+        CONDITION_QUORUM: 0.5
+    },
+
+    // Internal weather condition taxonomy that every provider's codes map into (see conditions.js).
+    // Severity orders conditions roughly by impact and drives the ensemble vote; nightIcon
+    // replaces icons that show the sun.
     WEATHER_CONDITIONS: {
-        // OpenWeatherMap condition codes
-        200: { icon: '⛈️', description: 'Thunderstorm with light rain' },
-        201: { icon: '⛈️', description: 'Thunderstorm with rain' },
-        202: { icon: '⛈️', description: 'Thunderstorm with heavy rain' },
-        210: { icon: '🌩️', description: 'Light thunderstorm' },
-        211: { icon: '⛈️', description: 'Thunderstorm' },
-        212: { icon: '⛈️', description: 'Heavy thunderstorm' },
-        221: { icon: '⛈️', description: 'Ragged thunderstorm' },
-        230: { icon: '⛈️', description: 'Thunderstorm with light drizzle' },
-        231: { icon: '⛈️', description: 'Thunderstorm with drizzle' },
-        232: { icon: '⛈️', description: 'Thunderstorm with heavy drizzle' },
-        
-        300: { icon: '🌦️', description: 'Light intensity drizzle' },
-        301: { icon: '🌦️', description: 'Drizzle' },
-        302: { icon: '🌦️', description: 'Heavy intensity drizzle' },
-        310: { icon: '🌦️', description: 'Light intensity drizzle rain' },
-        311: { icon: '🌦️', description: 'Drizzle rain' },
-        312: { icon: '🌦️', description: 'Heavy intensity drizzle rain' },
-        313: { icon: '🌦️', description: 'Shower rain and drizzle' },
-        314: { icon: '🌦️', description: 'Heavy shower rain and drizzle' },
-        321: { icon: '🌦️', description: 'Shower drizzle' },
-        
-        500: { icon: '🌧️', description: 'Light rain' },
-        501: { icon: '🌧️', description: 'Moderate rain' },
-        502: { icon: '🌧️', description: 'Heavy intensity rain' },
-        503: { icon: '🌧️', description: 'Very heavy rain' },
-        504: { icon: '🌧️', description: 'Extreme rain' },
-        511: { icon: '🌨️', description: 'Freezing rain' },
-        520: { icon: '🌦️', description: 'Light intensity shower rain' },
-        521: { icon: '🌦️', description: 'Shower rain' },
-        522: { icon: '🌦️', description: 'Heavy intensity shower rain' },
-        531: { icon: '🌦️', description: 'Ragged shower rain' },
-        
-        600: { icon: '🌨️', description: 'Light snow' },
-        601: { icon: '🌨️', description: 'Snow' },
-        602: { icon: '❄️', description: 'Heavy snow' },
-        611: { icon: '🌨️', description: 'Sleet' },
-        612: { icon: '🌨️', description: 'Light shower sleet' },
-        613: { icon: '🌨️', description: 'Shower sleet' },
-        615: { icon: '🌨️', description: 'Light rain and snow' },
-        616: { icon: '🌨️', description: 'Rain and snow' },
-        620: { icon: '🌨️', description: 'Light shower snow' },
-        621: { icon: '🌨️', description: 'Shower snow' },
-        622: { icon: '❄️', description: 'Heavy shower snow' },
-        
-        701: { icon: '🌫️', description: 'Mist' },
-        711: { icon: '💨', description: 'Smoke' },
-        721: { icon: '🌫️', description: 'Haze' },
-        731: { icon: '💨', description: 'Sand/dust whirls' },
-        741: { icon: '🌫️', description: 'Fog' },
-        751: { icon: '💨', description: 'Sand' },
-        761: { icon: '💨', description: 'Dust' },
-        762: { icon: '🌋', description: 'Volcanic ash' },
-        771: { icon: '💨', description: 'Squalls' },
-        781: { icon: '🌪️', description: 'Tornado' },
-        
-        800: { icon: '☀️', description: 'Clear sky' },
-        801: { icon: '🌤️', description: 'Few clouds' },
-        802: { icon: '⛅', description: 'Scattered clouds' },
-        803: { icon: '🌥️', description: 'Broken clouds' },
-        804: { icon: '☁️', description: 'Overcast clouds' }
+        'clear': { description: 'Clear sky', icon: '☀️', nightIcon: '🌙', severity: 0 },
+        'mostly-clear': { description: 'Mainly clear', icon: '🌤️', nightIcon: '🌙', severity: 1 },
+        'partly-cloudy': { description: 'Partly cloudy', icon: '⛅', nightIcon: '☁️', severity: 2 },
+        'cloudy': { description: 'Mostly cloudy', icon: '🌥️', nightIcon: '☁️', severity: 3 },
+        'overcast': { description: 'Overcast', icon: '☁️', severity: 4 },
+        'haze': { description: 'Haze', icon: '🌫️', severity: 5 },
+        'mist': { description: 'Mist', icon: '🌫️', severity: 6 },
+        'smoke': { description: 'Smoke', icon: '💨', severity: 7 },
+        'dust': { description: 'Dust or sand', icon: '💨', severity: 8 },
+        'fog': { description: 'Fog', icon: '🌫️', severity: 9 },
+        'drizzle-light': { description: 'Light drizzle', icon: '🌦️', nightIcon: '🌧️', severity: 10 },
+        'drizzle': { description: 'Drizzle', icon: '🌦️', nightIcon: '🌧️', severity: 11 },
+        'drizzle-heavy': { description: 'Dense drizzle', icon: '🌦️', nightIcon: '🌧️', severity: 12 },
+        'rain-light': { description: 'Light rain', icon: '🌧️', severity: 13 },
+        'rain-showers': { description: 'Rain showers', icon: '🌦️', nightIcon: '🌧️', severity: 14 },
+        'rain': { description: 'Rain', icon: '🌧️', severity: 15 },
+        'snow-grains': { description: 'Snow grains', icon: '🌨️', severity: 16 },
+        'snow-light': { description: 'Light snow', icon: '🌨️', severity: 17 },
+        'snow-showers': { description: 'Snow showers', icon: '🌨️', severity: 18 },
+        'rain-heavy': { description: 'Heavy rain', icon: '🌧️', severity: 19 },
+        'rain-showers-heavy': { description: 'Heavy rain showers', icon: '🌧️', severity: 20 },
+        'snow': { description: 'Snow', icon: '🌨️', severity: 21 },
+        'sleet': { description: 'Sleet', icon: '🌨️', severity: 22 },
+        'freezing-fog': { description: 'Freezing fog', icon: '🌫️', severity: 23 },
+        'freezing-drizzle': { description: 'Freezing drizzle', icon: '🌨️', severity: 24 },
+        'snow-showers-heavy': { description: 'Heavy snow showers', icon: '❄️', severity: 25 },
+        'snow-heavy': { description: 'Heavy snow', icon: '❄️', severity: 26 },
+        'freezing-rain': { description: 'Freezing rain', icon: '🌨️', severity: 27 },
+        'thunderstorm': { description: 'Thunderstorm', icon: '⛈️', severity: 28 },
+        'thunderstorm-hail': { description: 'Thunderstorm with hail', icon: '⛈️', severity: 29 },
+        'squalls': { description: 'Squalls', icon: '💨', severity: 30 },
+        'ash': { description: 'Volcanic ash', icon: '🌋', severity: 31 },
+        'tornado': { description: 'Tornado', icon: '🌪️', severity: 32 }
     },
 
-    // Air Quality Index levels and health advice
+    // Air Quality Index levels and health advice for each standard in aqi.js
     AQI_LEVELS: {
-        0: { label: 'Good', color: '#00e400', advice: 'Air quality is great! Perfect for outdoor activities.' },
-        1: { label: 'Fair', color: '#ffff00', advice: 'Air quality is acceptable for most people.' },
-        2: { label: 'Moderate', color: '#ff7e00', advice: 'Sensitive individuals should consider limiting outdoor activities.' },
-        3: { label: 'Poor', color: '#ff0000', advice: 'Everyone should limit outdoor activities.' },
-        4: { label: 'Very Poor', color: '#8f3f97', advice: 'Avoid outdoor activities. Keep windows closed.' }
+        us: [
+            { max: 50, label: 'Good', color: '#00e400', advice: 'Air quality is great! Perfect for outdoor activities.' },
+            { max: 100, label: 'Moderate', color: '#ffff00', advice: 'Air quality is acceptable for most people.' },
+            { max: 150, label: 'Unhealthy for Sensitive Groups', color: '#ff7e00', advice: 'Sensitive individuals should limit outdoor activities.' },
+            { max: 200, label: 'Unhealthy', color: '#ff0000', advice: 'Everyone should limit outdoor activities.' },
+            { max: 300, label: 'Very Unhealthy', color: '#8f3f97', advice: 'Avoid outdoor activities. Keep windows closed.' },
+            { max: Infinity, label: 'Hazardous', color: '#7e0023', advice: 'Emergency conditions. Stay indoors.' }
+        ],
+        eu: [
+            { max: 1, label: 'Good', color: '#50f0e6', advice: 'Air quality is good. Enjoy your usual outdoor activities.' },
+            { max: 2, label: 'Fair', color: '#50ccaa', advice: 'Air quality is fair. Enjoy your usual outdoor activities.' },
+            { max: 3, label: 'Moderate', color: '#f0e641', advice: 'Sensitive individuals should consider reducing intense outdoor activities.' },
+            { max: 4, label: 'Poor', color: '#ff5050', advice: 'Consider reducing intense outdoor activities, especially if you have symptoms.' },
+            { max: 5, label: 'Very Poor', color: '#960032', advice: 'Reduce physical activity outdoors. Sensitive individuals should avoid it.' },
+            { max: Infinity, label: 'Extremely Poor', color: '#7d2181', advice: 'Avoid outdoor physical activity. Keep windows closed.' }
+        ],
+        in: [
+            { max: 50, label: 'Good', color: '#009933', advice: 'Minimal impact. Enjoy outdoor activities.' },
+            { max: 100, label: 'Satisfactory', color: '#58ff09', advice: 'Minor breathing discomfort possible for sensitive people.' },
+            { max: 200, label: 'Moderate', color: '#ffff00', advice: 'Breathing discomfort possible for people with lung or heart disease, children and older adults.' },
+            { max: 300, label: 'Poor', color: '#ffa500', advice: 'Breathing discomfort likely on prolonged exposure. Limit outdoor exertion.' },
+            { max: 400, label: 'Very Poor', color: '#ff0000', advice: 'Respiratory illness likely on prolonged exposure. Avoid outdoor activities.' },
+            { max: Infinity, label: 'Severe', color: '#990000', advice: 'Affects healthy people too. Stay indoors and keep windows closed.' }
+        ]
+    },
+
+    // Pollen species from the Open-Meteo air quality API (CAMS, Europe only) and level thresholds
+    POLLEN: {
+        SPECIES: {
+            alder: { label: 'Alder', icon: '🌳', group: 'tree' },
+            birch: { label: 'Birch', icon: '🌳', group: 'tree' },
+            olive: { label: 'Olive', icon: '🫒', group: 'tree' },
+            grass: { label: 'Grass', icon: '🌾', group: 'grass' },
+            ragweed: { label: 'Ragweed', icon: '🌿', group: 'weed' },
+            mugwort: { label: 'Mugwort', icon: '🌿', group: 'weed' }
+        },
+        // Upper bounds in grains/m³ for Low, Moderate and High; anything above is Very High
+        THRESHOLDS: {
+            tree: [14, 89, 1499],
+            grass: [4, 19, 199],
+            weed: [9, 49, 499]
+        },
+        LEVELS: [
+            { label: 'None', color: '#9e9e9e' },
+            { label: 'Low', color: '#00e400' },
+            { label: 'Moderate', color: '#ffff00' },
+            { label: 'High', color: '#ff7e00' },
+            { label: 'Very High', color: '#ff0000' }
+        ],
+        FORECAST_DAYS: 4
+    },
+
+    // Sensitivity profiles for health tips
+    HEALTH_PROFILES: {
+        general: 'General',
+        asthma: 'Asthma or respiratory conditions',
+        elderly: 'Older adults',
+        infants: 'Infants and young children',
+        outdoor: 'Outdoor workers',
+        athletes: 'Athletes'
     },
 
+    // Health tip rules, evaluated in order by health.js
+    // source: 'current' conditions, 'hourly' or 'pollen' forecast over the next `hours` (reduced
+    // with `aggregate` 'max' or 'min') or 'airQuality' (US AQI). Metrics use the hourly field names
+    // or the other metrics in WatchRules.METRICS.
+    // threshold and message take a default plus per-profile overrides; a null threshold turns
+    // the rule off for that profile. Thresholds are in base units (°C, km/h, %).
+    // {value} and {time} in messages are replaced with the reading that fired the rule.
+    HEALTH_RULES: [
+        {
+            id: 'uv', name: 'UV exposure', icon: '☀️',
+            source: 'hourly', metric: 'uv_index', hours: 12, aggregate: 'max', operator: '>=',
+            threshold: { default: 3, infants: 1, outdoor: 2, athletes: 2 },
+            message: {
+                default: 'UV peaks at {value} around {time}. Wear sunscreen and protective clothing.',
+                infants: 'UV reaches {value} around {time}. Keep babies in the shade with a hat and light, covering clothes.',
+                outdoor: 'UV peaks at {value} around {time}. Reapply sunscreen every two hours and cover your neck.'
+            }
+        },
+        {
+            id: 'heat', name: 'Heat stress', icon: '🌡️',
+            source: 'hourly', metric: 'feels_like', hours: 12, aggregate: 'max', operator: '>',
+            threshold: { default: 30, elderly: 27, infants: 27, outdoor: 28, athletes: 26 },
+            message: {
+                default: 'Feels like {value} around {time}. Stay hydrated and avoid prolonged sun exposure.',
+                elderly: 'Feels like {value} around {time}. Stay somewhere cool during the hottest hours and drink regularly, even if you are not thirsty.',
+                infants: 'Feels like {value} around {time}. Dress little ones lightly, keep them in the shade and offer fluids often.',
+                outdoor: 'Feels like {value} around {time}. Schedule heavy work for cooler hours and take regular breaks in the shade.',
+                athletes: 'Feels like {value} around {time}. Train early or late and drink before, during and after exercise.'
+            }
+        },
+        {
+            id: 'cold', name: 'Cold exposure', icon: '❄️',
+            source: 'hourly', metric: 'feels_like', hours: 12, aggregate: 'min', operator: '<',
+            threshold: { default: 0, asthma: 5, elderly: 5, infants: 5 },
+            message: {
+                default: 'Feels like {value} around {time}. Dress warmly and watch for icy conditions.',
+                asthma: 'Cold air, feeling like {value} around {time}, can trigger symptoms. Cover your nose and mouth outdoors.',
+                elderly: 'Feels like {value} around {time}. Keep your home heated and wear layers.',
+                infants: 'Feels like {value} around {time}. Dress little ones in layers and cover their heads and hands.'
+            }
+        },
+        {
+            id: 'humid', name: 'High humidity', icon: '💧',
+            source: 'current', metric: 'humidity', operator: '>',
+            threshold: { default: 70, asthma: 60, athletes: 60 },
+            message: {
+                default: 'Humidity is {value}, which may make it feel warmer. Stay cool and hydrated.',
+                asthma: 'Humidity is {value}. Damp air can make breathing harder, so keep your reliever inhaler handy.',
+                athletes: 'Humidity is {value}. Sweat evaporates slowly, so ease off the pace and drink more.'
+            }
+        },
+        {
+            id: 'dry', name: 'Dry air', icon: '🏜️',
+            source: 'current', metric: 'humidity', operator: '<',
+            threshold: { default: 30, asthma: 35 },
+            message: {
+                default: 'Humidity is {value}, which may cause dry skin. Use moisturiser and stay hydrated.',
+                asthma: 'Humidity is {value}. Dry air can irritate your airways, so drink plenty of water.'
+            }
+        },
+        {
+            id: 'air-quality', name: 'Air quality', icon: '😷',
+            source: 'airQuality', metric: 'aqi', operator: '>',
+            threshold: { default: 100, asthma: 50, elderly: 50, infants: 50, athletes: 50 },
+            message: {
+                default: 'US AQI is {value}. Consider wearing a mask outdoors.',
+                asthma: 'US AQI is {value}. Limit time outdoors and keep your inhaler with you.',
+                infants: 'US AQI is {value}. Keep outdoor play short and gentle.',
+                athletes: 'US AQI is {value}. Move hard training indoors or keep it short.'
+            }
+        },
+        {
+            id: 'pollen', name: 'Pollen', icon: '🤧',
+            source: 'pollen', metric: 'pollen_level', hours: 12, aggregate: 'max', operator: '>=',
+            threshold: { default: 3, asthma: 2, infants: 2 },
+            message: {
+                default: 'Pollen is {value} around {time}. If you have hay fever, take your antihistamine early and keep windows closed.',
+                asthma: 'Pollen is {value} around {time}. Pollen can set off asthma, so keep your inhaler with you.',
+                athletes: 'Pollen is {value} around {time}. Train indoors or after rain if pollen affects you.'
+            }
+        },
+        {
+            id: 'wind', name: 'Strong wind', icon: '💨',
+            source: 'hourly', metric: 'wind_gust', hours: 12, aggregate: 'max', operator: '>',
+            threshold: { default: 50, elderly: 40, outdoor: 40 },
+            message: {
+                default: 'Gusts up to {value} around {time}. Secure loose objects and be cautious when driving.',
+                elderly: 'Gusts up to {value} around {time}. Take care on your feet and hold on to railings.',
+                outdoor: 'Gusts up to {value} around {time}. Take care working at height or with ladders.'
+            }
+        },
+        {
+            id: 'rain', name: 'Rain', icon: '🌧️',
+            source: 'hourly', metric: 'precipitation_prob', hours: 12, aggregate: 'max', operator: '>=',
+            threshold: { default: null, outdoor: 60, athletes: 60 },
+            message: {
+                default: 'Rain is likely ({value}) around {time}. Pack waterproofs.',
+                athletes: 'Rain is likely ({value}) around {time}. Plan your session around it.'
+            }
+        }
+    ],
+
     // UV Index levels and recommendations
     UV_LEVELS: {
-        0: { level: 'Low', advice: 'No protection needed' },
-        3: { level: 'Moderate', advice: 'Some protection required' },
-        6: { level: 'High', advice: 'Protection essential' },
-        8: { level: 'Very High', advice: 'Extra protection needed' },
-        11: { level: 'Extreme', advice: 'Avoid sun exposure' }
+        0: { level: 'Low', color: '#289500', advice: 'No protection needed' },
+        3: { level: 'Moderate', color: '#f7e400', advice: 'Some protection required' },
+        6: { level: 'High', color: '#f85900', advice: 'Protection essential' },
+        8: { level: 'Very High', color: '#d8001d', advice: 'Extra protection needed' },
+        11: { level: 'Extreme', color: '#6b49c8', advice: 'Avoid sun exposure' }
+    },
+
+    // Fitzpatrick skin types and their minimal erythemal dose (MED) in J/m² of erythemal UV
+    SKIN_TYPES: {
+        1: { label: 'Type I: always burns, never tans', med: 200 },
+        2: { label: 'Type II: usually burns, tans minimally', med: 250 },
+        3: { label: 'Type III: sometimes burns, tans gradually', med: 300 },
+        4: { label: 'Type IV: rarely burns, tans easily', med: 450 },
+        5: { label: 'Type V: very rarely burns, tans darkly', med: 600 },
+        6: { label: 'Type VI: never burns', med: 1000 }
     },
 
+    // Heat stress by wet-bulb globe temperature (°C), following the US military flag zones
+    HEAT_STRESS_LEVELS: [
+        { max: 27.8, label: 'Low', color: '#289500', advice: 'Normal activity' },
+        { max: 29.4, label: 'Moderate', color: '#7ac143', advice: 'Take regular breaks and drink water' },
+        { max: 31.0, label: 'High', color: '#f7e400', advice: 'Limit intense exercise and rest in the shade often' },
+        { max: 32.2, label: 'Very High', color: '#d8001d', advice: 'Cut strenuous activity short' },
+        { max: Infinity, label: 'Extreme', color: '#1a1a1a', advice: 'Avoid strenuous activity outdoors' }
+    ],
+
     // Application constants
     APP: {
         NAME: 'WeatherSync',
         VERSION: '1.0.0',
-        CACHE_DURATION: 300000, // 5 minutes
-        MAX_OBSERVATIONS: 50,
+        CACHE_DURATION: 300000, // 5 minutes - default TTL for cached API responses
+        CACHE_TTL: {
+            // Per endpoint type; anything not listed uses CACHE_DURATION
+            hourly: 1800000, // 30 minutes
+            daily: 10800000, // 3 hours
+            airQuality: 1800000, // 30 minutes
+            alerts: 120000, // 2 minutes
+            capDocument: 86400000, // 24 hours - CAP messages never change once issued
+            zones: 604800000, // 7 days - NWS point metadata and zone outlines
+            geocode: 86400000 // 24 hours
+        },
+        CACHE_STALE_WINDOW: 86400000, // Serve expired responses while revalidating for up to 24 hours
+        OBSERVATION_RETENTION: {
+            MAX_ITEMS: 1000 // Hard cap regardless of age
+        },
+        LOCATION_SUMMARY_INTERVAL: 600000, // Refresh saved location summaries every 10 minutes
+        ALERT_NEARBY_DISTANCE: 50, // km - alerts whose area is closer than this are shown as nearby
+        ALERT_ZONE_LOOKUPS: 25, // Zone outlines fetched per refresh for NOAA alerts issued without a polygon
+        ALERT_HISTORY_RETENTION: 2592000000, // Keep alert history for 30 days
         ANIMATION_DURATION: 300,
-        DEBOUNCE_DELAY: 500
+        DEBOUNCE_DELAY: 500,
+        RECENT_SEARCHES_LIMIT: 5,
+        AQI_FORECAST_HOURS: 72, // Length of the hourly air quality strip
+        CLEAN_AIR_WINDOW: { HOURS: 3, START: 6, END: 22 }, // Cleanest run of hours between these local hours
+        UV_SAFE_EXPOSURE: 60, // Minutes unprotected an hour must allow to count as a safe window
+        PRESSURE_HISTORY_HOURS: 24, // Past hours of pressure requested and kept in stored readings
+        PRESSURE_SPARKLINE_HOURS: 12, // Hours either side of now in the pressure sparkline
+        PRESSURE_READING_INTERVAL: 900000, // 15 minutes - minimum time between stored pressure readings
+        GUST_MIN_EXCESS: 18.5 // km/h (10 kt, the METAR rule) - gusts are only shown this far above the sustained wind
     }
 };
 
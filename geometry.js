@@ -0,0 +1,259 @@
+/**
+ * IndraCast - Alert area geometry
+ * Point-in-polygon and distance tests against GeoJSON alert areas, zone/county and region
+ * matching for alerts issued without a polygon, and SVG outlines of affected areas.
+ */
+
+const Geometry = {
+    KM_PER_DEGREE_LAT: 110.574,
+    KM_PER_DEGREE_LON: 111.32,
+
+    /**
+     * Get the polygons of a GeoJSON geometry
+     * @param {Object|null} geometry - Polygon, MultiPolygon or GeometryCollection
+     * @returns {Array} Polygons, each an array of rings of [lon, lat] pairs
+     */
+    getPolygons(geometry) {
+        if (!geometry) return [];
+
+        switch (geometry.type) {
+            case 'Polygon':
+                return [geometry.coordinates];
+            case 'MultiPolygon':
+                return geometry.coordinates;
+            case 'GeometryCollection':
+                return geometry.geometries.flatMap(part => this.getPolygons(part));
+            default:
+                return [];
+        }
+    },
+
+    /**
+     * Merge several geometries into one
+     * @param {Array} geometries - GeoJSON geometries (nulls are skipped)
+     * @returns {Object|null} MultiPolygon, or null if there were no polygons
+     */
+    merge(geometries) {
+        const polygons = geometries.flatMap(geometry => this.getPolygons(geometry));
+        return polygons.length > 0 ? { type: 'MultiPolygon', coordinates: polygons } : null;
+    },
+
+    /**
+     * Ray-casting test for a point in a single ring
+     * @param {Array} point - [lon, lat]
+     * @param {Array} ring - Ring of [lon, lat] pairs
+     * @returns {boolean} True if the point is inside the ring
+     */
+    pointInRing([x, y], ring) {
+        let inside = false;
+
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [xi, yi] = ring[i];
+            const [xj, yj] = ring[j];
+
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    },
+
+    /**
+     * Check whether a location lies inside a geometry (holes excluded)
+     * @param {Object|null} geometry - GeoJSON geometry
+     * @param {Object} location - Location with lat and lon
+     * @returns {boolean} True if inside
+     */
+    contains(geometry, location) {
+        const point = [location.lon, location.lat];
+
+        return this.getPolygons(geometry).some(([outer, ...holes]) =>
+            this.pointInRing(point, outer) && !holes.some(hole => this.pointInRing(point, hole))
+        );
+    },
+
+    /**
+     * Distance from a location to the nearest edge of a geometry
+     * Uses a local flat projection around the location, which is accurate to well under
+     * a kilometre at the distances "nearby" alerts are reported for.
+     * @param {Object|null} geometry - GeoJSON geometry
+     * @param {Object} location - Location with lat and lon
+     * @returns {number} Distance in km (0 when inside, Infinity without geometry)
+     */
+    distanceTo(geometry, location) {
+        if (this.contains(geometry, location)) return 0;
+
+        const lonScale = this.KM_PER_DEGREE_LON * Math.cos(location.lat * Math.PI / 180);
+        const project = ([lon, lat]) => [(lon - location.lon) * lonScale, (lat - location.lat) * this.KM_PER_DEGREE_LAT];
+        let nearest = Infinity;
+
+        this.getPolygons(geometry).flat().forEach(ring => {
+            for (let i = 1; i < ring.length; i++) {
+                nearest = Math.min(nearest, this.distanceToSegment(project(ring[i - 1]), project(ring[i])));
+            }
+        });
+
+        return nearest;
+    },
+
+    /**
+     * Distance from the origin to a line segment
+     * @param {Array} a - Segment start [x, y]
+     * @param {Array} b - Segment end [x, y]
+     * @returns {number} Distance in the same units as the inputs
+     */
+    distanceToSegment([ax, ay], [bx, by]) {
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+        return Math.hypot(ax + t * dx, ay + t * dy);
+    },
+
+    /**
+     * Get the zone/county IDs from a zone URL list or UGC codes
+     * @param {Array<string>} zones - Zone URLs (".../zones/county/NYC061") or IDs
+     * @returns {Array<string>} Zone IDs
+     */
+    getZoneIds(zones = []) {
+        return zones.filter(Boolean).map(zone => String(zone).split('/').pop().toUpperCase());
+    },
+
+    /**
+     * Normalize a region name or code for comparison ("Île-de-France" -> "ile de france")
+     * @param {string} name - Region name or code
+     * @returns {string} Lowercase name without accents or punctuation
+     */
+    normalizeRegion(name) {
+        return String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    },
+
+    /**
+     * Get the normalized regions a location belongs to
+     * Uses the administrative areas saved with the location, plus the parts of its
+     * "Place, State" name for locations saved before those were recorded.
+     * @param {Object} location - Location with name and optional regions
+     * @returns {Array<string>} Normalized region names
+     */
+    getRegionKeys(location) {
+        const names = [...(location.regions || []), ...String(location.name || '').split(',')];
+        return [...new Set(names.map(name => this.normalizeRegion(name)).filter(Boolean))];
+    },
+
+    /**
+     * Get the normalized areas an alert was issued for
+     * @param {Object} alert - Alert feature with areaDesc ("Area; Area") and geocode ({ name: [codes] })
+     * @returns {Array<string>} Normalized area names and codes
+     */
+    getAlertAreaKeys(alert) {
+        const { areaDesc, geocode = {} } = alert.properties || {};
+        const names = [...String(areaDesc || '').split(';'), ...Object.values(geocode).flat()];
+        return names.map(name => this.normalizeRegion(name)).filter(Boolean);
+    },
+
+    /**
+     * Work out how an alert relates to a location
+     * Alerts with a polygon are tested against it. Alerts issued by zone or county (no polygon)
+     * count as inside when they list one of the location's zones, otherwise the outlines of their
+     * zones decide whether they are nearby. Zone alerts whose outlines weren't fetched can't be
+     * measured and are dropped. Alerts with neither (national feeds that
+     * name their regions) count as inside only when an area name or code matches one of the
+     * location's regions.
+     * @param {Object} alert - GeoJSON alert feature
+     * @param {Object} location - Location with lat and lon
+     * @param {Object} [options] - { zones: location zone IDs, zoneGeometries: { id: geometry }, nearbyDistance: km,
+     *                             matched: true when the source already matched the alert to the location,
+     *                             regions: normalized location regions from getRegionKeys() }
+     * @returns {Object|null} { relation: 'inside'|'nearby', distance: km, geometry }, or null when unrelated
+     */
+    matchAlert(alert, location, {
+        zones = [], zoneGeometries = {}, nearbyDistance = CONFIG.APP.ALERT_NEARBY_DISTANCE, matched = false, regions = []
+    } = {}) {
+        const properties = alert.properties || {};
+        const alertZones = this.getZoneIds([...(properties.affectedZones || []), ...(properties.geocode?.UGC || [])]);
+        const geometry = alert.geometry || this.merge(alertZones.map(id => zoneGeometries[id]));
+
+        if (matched) return { relation: 'inside', distance: 0, geometry };
+
+        if (alert.geometry) {
+            if (this.contains(geometry, location)) return { relation: 'inside', distance: 0, geometry };
+        } else if (alertZones.some(id => zones.includes(id))) {
+            return { relation: 'inside', distance: 0, geometry };
+        }
+
+        if (!geometry) {
+            // Nothing to measure: zone alerts for other zones are left out, feed alerts only
+            // apply where they name one of the location's regions
+            if (alertZones.length > 0) return null;
+
+            return this.getAlertAreaKeys(alert).some(area => regions.includes(area))
+                ? { relation: 'inside', distance: 0, geometry: null }
+                : null;
+        }
+
+        const distance = this.distanceTo(geometry, location);
+        if (distance === 0) return { relation: 'inside', distance: 0, geometry };
+
+        return distance <= nearbyDistance ? { relation: 'nearby', distance, geometry } : null;
+    },
+
+    /**
+     * Check whether an alert is close enough to the location to notify about
+     * Alerts covering the location always count. Nearby ones only count when the alert carries
+     * its own polygon, since zone outlines can be far larger than the area actually affected.
+     * @param {Object} alert - Alert feature with a match from matchAlert()
+     * @param {number} [nearbyDistance] - Furthest distance in km
+     * @returns {boolean} True if the alert may notify
+     */
+    isNotifiable(alert, nearbyDistance = CONFIG.APP.ALERT_NEARBY_DISTANCE) {
+        const match = alert.match;
+        if (match?.relation === 'inside') return true;
+
+        return match?.relation === 'nearby' && Boolean(alert.geometry) &&
+            Number.isFinite(match.distance) && match.distance <= nearbyDistance;
+    },
+
+    /**
+     * Project a geometry and a location marker into SVG coordinates
+     * @param {Object} geometry - GeoJSON geometry
+     * @param {Object} location - Location with lat and lon, always kept in view
+     * @param {Object} [options] - { size, padding } in SVG units
+     * @returns {Object|null} { size, path, marker: { x, y } }
+     */
+    toSvgOutline(geometry, location, { size = 120, padding = 8 } = {}) {
+        const rings = this.getPolygons(geometry).flat();
+        if (rings.length === 0) return null;
+
+        const points = [...rings.flat(), [location.lon, location.lat]];
+        const lats = points.map(point => point[1]);
+        const lonScale = Math.cos(((Math.min(...lats) + Math.max(...lats)) / 2) * Math.PI / 180);
+        const projected = points.map(([lon, lat]) => [lon * lonScale, -lat]);
+
+        const xs = projected.map(point => point[0]);
+        const ys = projected.map(point => point[1]);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+        const scale = (size - padding * 2) / span;
+
+        const toSvg = ([lon, lat]) => [
+            +(padding + (lon * lonScale - minX) * scale).toFixed(1),
+            +(padding + (-lat - minY) * scale).toFixed(1)
+        ];
+
+        const path = rings.map(ring =>
+            ring.map((point, index) => `${index === 0 ? 'M' : 'L'}${toSvg(point).join(' ')}`).join(' ') + ' Z'
+        ).join(' ');
+        const [x, y] = toSvg([location.lon, location.lat]);
+
+        return { size, path, marker: { x, y } };
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geometry;
+}
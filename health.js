@@ -0,0 +1,98 @@
+/**
+ * IndraCast - Health tip rule engine
+ * Evaluates the declarative rules in CONFIG.HEALTH_RULES for a sensitivity profile against
+ * the current conditions, the upcoming hourly forecast and air quality. Metric labels, units
+ * and comparison operators are shared with the watch rules in rules.js.
+ */
+
+const HealthRules = {
+    // Current-conditions field for each hourly metric name used in rules
+    CURRENT_FIELDS: {
+        temp: 'temperature',
+        feels_like: 'feelsLike',
+        humidity: 'humidity',
+        dew_point: 'dewPoint',
+        wind_speed: 'windSpeed',
+        uv_index: 'uvIndex',
+        precipitation_prob: 'precipitationChance'
+    },
+
+    /**
+     * Pick a rule setting for a profile
+     * @param {*} setting - A plain value, or { default, [profile]: value }
+     * @param {string} profile - Profile key from CONFIG.HEALTH_PROFILES
+     * @returns {*} The profile's value, falling back to the default
+     */
+    forProfile(setting, profile) {
+        if (setting === null || typeof setting !== 'object') return setting;
+        return profile in setting ? setting[profile] : setting.default;
+    },
+
+    /**
+     * Read the value a rule looks at
+     * Hourly rules reduce the next `hours` of the forecast to its peak (aggregate 'max') or
+     * low point (aggregate 'min'), keeping the earliest hour it occurs at.
+     * @param {Object} rule - Health rule
+     * @param {Object} data - { current, hourly, aqi, pollen, utcOffset }
+     * @param {number} now - Current time in milliseconds
+     * @returns {Object|null} { value, time }, or null when there is no data
+     */
+    getReading(rule, data, now) {
+        if (rule.source === 'current') {
+            const value = data.current?.[this.CURRENT_FIELDS[rule.metric]];
+            return Number.isFinite(value) ? { value, time: now } : null;
+        }
+
+        const range = { start: now, end: now + (rule.hours || 0) * 3600000 };
+        const values = WatchRules.getValues(rule.metric, data, range, now);
+        if (values.length === 0) return null;
+
+        const lowest = rule.aggregate === 'min';
+        return values.reduce((best, reading) => (lowest ? reading.value < best.value : reading.value > best.value) ? reading : best);
+    },
+
+    /**
+     * Evaluate one rule for a profile
+     * @param {Object} rule - Health rule
+     * @param {string} profile - Profile key
+     * @param {Object} data - { current, hourly, aqi, utcOffset }
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object|null} { rule, threshold, message, value, time } when the rule fires
+     */
+    evaluate(rule, profile, data, now = Date.now()) {
+        const threshold = this.forProfile(rule.threshold, profile);
+        if (threshold === null || threshold === undefined) return null;
+
+        const reading = this.getReading(rule, data, now);
+        if (!reading || !WatchRules.OPERATORS[rule.operator].test(reading.value, threshold)) return null;
+
+        return { rule, threshold, message: this.forProfile(rule.message, profile), ...reading };
+    },
+
+    /**
+     * Evaluate a rule set for a profile
+     * @param {Array} rules - Health rules, in display order
+     * @param {string} profile - Profile key
+     * @param {Object} data - { current, hourly, aqi, utcOffset }
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Array} Fired rules as returned by evaluate()
+     */
+    evaluateAll(rules, profile, data, now = Date.now()) {
+        return rules.map(rule => this.evaluate(rule, profile, data, now)).filter(Boolean);
+    },
+
+    /**
+     * Check whether a profile has its own threshold for a rule
+     * @param {Object} rule - Health rule
+     * @param {string} profile - Profile key
+     * @returns {boolean} True if the threshold differs from the default
+     */
+    isTailored(rule, profile) {
+        return typeof rule.threshold === 'object' && rule.threshold !== null && profile in rule.threshold;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HealthRules;
+}
@@ -0,0 +1,155 @@
+/**
+ * IndraCast - Derived comfort metrics
+ * Dew point, heat index, wind chill, humidex and wet-bulb globe temperature computed from
+ * temperature (°C), relative humidity (%) and wind speed (km/h), so every provider's data is
+ * interpreted with the same formulas instead of each one's own "feels like".
+ */
+
+const Meteo = {
+    // Magnus coefficients (Alduchov & Eskridge), good to 0.1 °C between -40 and 50 °C
+    MAGNUS: { a: 6.112, b: 17.62, c: 243.12 },
+
+    /**
+     * Water vapour pressure
+     * @param {number} temp - Air temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number} Vapour pressure in hPa
+     */
+    vaporPressure(temp, humidity) {
+        const { a, b, c } = this.MAGNUS;
+        return a * Math.exp(b * temp / (c + temp)) * humidity / 100;
+    },
+
+    /**
+     * Dew point
+     * @param {number} temp - Air temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number|null} Dew point in °C, or null without valid inputs
+     */
+    dewPoint(temp, humidity) {
+        if (!Number.isFinite(temp) || !Number.isFinite(humidity) || humidity <= 0) return null;
+
+        const { b, c } = this.MAGNUS;
+        const gamma = Math.log(Math.min(humidity, 100) / 100) + b * temp / (c + temp);
+        return c * gamma / (b - gamma);
+    },
+
+    /**
+     * NWS heat index (Rothfusz regression with the NWS low- and high-humidity adjustments)
+     * @param {number} temp - Air temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number|null} Heat index in °C, or null below 26.7 °C (80 °F) where it isn't defined
+     */
+    heatIndex(temp, humidity) {
+        if (!Number.isFinite(temp) || !Number.isFinite(humidity)) return null;
+
+        const T = temp * 9 / 5 + 32;
+        const RH = humidity;
+        if (T < 80) return null;
+
+        // Steadman's simple formula is used unless it reaches 80 °F
+        let index = 0.5 * (T + 61 + (T - 68) * 1.2 + RH * 0.094);
+
+        if ((index + T) / 2 >= 80) {
+            index = -42.379 + 2.04901523 * T + 10.14333127 * RH - 0.22475541 * T * RH -
+                0.00683783 * T * T - 0.05481717 * RH * RH + 0.00122874 * T * T * RH +
+                0.00085282 * T * RH * RH - 0.00000199 * T * T * RH * RH;
+
+            if (RH < 13 && T <= 112) {
+                index -= (13 - RH) / 4 * Math.sqrt((17 - Math.abs(T - 95)) / 17);
+            } else if (RH > 85 && T <= 87) {
+                index += (RH - 85) / 10 * (87 - T) / 5;
+            }
+        }
+
+        return (index - 32) * 5 / 9;
+    },
+
+    /**
+     * Wind chill (the 2001 JAG/TI formula used by the NWS and Environment Canada)
+     * @param {number} temp - Air temperature in °C
+     * @param {number} windSpeed - Wind speed at 10 m in km/h
+     * @returns {number|null} Wind chill in °C, or null above 10 °C or in winds of 4.8 km/h or less
+     */
+    windChill(temp, windSpeed) {
+        if (!Number.isFinite(temp) || !Number.isFinite(windSpeed)) return null;
+        if (temp > 10 || windSpeed <= 4.8) return null;
+
+        const v = windSpeed ** 0.16;
+        return 13.12 + 0.6215 * temp - 11.37 * v + 0.3965 * temp * v;
+    },
+
+    /**
+     * Environment Canada humidex
+     * @param {number} temp - Air temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number|null} Humidex, or null when it isn't reported (below 20 °C or a humidex under 25)
+     */
+    humidex(temp, humidity) {
+        const dewPoint = this.dewPoint(temp, humidity);
+        if (dewPoint === null || temp < 20) return null;
+
+        const vapor = 6.11 * Math.exp(5417.7530 * (1 / 273.16 - 1 / (273.15 + dewPoint)));
+        const value = temp + 0.5555 * (vapor - 10);
+        return value >= 25 ? value : null;
+    },
+
+    /**
+     * Approximate wet-bulb globe temperature
+     * Uses the Australian Bureau of Meteorology estimate from temperature and humidity, which
+     * assumes shade and light wind; full sun can add several degrees.
+     * @param {number} temp - Air temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @returns {number|null} WBGT in °C
+     */
+    wbgt(temp, humidity) {
+        if (!Number.isFinite(temp) || !Number.isFinite(humidity)) return null;
+        return 0.567 * temp + 0.393 * this.vaporPressure(temp, humidity) + 3.94;
+    },
+
+    /**
+     * Feels-like temperature: heat index when hot, wind chill when cold and windy, else the air temperature
+     * @param {number} temp - Air temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @param {number} windSpeed - Wind speed in km/h
+     * @returns {Object|null} { value, method } with method 'heatIndex', 'windChill' or 'air'
+     */
+    feelsLike(temp, humidity, windSpeed) {
+        if (!Number.isFinite(temp)) return null;
+
+        const heatIndex = this.heatIndex(temp, humidity);
+        if (heatIndex !== null) return { value: heatIndex, method: 'heatIndex' };
+
+        const windChill = this.windChill(temp, windSpeed);
+        if (windChill !== null) return { value: windChill, method: 'windChill' };
+
+        return { value: temp, method: 'air' };
+    },
+
+    /**
+     * Compute every comfort metric at once
+     * @param {number} temp - Air temperature in °C
+     * @param {number} humidity - Relative humidity in %
+     * @param {number} windSpeed - Wind speed in km/h
+     * @returns {Object} { dewPoint, heatIndex, windChill, humidex, wbgt, feelsLike }, values in °C
+     *                   rounded to 0.1 or null, with feelsLike as returned by feelsLike()
+     */
+    calculate(temp, humidity, windSpeed) {
+        const round = (value) => value === null ? null : Math.round(value * 10) / 10;
+        const feelsLike = this.feelsLike(temp, humidity, windSpeed);
+
+        return {
+            dewPoint: round(this.dewPoint(temp, humidity)),
+            heatIndex: round(this.heatIndex(temp, humidity)),
+            windChill: round(this.windChill(temp, windSpeed)),
+            humidex: round(this.humidex(temp, humidity)),
+            wbgt: round(this.wbgt(temp, humidity)),
+            feelsLike: feelsLike && { ...feelsLike, value: round(feelsLike.value) }
+        };
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Meteo;
+}
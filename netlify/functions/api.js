@@ -0,0 +1,50 @@
+/**
+ * Netlify entry point for the API proxy
+ * netlify.toml rewrites /api/* here. Netlify passes an event rather than Node's (req, res), so
+ * the request is replayed against the shared handlers in api/ and the response collected.
+ */
+
+const { findRoute } = require('../../api/_lib/routes');
+
+/**
+ * Handle a Netlify function event
+ * @param {Object} event - Netlify event
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+exports.handler = async (event) => {
+    // The rewrite keeps the original /api/... path; direct calls arrive under /.netlify/functions/api
+    const pathname = event.path.replace(/^\/\.netlify\/functions\/api(\/|$)/, '/api/');
+    const handler = findRoute(pathname);
+    if (!handler) {
+        return {
+            statusCode: 404,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: 'Unknown API route' })
+        };
+    }
+
+    const headers = event.headers || {};
+    const query = event.rawQuery ?? new URLSearchParams(event.queryStringParameters || {}).toString();
+    const req = {
+        method: event.httpMethod,
+        url: query ? `${pathname}?${query}` : pathname,
+        headers,
+        // Netlify's edge sets this header itself, so unlike X-Forwarded-For it can't be spoofed
+        socket: { remoteAddress: headers['x-nf-client-connection-ip'] }
+    };
+
+    return new Promise((resolve, reject) => {
+        const responseHeaders = {};
+        const res = {
+            statusCode: 200,
+            setHeader(name, value) {
+                responseHeaders[name] = String(value);
+            },
+            end(body = '') {
+                resolve({ statusCode: this.statusCode, headers: responseHeaders, body: String(body) });
+            }
+        };
+
+        Promise.resolve(handler(req, res)).catch(reject);
+    });
+};
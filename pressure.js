@@ -0,0 +1,127 @@
+/**
+ * IndraCast - Barometric pressure tendency
+ * Classifies how fast sea-level pressure is changing using the Met Office tendency terms and
+ * turns pressure and its trend into a short-range outlook with a Zambretti-style forecaster.
+ * Zambretti was designed for the British Isles, so elsewhere the outlook is only a rough guide.
+ */
+
+const Pressure = {
+    // Upper bounds of each class for the absolute change in hPa over 3 hours
+    TENDENCY_CLASSES: [
+        { max: 0.1, label: 'steady' },
+        { max: 1.6, label: 'slowly' },
+        { max: 3.6, label: '' },
+        { max: 6.1, label: 'quickly' },
+        { max: Infinity, label: 'very rapidly' }
+    ],
+
+    // Changes slower than this (hPa per 3 hours) count as steady for the outlook
+    ZAMBRETTI_STEADY: 1.6,
+
+    // Outlooks by trend, from high pressure to low
+    ZAMBRETTI: {
+        falling: [
+            'Settled fine', 'Fine weather', 'Fine, becoming less settled', 'Fairly fine, showery later',
+            'Showery, becoming more unsettled', 'Unsettled, rain later', 'Rain at times, worse later',
+            'Rain at times, becoming very unsettled', 'Very unsettled, rain'
+        ],
+        steady: [
+            'Settled fine', 'Fine weather', 'Fine, possibly showers', 'Fairly fine, showers likely',
+            'Showery, bright intervals', 'Changeable, some rain', 'Unsettled, rain at times',
+            'Rain at frequent intervals', 'Very unsettled, rain', 'Stormy, much rain'
+        ],
+        rising: [
+            'Settled fine', 'Fine weather', 'Becoming fine', 'Fairly fine, improving',
+            'Fairly fine, possibly showers early', 'Showery early, improving', 'Changeable, mending',
+            'Rather unsettled, clearing later', 'Unsettled, probably improving',
+            'Unsettled, short fine intervals', 'Very unsettled, finer at times',
+            'Stormy, possibly improving', 'Stormy, much rain'
+        ]
+    },
+
+    /**
+     * Interpolate pressure at a time
+     * @param {Array} readings - Readings as { time, pressure } sorted by time
+     * @param {number} time - Timestamp in milliseconds
+     * @param {number} maxGap - Largest gap between readings to interpolate across, in milliseconds
+     * @returns {number|null} Pressure in hPa, or null without readings around the time
+     */
+    getValueAt(readings, time, maxGap) {
+        const nextIndex = readings.findIndex(reading => reading.time >= time);
+        if (nextIndex === -1) return null;
+
+        const next = readings[nextIndex];
+        if (next.time === time) return next.pressure;
+
+        const previous = readings[nextIndex - 1];
+        if (!previous || next.time - previous.time > maxGap) return null;
+
+        const ratio = (time - previous.time) / (next.time - previous.time);
+        return previous.pressure + (next.pressure - previous.pressure) * ratio;
+    },
+
+    /**
+     * Classify a rate of change
+     * @param {number} rate - Change in hPa per 3 hours
+     * @returns {Object} { direction: 'rising', 'falling' or 'steady', label } e.g. "Falling slowly"
+     */
+    classify(rate) {
+        const tendency = this.TENDENCY_CLASSES.find(entry => Math.abs(rate) < entry.max);
+        if (tendency.label === 'steady') return { direction: 'steady', label: 'Steady' };
+
+        const direction = rate > 0 ? 'rising' : 'falling';
+        const label = `${direction.charAt(0).toUpperCase()}${direction.slice(1)} ${tendency.label}`.trim();
+        return { direction, label };
+    },
+
+    /**
+     * Pressure tendency over a period ending at a time
+     * @param {Array} readings - Readings as { time, pressure } sorted by time
+     * @param {number} now - End of the period in milliseconds
+     * @param {number} hours - Length of the period
+     * @param {number} maxGap - Largest gap to interpolate across, in milliseconds
+     * @returns {Object|null} { hours, change, rate, direction, label } with change in hPa and
+     *                        rate in hPa per 3 hours, or null without readings at both ends
+     */
+    getTendency(readings, now, hours, maxGap) {
+        const end = this.getValueAt(readings, now, maxGap);
+        const start = this.getValueAt(readings, now - hours * 3600000, maxGap);
+        if (end === null || start === null) return null;
+
+        const change = end - start;
+        const rate = change / hours * 3;
+        return { hours, change, rate, ...this.classify(rate) };
+    },
+
+    /**
+     * Zambretti-style short-range outlook
+     * @param {number} pressure - Sea-level pressure in hPa
+     * @param {number} rate - Change in hPa per 3 hours
+     * @param {number} month - Month at the location, 1-12
+     * @param {boolean} northern - True in the northern hemisphere
+     * @returns {Object} { trend, outlook }
+     */
+    zambretti(pressure, rate, month, northern) {
+        const trend = Math.abs(rate) < this.ZAMBRETTI_STEADY ? 'steady' : rate > 0 ? 'rising' : 'falling';
+        const summer = northern ? month >= 4 && month <= 9 : month <= 3 || month >= 10;
+        const p = Math.min(1050, Math.max(950, pressure));
+
+        // Negretti & Zambra's scale maps each trend's pressure range onto its outlooks
+        let index;
+        if (trend === 'falling') {
+            index = Math.round(127 - 0.12 * p) - 1 - (summer ? 1 : 0);
+        } else if (trend === 'steady') {
+            index = Math.round(144 - 0.13 * p) - 10;
+        } else {
+            index = Math.round(185 - 0.16 * p) - 20 + (summer ? 0 : 1);
+        }
+
+        const outlooks = this.ZAMBRETTI[trend];
+        return { trend, outlook: outlooks[Math.min(outlooks.length - 1, Math.max(0, index))] };
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pressure;
+}
@@ -0,0 +1,646 @@
+/**
+ * IndraCast - Weather provider adapters
+ * Each adapter declares what it can supply and knows how to fetch and normalize its own data,
+ * so the ensemble pipeline only has to iterate over whatever adapters are enabled.
+ *
+ * Adapter shape:
+ *   id             Unique key, also used for CONFIG.PROVIDERS overrides
+ *   name           Display name recorded as the ensemble source
+ *   capabilities   Any of 'current', 'hourly', 'daily', 'airQuality', 'pollen', 'alerts'
+ *   supports()     Optional (location) => boolean for region-limited services
+ *   isAvailable()  Optional () => boolean, checked before each fetch; false skips the adapter
+ *   fetch()        (location, app) => Promise resolving to the raw payload; use
+ *                  app.fetchCached(url, { provider, endpoint, lat, lon, type }) so
+ *                  responses are cached per endpoint type (see CONFIG.APP.CACHE_TTL);
+ *                  add responseType: 'text' for non-JSON bodies such as XML feeds
+ *   normalizeCurrent/Hourly/Daily/AirQuality/Pollen/Alerts(raw, app) for each capability
+ *   getUtcOffset() Optional (raw) => location UTC offset in seconds
+ */
+
+class ProviderRegistry {
+    constructor() {
+        this.adapters = new Map();
+    }
+
+    /**
+     * Register a provider adapter
+     * @param {Object} adapter - Adapter definition
+     * @returns {ProviderRegistry} The registry, for chaining
+     */
+    register(adapter) {
+        if (!adapter || !adapter.id || typeof adapter.fetch !== 'function') {
+            throw new Error('Provider adapters need an id and a fetch() method');
+        }
+
+        const capabilityMethods = {
+            current: 'normalizeCurrent',
+            hourly: 'normalizeHourly',
+            daily: 'normalizeDaily',
+            airQuality: 'normalizeAirQuality',
+            pollen: 'normalizePollen',
+            alerts: 'normalizeAlerts'
+        };
+
+        adapter.capabilities.forEach(capability => {
+            const method = capabilityMethods[capability];
+            if (!method) {
+                throw new Error(`Unknown capability "${capability}" for provider ${adapter.id}`);
+            }
+            if (typeof adapter[method] !== 'function') {
+                throw new Error(`Provider ${adapter.id} declares "${capability}" but has no ${method}()`);
+            }
+        });
+
+        this.adapters.set(adapter.id, adapter);
+        return this;
+    }
+
+    /**
+     * Remove a provider adapter
+     * @param {string} id - Adapter ID
+     */
+    unregister(id) {
+        this.adapters.delete(id);
+    }
+
+    /**
+     * Get an adapter by ID
+     * @param {string} id - Adapter ID
+     * @returns {Object|undefined} Adapter
+     */
+    get(id) {
+        return this.adapters.get(id);
+    }
+
+    /**
+     * Check whether an adapter is switched on and usable
+     * @param {Object} adapter - Adapter definition
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(adapter) {
+        const settings = CONFIG.PROVIDERS[adapter.id] || {};
+        if (settings.ENABLED === false) return false;
+        return typeof adapter.isAvailable === 'function' ? adapter.isAvailable() : true;
+    }
+
+    /**
+     * List enabled adapters for a location in priority order
+     * @param {Object} location - Location with lat, lon and country
+     * @param {string} [capability] - Only return adapters with this capability
+     * @returns {Array} Adapters
+     */
+    getEnabled(location, capability) {
+        const priority = (adapter) => CONFIG.PROVIDERS[adapter.id]?.PRIORITY ?? Infinity;
+
+        return [...this.adapters.values()]
+            .filter(adapter => this.isEnabled(adapter))
+            .filter(adapter => !capability || adapter.capabilities.includes(capability))
+            .filter(adapter => typeof adapter.supports !== 'function' || adapter.supports(location))
+            .sort((a, b) => priority(a) - priority(b));
+    }
+}
+
+const WeatherProviders = new ProviderRegistry();
+
+// OpenWeatherMap current weather and 5-day / 3-hour forecast
+WeatherProviders.register({
+    id: 'openweathermap',
+    name: 'OpenWeatherMap',
+    capabilities: ['current', 'hourly', 'daily'],
+
+    async fetch({ lat, lon }, app) {
+        const currentUrl = `${CONFIG.API_PROXY.BASE_URL}/weather/current?provider=openweathermap&lat=${lat}&lon=${lon}`;
+        const forecastUrl = `${CONFIG.API_PROXY.BASE_URL}/weather/forecast?provider=openweathermap&lat=${lat}&lon=${lon}`;
+
+        const [current, forecast] = await Promise.all([
+            app.fetchCached(currentUrl, { provider: this.id, endpoint: 'current', lat, lon }),
+            app.fetchCached(forecastUrl, { provider: this.id, endpoint: 'forecast', lat, lon, type: 'hourly' })
+        ]);
+
+        return { current, forecast };
+    },
+
+    getUtcOffset(raw) {
+        return raw.forecast?.city?.timezone ?? raw.current?.timezone ?? null;
+    },
+
+    normalizeCurrent({ current: data }, app) {
+        return {
+            source: this.name,
+            temperature: data.main.temp,
+            feelsLike: data.main.feels_like,
+            humidity: data.main.humidity,
+            pressure: data.main.pressure,
+            windSpeed: data.wind.speed * 3.6, // Convert m/s to km/h
+            windGust: Number.isFinite(data.wind.gust) ? data.wind.gust * 3.6 : undefined,
+            windDirection: data.wind.deg,
+            visibility: data.visibility / 1000, // Convert m to km
+            cloudCover: data.clouds.all,
+            condition: Conditions.fromOpenWeatherMap(data.weather[0].id),
+            isDay: !data.weather[0].icon?.endsWith('n'),
+            timestamp: data.dt
+        };
+    },
+
+    normalizeHourly({ forecast }, app) {
+        return {
+            source: this.name,
+            points: forecast.list.map(entry => ({
+                time: entry.dt * 1000,
+                temp: entry.main.temp,
+                feels_like: entry.main.feels_like,
+                humidity: entry.main.humidity,
+                precipitation_prob: Number.isFinite(entry.pop) ? entry.pop * 100 : undefined,
+                // 3-hour accumulation spread evenly over each hour
+                precipitation: ((entry.rain?.['3h'] || 0) + (entry.snow?.['3h'] || 0)) / 3,
+                wind_speed: entry.wind.speed * 3.6, // Convert m/s to km/h
+                wind_gust: Number.isFinite(entry.wind.gust) ? entry.wind.gust * 3.6 : undefined,
+                wind_direction: entry.wind.deg,
+                pressure: entry.main.pressure,
+                cloud_cover: entry.clouds?.all,
+                visibility: Number.isFinite(entry.visibility) ? entry.visibility / 1000 : undefined,
+                condition: Conditions.fromOpenWeatherMap(entry.weather[0].id),
+                isDay: !entry.weather[0].icon?.endsWith('n')
+            }))
+        };
+    },
+
+    normalizeDaily({ forecast }, app) {
+        const offset = forecast.city?.timezone || 0;
+        const localHour = (entry) => new Date((entry.dt + offset) * 1000).getUTCHours();
+        const days = new Map();
+
+        forecast.list.forEach(entry => {
+            const date = new Date((entry.dt + offset) * 1000).toISOString().slice(0, 10);
+            if (!days.has(date)) days.set(date, []);
+            days.get(date).push(entry);
+        });
+
+        const points = [];
+        days.forEach((entries, date) => {
+            // A handful of 3-hour steps can't give a fair daily high and low
+            if (entries.length < 4) return;
+
+            const midday = entries.reduce((best, entry) =>
+                Math.abs(localHour(entry) - 12) < Math.abs(localHour(best) - 12) ? entry : best
+            );
+
+            points.push({
+                date,
+                max_temp: Math.max(...entries.map(e => e.main.temp_max ?? e.main.temp)),
+                min_temp: Math.min(...entries.map(e => e.main.temp_min ?? e.main.temp)),
+                precipitation_probability_max: Math.max(...entries.map(e => e.pop || 0)) * 100,
+                precipitation_sum: entries.reduce((sum, e) => sum + (e.rain?.['3h'] || 0) + (e.snow?.['3h'] || 0), 0),
+                wind_speed_max: Math.max(...entries.map(e => e.wind.speed)) * 3.6,
+                wind_gust_max: Math.max(...entries.map(e => e.wind.gust ?? e.wind.speed)) * 3.6,
+                wind_direction: midday.wind.deg,
+                condition: Conditions.fromOpenWeatherMap(midday.weather[0].id)
+            });
+        });
+
+        return { source: this.name, points };
+    }
+});
+
+// Weatherbit current conditions, 24-hour and 7-day forecasts
+WeatherProviders.register({
+    id: 'weatherbit',
+    name: 'Weatherbit',
+    capabilities: ['current', 'hourly', 'daily'],
+
+    async fetch({ lat, lon }, app) {
+        const currentUrl = `${CONFIG.API_PROXY.BASE_URL}/weather/current?provider=weatherbit&lat=${lat}&lon=${lon}`;
+        const dailyUrl = `${CONFIG.API_PROXY.BASE_URL}/weather/forecast?provider=weatherbit&kind=daily&lat=${lat}&lon=${lon}`;
+        const hourlyUrl = `${CONFIG.API_PROXY.BASE_URL}/weather/forecast?provider=weatherbit&kind=hourly&lat=${lat}&lon=${lon}`;
+
+        const [currentData, dailyData, hourlyData] = await Promise.all([
+            app.fetchCached(currentUrl, { provider: this.id, endpoint: 'current', lat, lon }),
+            app.fetchCached(dailyUrl, { provider: this.id, endpoint: 'daily', lat, lon }),
+            app.fetchCached(hourlyUrl, { provider: this.id, endpoint: 'hourly', lat, lon })
+        ]);
+
+        return {
+            current: currentData.data[0],
+            daily: dailyData.data,
+            hourly: hourlyData.data
+        };
+    },
+
+    normalizeCurrent({ current: data }, app) {
+        return {
+            source: this.name,
+            temperature: data.temp,
+            feelsLike: data.app_temp,
+            humidity: data.rh,
+            pressure: data.slp ?? data.pres, // Sea level, like the other providers; pres is station pressure
+            windSpeed: data.wind_spd * 3.6, // Convert m/s to km/h
+            windGust: Number.isFinite(data.gust) ? data.gust * 3.6 : undefined,
+            windDirection: data.wind_dir,
+            visibility: data.vis,
+            uvIndex: data.uv,
+            cloudCover: data.clouds,
+            condition: Conditions.fromWeatherbit(data.weather.code),
+            isDay: data.pod !== 'n',
+            timestamp: Date.now() / 1000
+        };
+    },
+
+    normalizeHourly({ hourly }, app) {
+        return {
+            source: this.name,
+            points: (hourly || []).map(hour => ({
+                time: hour.ts * 1000,
+                temp: hour.temp,
+                feels_like: hour.app_temp,
+                humidity: hour.rh,
+                precipitation_prob: hour.pop,
+                precipitation: hour.precip,
+                wind_speed: hour.wind_spd * 3.6, // Convert m/s to km/h
+                wind_gust: Number.isFinite(hour.wind_gust_spd) ? hour.wind_gust_spd * 3.6 : undefined,
+                wind_direction: hour.wind_dir,
+                pressure: hour.slp,
+                cloud_cover: hour.clouds,
+                visibility: hour.vis,
+                uv_index: hour.uv,
+                condition: Conditions.fromWeatherbit(hour.weather.code),
+                isDay: hour.pod !== 'n'
+            }))
+        };
+    },
+
+    normalizeDaily({ daily }, app) {
+        return {
+            source: this.name,
+            points: (daily || []).map(day => ({
+                date: day.valid_date,
+                max_temp: day.max_temp,
+                min_temp: day.min_temp,
+                precipitation_probability_max: day.pop,
+                precipitation_sum: day.precip,
+                wind_gust_max: Number.isFinite(day.wind_gust_spd) ? day.wind_gust_spd * 3.6 : undefined,
+                wind_direction: day.wind_dir,
+                uv_index_max: day.uv,
+                sunrise: Number.isFinite(day.sunrise_ts) ? day.sunrise_ts * 1000 : undefined,
+                sunset: Number.isFinite(day.sunset_ts) ? day.sunset_ts * 1000 : undefined,
+                condition: Conditions.fromWeatherbit(day.weather.code)
+            }))
+        };
+    }
+});
+
+// Open-Meteo forecast (free, no API key required)
+WeatherProviders.register({
+    id: 'open-meteo',
+    name: 'Open-Meteo',
+    capabilities: ['current', 'hourly', 'daily'],
+
+    async fetch({ lat, lon }, app) {
+        const url = `${CONFIG.ENDPOINTS.OPEN_METEO.FORECAST}?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m&hourly=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation_probability,precipitation,weather_code,pressure_msl,cloud_cover,visibility,wind_speed_10m,wind_direction_10m,wind_gusts_10m,uv_index,is_day&daily=weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,uv_index_max,precipitation_sum,rain_sum,precipitation_hours,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant&past_hours=${CONFIG.APP.PRESSURE_HISTORY_HOURS}&timezone=auto`;
+
+        // One request carries current, hourly and daily data, so it expires like current conditions
+        return app.fetchCached(url, { provider: this.id, endpoint: 'forecast', lat, lon, type: 'current' });
+    },
+
+    getUtcOffset(data) {
+        return data.utc_offset_seconds ?? null;
+    },
+
+    normalizeCurrent(data, app) {
+        const current = data.current;
+        return {
+            source: this.name,
+            temperature: current.temperature_2m,
+            feelsLike: current.apparent_temperature,
+            humidity: current.relative_humidity_2m,
+            pressure: current.pressure_msl,
+            windSpeed: current.wind_speed_10m,
+            windGust: current.wind_gusts_10m,
+            windDirection: current.wind_direction_10m,
+            cloudCover: current.cloud_cover,
+            condition: Conditions.fromWmo(current.weather_code),
+            isDay: current.is_day !== 0,
+            timestamp: Date.now() / 1000
+        };
+    },
+
+    normalizeHourly(data, app) {
+        const hourly = data.hourly;
+
+        return {
+            source: this.name,
+            points: hourly.time.map((time, i) => ({
+                time: app.parseLocalTime(time, data.utc_offset_seconds),
+                temp: hourly.temperature_2m[i],
+                feels_like: hourly.apparent_temperature[i],
+                humidity: hourly.relative_humidity_2m[i],
+                precipitation_prob: hourly.precipitation_probability[i],
+                precipitation: hourly.precipitation[i],
+                wind_speed: hourly.wind_speed_10m[i],
+                wind_gust: hourly.wind_gusts_10m[i],
+                wind_direction: hourly.wind_direction_10m[i],
+                pressure: hourly.pressure_msl[i],
+                cloud_cover: hourly.cloud_cover[i],
+                visibility: Number.isFinite(hourly.visibility[i]) ? hourly.visibility[i] / 1000 : undefined,
+                uv_index: hourly.uv_index[i],
+                condition: Conditions.fromWmo(hourly.weather_code[i]),
+                isDay: hourly.is_day?.[i] !== 0
+            }))
+        };
+    },
+
+    normalizeDaily(data, app) {
+        const daily = data.daily;
+
+        return {
+            source: this.name,
+            points: daily.time.map((date, i) => ({
+                date,
+                max_temp: daily.temperature_2m_max[i],
+                min_temp: daily.temperature_2m_min[i],
+                precipitation_probability_max: daily.precipitation_probability_max[i],
+                precipitation_sum: daily.precipitation_sum[i],
+                wind_speed_max: daily.wind_speed_10m_max[i],
+                wind_gust_max: daily.wind_gusts_10m_max[i],
+                wind_direction: daily.wind_direction_10m_dominant[i],
+                uv_index_max: daily.uv_index_max[i],
+                sunrise: daily.sunrise[i] ? app.parseLocalTime(daily.sunrise[i], data.utc_offset_seconds) : undefined,
+                sunset: daily.sunset[i] ? app.parseLocalTime(daily.sunset[i], data.utc_offset_seconds) : undefined,
+                // The daily code is the most severe weather of the day
+                condition: Conditions.fromWmo(daily.weather_code[i])
+            }))
+        };
+    }
+});
+
+// OpenWeatherMap air pollution (pollutant concentrations in µg/m³, current and hourly forecast)
+WeatherProviders.register({
+    id: 'openweathermap-air',
+    name: 'OpenWeatherMap',
+    capabilities: ['airQuality'],
+
+    async fetch({ lat, lon }, app) {
+        const query = `lat=${lat}&lon=${lon}`;
+        const [current, forecast] = await Promise.all([
+            app.fetchCached(`${CONFIG.API_PROXY.BASE_URL}/air-quality?${query}`, { provider: this.id, endpoint: 'airQuality', lat, lon }),
+            // The current reading is still useful when the forecast fails
+            app.fetchCached(`${CONFIG.API_PROXY.BASE_URL}/air-quality/forecast?${query}`, {
+                provider: this.id, endpoint: 'airQualityForecast', type: 'airQuality', lat, lon
+            }).catch(error => {
+                console.warn('OpenWeatherMap air quality forecast error:', error);
+                return null;
+            })
+        ]);
+        return { current, forecast };
+    },
+
+    normalizeAirQuality({ current, forecast }) {
+        const toPollutants = components => ({
+            pm2_5: components.pm2_5,
+            pm10: components.pm10,
+            o3: components.o3,
+            no2: components.no2,
+            so2: components.so2,
+            co: components.co
+        });
+
+        return {
+            source: 'openweathermap',
+            data: current.list[0],
+            pollutants: toPollutants(current.list[0].components),
+            hourly: (forecast?.list || []).map(entry => ({
+                time: entry.dt * 1000,
+                pollutants: toPollutants(entry.components)
+            }))
+        };
+    }
+});
+
+// Open-Meteo air quality (pollutant concentrations in µg/m³, plus pollen in grains/m³)
+WeatherProviders.register({
+    id: 'open-meteo-air',
+    name: 'Open-Meteo',
+    capabilities: ['airQuality', 'pollen'],
+
+    async fetch({ lat, lon }, app) {
+        const pollutants = 'pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone';
+        const pollen = Object.keys(CONFIG.POLLEN.SPECIES).map(species => `${species}_pollen`).join(',');
+        const url = `${CONFIG.ENDPOINTS.OPEN_METEO.AIR_QUALITY}?latitude=${lat}&longitude=${lon}&current=us_aqi,${pollutants}&hourly=${pollutants},${pollen}&forecast_days=${CONFIG.POLLEN.FORECAST_DAYS}&timezone=auto`;
+        return app.fetchCached(url, { provider: this.id, endpoint: 'airQuality', lat, lon });
+    },
+
+    getUtcOffset(data) {
+        return data.utc_offset_seconds;
+    },
+
+    // Pollen comes back as nulls outside the CAMS European domain or out of season
+    normalizePollen(data, app) {
+        const species = Object.keys(CONFIG.POLLEN.SPECIES);
+        const hourly = data.hourly || { time: [] };
+
+        return {
+            source: 'open-meteo',
+            hourly: hourly.time.map((time, i) => {
+                const point = { time: app.parseLocalTime(time, data.utc_offset_seconds) };
+                species.forEach(key => {
+                    point[key] = hourly[`${key}_pollen`]?.[i] ?? null;
+                });
+                return point;
+            })
+        };
+    },
+
+    normalizeAirQuality(data, app) {
+        const { current } = data;
+        const hourly = data.hourly || { time: [] };
+
+        return {
+            source: 'open-meteo',
+            data: current,
+            pollutants: {
+                pm2_5: current.pm2_5,
+                pm10: current.pm10,
+                o3: current.ozone,
+                no2: current.nitrogen_dioxide,
+                so2: current.sulphur_dioxide,
+                co: current.carbon_monoxide
+            },
+            hourly: hourly.time.map((time, i) => ({
+                time: app.parseLocalTime(time, data.utc_offset_seconds),
+                pollutants: {
+                    pm2_5: hourly.pm2_5?.[i],
+                    pm10: hourly.pm10?.[i],
+                    o3: hourly.ozone?.[i],
+                    no2: hourly.nitrogen_dioxide?.[i],
+                    so2: hourly.sulphur_dioxide?.[i],
+                    co: hourly.carbon_monoxide?.[i]
+                }
+            }))
+        };
+    }
+});
+
+// NOAA / National Weather Service alerts (US only)
+WeatherProviders.register({
+    id: 'noaa',
+    name: 'NOAA',
+    capabilities: ['alerts'],
+
+    supports(location) {
+        return location.country === 'US';
+    },
+
+    async fetch({ lat, lon }, app) {
+        const point = await this.fetchPoint(lat, lon, app);
+        const zones = point
+            ? Geometry.getZoneIds([point.forecastZone, point.county, point.fireWeatherZone])
+            : [];
+
+        // Ask for the whole state so alerts just outside the location's zones can be shown as nearby
+        const state = point?.relativeLocation?.properties?.state;
+        const url = state
+            ? `${CONFIG.ENDPOINTS.NOAA.ALERTS}?area=${state}`
+            : `${CONFIG.ENDPOINTS.NOAA.ALERTS}?point=${lat},${lon}`;
+        console.log('Fetching NOAA alerts from:', url);
+        const data = await app.fetchCached(url, { provider: this.id, endpoint: 'alerts', lat, lon });
+        const features = data.features || [];
+
+        return {
+            location: { lat, lon },
+            zones,
+            features,
+            byPoint: !state,
+            zoneGeometries: await this.fetchZoneGeometries(features, zones, app)
+        };
+    },
+
+    /**
+     * Look up the NWS forecast zone, county and state for a point
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {Object} app - WeatherApp instance
+     * @returns {Promise<Object|null>} Point properties, or null outside NWS coverage
+     */
+    async fetchPoint(lat, lon, app) {
+        const url = `${CONFIG.ENDPOINTS.NOAA.FORECAST}/${lat.toFixed(4)},${lon.toFixed(4)}`;
+
+        try {
+            const data = await app.fetchCached(url, { provider: this.id, endpoint: 'points', lat, lon, type: 'zones' });
+            return data.properties || null;
+        } catch (error) {
+            console.warn('NOAA point lookup failed, matching alerts by point only:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Fetch outlines for zones named by alerts that were issued without a polygon
+     * The location's own zones come first so its alerts can always be drawn.
+     * @param {Array} features - Alert features
+     * @param {Array<string>} zones - The location's zone IDs
+     * @param {Object} app - WeatherApp instance
+     * @returns {Promise<Object>} Geometries keyed by zone ID
+     */
+    async fetchZoneGeometries(features, zones, app) {
+        const zoneUrls = new Map();
+        features.filter(feature => !feature.geometry).forEach(feature => {
+            (feature.properties.affectedZones || []).forEach(url => {
+                zoneUrls.set(Geometry.getZoneIds([url])[0], url);
+            });
+        });
+
+        const ids = [...zoneUrls.keys()]
+            .sort((a, b) => Number(zones.includes(b)) - Number(zones.includes(a)))
+            .slice(0, CONFIG.APP.ALERT_ZONE_LOOKUPS);
+
+        const settled = await Promise.allSettled(ids.map(id =>
+            app.fetchCached(zoneUrls.get(id), { provider: this.id, endpoint: `zone:${id}`, lat: 0, lon: 0, type: 'zones' })
+        ));
+
+        const geometries = {};
+        settled.forEach((result, index) => {
+            if (result.status === 'fulfilled' && result.value.geometry) {
+                geometries[ids[index]] = result.value.geometry;
+            }
+        });
+        return geometries;
+    },
+
+    normalizeAlerts({ location, zones, zoneGeometries, features, byPoint }) {
+        // A ?point= query only returns alerts NOAA has already matched to the location
+        return features
+            .map(alert => ({ ...alert, match: Geometry.matchAlert(alert, location, { zones, zoneGeometries, matched: byPoint }) }))
+            .filter(alert => alert.match);
+    }
+});
+
+// CAP 1.2 / Atom alert feeds for other countries (MeteoAlarm, Environment Canada via NAADS)
+WeatherProviders.register({
+    id: 'cap',
+    name: 'CAP alert feeds',
+    capabilities: ['alerts'],
+
+    supports(location) {
+        return Boolean(CONFIG.ALERT_FEEDS.COUNTRIES[location.country]);
+    },
+
+    async fetch(location, app) {
+        const { lat, lon, country } = location;
+        const feed = CONFIG.ALERT_FEEDS.COUNTRIES[country];
+        const source = CONFIG.ALERT_FEEDS.SOURCES[feed.SOURCE];
+        const baseUrl = `${CONFIG.API_PROXY.BASE_URL}/alerts/cap?source=${feed.SOURCE}`;
+        const feedUrl = feed.REGION ? `${baseUrl}&region=${feed.REGION}` : baseUrl;
+
+        const xml = await app.fetchCached(feedUrl, {
+            provider: this.id, endpoint: feed.SOURCE, lat, lon, type: 'alerts', responseType: 'text'
+        });
+
+        // Feeds without inline CAP fields only link to each alert's CAP document
+        const linked = CapAlerts.parseFeed(xml, source.NAME)
+            .filter(entry => !entry.alert && CapAlerts.isAllowedDocument(entry.capUrl, source.DOCUMENT_HOSTS))
+            .slice(0, CONFIG.ALERT_FEEDS.MAX_CAP_DOCUMENTS);
+
+        const documents = await Promise.allSettled(linked.map(entry =>
+            app.fetchCached(`${baseUrl}&document=${encodeURIComponent(entry.capUrl)}`, {
+                provider: this.id, endpoint: `document:${entry.capUrl}`, lat: 0, lon: 0, type: 'capDocument', responseType: 'text'
+            })
+        ));
+
+        return {
+            location: { lat, lon, regions: Geometry.getRegionKeys(location) },
+            source: source.NAME,
+            feed: xml,
+            documents: documents.filter(result => result.status === 'fulfilled').map(result => result.value)
+        };
+    },
+
+    normalizeAlerts({ location, source, feed, documents }) {
+        const alerts = [
+            ...CapAlerts.parseFeed(feed, source).map(entry => entry.alert).filter(Boolean),
+            ...documents.map(xml => {
+                try {
+                    return CapAlerts.parseCapDocument(xml, source);
+                } catch (error) {
+                    console.warn('Skipping unreadable CAP document:', error);
+                    return null;
+                }
+            }).filter(Boolean)
+        ];
+
+        // Feeds cover a whole country, so keep only alerts whose area covers or is near the location,
+        // or that were issued for one of its regions when they have no polygon
+        const seen = new Set();
+        return alerts
+            .filter(alert => {
+                if (seen.has(alert.id)) return false;
+                seen.add(alert.id);
+                return CapAlerts.isActive(alert);
+            })
+            .map(alert => ({ ...alert, match: Geometry.matchAlert(alert, location, { regions: location.regions }) }))
+            .filter(alert => alert.match);
+    }
+});
+
+// Export for potential module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ProviderRegistry, WeatherProviders };
+}
@@ -0,0 +1,215 @@
+/**
+ * IndraCast - User-defined watch rules
+ * Rules combine threshold conditions with AND/OR over a time window and are evaluated
+ * against the ensemble hourly and daily forecasts and current air quality.
+ *
+ * Rule shape:
+ *   { id, name, enabled, match: 'all'|'any', window: 'hours:3'|'today'|'tomorrow'|'days:3',
+ *     locationId: null for every location or a saved location ID,
+ *     conditions: [{ metric, operator, value, unit }] }
+ * Condition values are kept in the unit they were entered in, so a rule keeps its meaning
+ * when the display units change.
+ */
+
+const WatchRules = {
+    METRICS: {
+        precipitation_prob: { label: 'Rain probability', source: 'hourly', suffix: '%' },
+        precipitation: { label: 'Precipitation per hour', source: 'hourly', kind: 'precipitation' },
+        temp: { label: 'Temperature', source: 'hourly', kind: 'temperature' },
+        feels_like: { label: 'Feels-like temperature', source: 'hourly', kind: 'temperature' },
+        wind_speed: { label: 'Wind speed', source: 'hourly', kind: 'wind' },
+        wind_gust: { label: 'Wind gusts', source: 'hourly', kind: 'wind' },
+        humidity: { label: 'Humidity', source: 'hourly', suffix: '%' },
+        dew_point: { label: 'Dew point', source: 'hourly', kind: 'temperature' },
+        uv_index: { label: 'UV index', source: 'hourly', suffix: '' },
+        max_temp: { label: 'Daily high', source: 'daily', kind: 'temperature' },
+        min_temp: { label: 'Daily low', source: 'daily', kind: 'temperature' },
+        precipitation_sum: { label: 'Daily precipitation', source: 'daily', kind: 'precipitation' },
+        wind_gust_max: { label: 'Daily peak gust', source: 'daily', kind: 'wind' },
+        aqi: { label: 'Air quality index (US)', source: 'airQuality', suffix: '' },
+        // Highest level across species, 0 (None) to 4 (Very High)
+        pollen_level: { label: 'Pollen level (0–4)', source: 'pollen', suffix: '', format: value => CONFIG.POLLEN.LEVELS[Math.round(value)]?.label }
+    },
+
+    OPERATORS: {
+        '>': { label: 'above', test: (value, threshold) => value > threshold },
+        '>=': { label: 'at or above', test: (value, threshold) => value >= threshold },
+        '<': { label: 'below', test: (value, threshold) => value < threshold },
+        '<=': { label: 'at or below', test: (value, threshold) => value <= threshold }
+    },
+
+    WINDOWS: {
+        'hours:3': 'in the next 3 hours',
+        'hours:6': 'in the next 6 hours',
+        'hours:12': 'in the next 12 hours',
+        'hours:24': 'in the next 24 hours',
+        today: 'today',
+        tomorrow: 'tomorrow',
+        'days:3': 'in the next 3 days',
+        'days:7': 'in the next 7 days'
+    },
+
+    /**
+     * Get the time range a window covers
+     * @param {string} window - Window key from WINDOWS
+     * @param {number} now - Current time in milliseconds
+     * @param {number} utcOffset - Location UTC offset in seconds, for where its days start
+     * @returns {Object} { start, end } in milliseconds
+     */
+    getWindowRange(window, now, utcOffset = 0) {
+        const day = 86400000;
+        const todayStart = Math.floor((now + utcOffset * 1000) / day) * day - utcOffset * 1000;
+        const [type, count] = window.split(':');
+
+        switch (type) {
+            case 'hours':
+                return { start: now, end: now + Number(count) * 3600000 };
+            case 'today':
+                return { start: now, end: todayStart + day };
+            case 'tomorrow':
+                return { start: todayStart + day, end: todayStart + 2 * day };
+            case 'days':
+                return { start: now, end: todayStart + Number(count) * day };
+            default:
+                throw new Error(`Unknown rule window "${window}"`);
+        }
+    },
+
+    /**
+     * Collect a metric's values inside a time range
+     * @param {string} metric - Metric key from METRICS
+     * @param {Object} data - { hourly, daily, aqi, pollen, utcOffset }
+     * @param {Object} range - { start, end } in milliseconds
+     * @param {number} now - Current time in milliseconds
+     * @returns {Array} Values as { value, time }
+     */
+    getValues(metric, data, range, now) {
+        const { source } = this.METRICS[metric];
+        const hour = 3600000;
+
+        if (source === 'hourly') {
+            return (data.hourly || [])
+                .map(point => ({ value: point[metric], time: new Date(point.time).getTime() }))
+                .filter(({ value, time }) => Number.isFinite(value) && time + hour > range.start && time < range.end);
+        }
+
+        if (source === 'daily') {
+            const offset = (data.utcOffset || 0) * 1000;
+            return (data.daily || [])
+                .map(point => ({ value: point[metric], time: Date.parse(`${point.date}T00:00:00Z`) - offset }))
+                .filter(({ value, time }) => Number.isFinite(value) && time + 86400000 > range.start && time < range.end);
+        }
+
+        if (source === 'pollen') {
+            return (data.pollen || [])
+                .filter(({ value, time }) => Number.isFinite(value) && time + hour > range.start && time < range.end);
+        }
+
+        // Air quality is only known for now
+        return Number.isFinite(data.aqi) && range.start <= now && range.end > now
+            ? [{ value: data.aqi, time: now }]
+            : [];
+    },
+
+    /**
+     * Convert a base-unit value to the unit a condition was written in
+     * @param {Object} condition - Rule condition
+     * @param {number} value - Value in the app's base unit
+     * @returns {number} Value in the condition's unit
+     */
+    toConditionUnit(condition, value) {
+        const { kind } = this.METRICS[condition.metric];
+        return kind ? Units.convert(kind, value, condition.unit) : value;
+    },
+
+    /**
+     * Evaluate a rule against the latest data
+     * Each condition is met when any value in the window crosses its threshold; 'all' rules need
+     * every condition met somewhere in the window, 'any' rules just one.
+     * @param {Object} rule - Watch rule
+     * @param {Object} data - { hourly, daily, aqi, utcOffset }
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {Object|null} { rule, matches: [{ condition, value, time }] } when the rule fires
+     */
+    evaluate(rule, data, now = Date.now()) {
+        if (!rule.enabled || rule.conditions.length === 0) return null;
+
+        const range = this.getWindowRange(rule.window, now, data.utcOffset);
+        const results = rule.conditions.map(condition => {
+            const operator = this.OPERATORS[condition.operator];
+            const hits = this.getValues(condition.metric, data, range, now)
+                .map(({ value, time }) => ({ value: this.toConditionUnit(condition, value), time }))
+                .filter(({ value }) => operator.test(value, condition.value));
+            if (hits.length === 0) return null;
+
+            // Report the most extreme value in the direction of the threshold
+            const rising = condition.operator.startsWith('>');
+            const peak = hits.reduce((best, hit) => (rising ? hit.value > best.value : hit.value < best.value) ? hit : best);
+            return { condition, ...peak };
+        });
+
+        const matches = results.filter(Boolean);
+        const fired = rule.match === 'any' ? matches.length > 0 : matches.length === rule.conditions.length;
+
+        return fired ? { rule, matches } : null;
+    },
+
+    /**
+     * Check whether a rule applies at a location
+     * @param {Object} rule - Watch rule
+     * @param {string} locationId - Location key
+     * @returns {boolean} True if the rule covers the location
+     */
+    appliesTo(rule, locationId) {
+        return !rule.locationId || rule.locationId === locationId;
+    },
+
+    /**
+     * Get the unit label to show for a condition
+     * @param {Object} condition - Rule condition
+     * @returns {string} Unit label such as "km/h" or "%"
+     */
+    getUnitLabel(condition) {
+        const metric = this.METRICS[condition.metric];
+        return metric.kind ? Units.label(metric.kind, condition.unit) : metric.suffix;
+    },
+
+    /**
+     * Format a value of a condition's metric in the condition's unit
+     * @param {Object} condition - Rule condition
+     * @param {number} value - Value in the condition's unit
+     * @returns {string} e.g. "50 km/h", "60%" or "High"
+     */
+    formatValue(condition, value) {
+        const { format } = this.METRICS[condition.metric];
+        if (format) return format(value) ?? String(value);
+
+        const unit = this.getUnitLabel(condition);
+        return `${value}${unit && unit !== '%' ? ' ' : ''}${unit}`;
+    },
+
+    /**
+     * Describe a condition, e.g. "Wind gusts above 50 km/h"
+     * @param {Object} condition - Rule condition
+     * @returns {string} Description
+     */
+    describeCondition(condition) {
+        const value = this.formatValue(condition, condition.value);
+        return `${this.METRICS[condition.metric].label} ${this.OPERATORS[condition.operator].label} ${value}`;
+    },
+
+    /**
+     * Describe a whole rule, e.g. "Rain probability above 60% in the next 3 hours"
+     * @param {Object} rule - Watch rule
+     * @returns {string} Description
+     */
+    describe(rule) {
+        const joiner = rule.match === 'any' ? ' or ' : ' and ';
+        return `${rule.conditions.map(condition => this.describeCondition(condition)).join(joiner)} ${this.WINDOWS[rule.window]}`;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WatchRules;
+}
@@ -11,11 +11,22 @@ class WeatherApp {
             hourly: [],
             daily: [],
             alerts: [],
-            airQuality: null
+            airQuality: null,
+            pollen: null,
+            pressureHistory: [],
+            windHours: []
         };
         this.settings = { ...CONFIG.DEFAULTS };
         this.isLoading = false;
         this.refreshTimer = null;
+        this.responseCache = new Map();
+        this.pendingRequests = new Map();
+        this.revalidationTimer = null;
+        this.lastUpdatedAt = null;
+        this.locationSummaries = new Map();
+        this.summaryTimer = null;
+        this.alertRecords = new Map();
+        this.windRoseDate = null;
 
         this.init();
     }
@@ -35,6 +46,9 @@ class WeatherApp {
         // Initialize dark mode
         this.initializeDarkMode();
 
+        // Cache the app shell for offline use
+        this.registerServiceWorker();
+
         // Initialize local storage for observations
         await this.initializeStorage();
 
@@ -44,6 +58,12 @@ class WeatherApp {
         // Try to get user's location and load weather data
         await this.initializeLocation();
 
+        // Opened from an alert notification
+        this.focusAlertFromUrl();
+
+        // Fill in saved location summaries once the dashboard is up
+        this.startLocationSummaries();
+
         console.log('IndraCast initialized successfully');
     }
 
@@ -58,6 +78,7 @@ class WeatherApp {
 
         if (searchForm) {
             searchForm.addEventListener('submit', (e) => this.handleLocationSearch(e));
+            this.setupSearchAutocomplete();
         }
 
         if (locationBtn) {
@@ -88,6 +109,24 @@ class WeatherApp {
         // Modal controls
         this.setupModalControls();
 
+        // Saved locations switcher and manager
+        this.setupSavedLocations();
+
+        // Alert history
+        this.setupAlertHistory();
+
+        // Personal watch rules
+        this.setupWatchRules();
+
+        // Sun protection skin type
+        this.setupSkinTypeSelect();
+
+        // Wind rose day picker
+        document.getElementById('wind-rose-day')?.addEventListener('change', (e) => {
+            this.windRoseDate = e.target.value;
+            this.updateWindRose();
+        });
+
         // Observation form
         this.setupObservationForm();
 
@@ -138,7 +177,7 @@ class WeatherApp {
         // Close modals on Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                const openModal = document.querySelector('.modal-overlay[style*="block"]');
+                const openModal = document.querySelector('.modal-overlay:not([style*="none"])');
                 if (openModal) {
                     this.closeModal(openModal.id);
                 }
@@ -146,6 +185,350 @@ class WeatherApp {
         });
     }
 
+    /**
+     * Set up the watch rule list and editor
+     */
+    setupWatchRules() {
+        const manageBtn = document.getElementById('manage-rules-btn');
+        const rulesModal = document.getElementById('rules-modal');
+        const rulesList = document.getElementById('watch-rules-list');
+        const ruleForm = document.getElementById('rule-form');
+        const conditionList = document.getElementById('rule-condition-list');
+
+        if (manageBtn) {
+            manageBtn.addEventListener('click', () => {
+                this.closeModal('settings-modal');
+                this.openWatchRulesModal();
+            });
+        }
+
+        rulesModal?.querySelector('.modal-close')?.addEventListener('click', () => this.closeModal('rules-modal'));
+        document.getElementById('new-rule-btn')?.addEventListener('click', () => this.openRuleEditor());
+        document.getElementById('cancel-rule')?.addEventListener('click', () => this.closeRuleEditor());
+        document.getElementById('add-rule-condition')?.addEventListener('click', () => this.addRuleConditionRow());
+
+        if (ruleForm) {
+            ruleForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveRuleFromForm();
+            });
+        }
+
+        if (rulesList) {
+            rulesList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-rule-id]');
+                if (!item) return;
+
+                if (e.target.closest('.rule-edit')) {
+                    this.openRuleEditor(this.getWatchRules().find(rule => rule.id === item.dataset.ruleId));
+                } else if (e.target.closest('.rule-delete')) {
+                    this.deleteWatchRule(item.dataset.ruleId);
+                }
+            });
+
+            rulesList.addEventListener('change', (e) => {
+                const item = e.target.closest('[data-rule-id]');
+                if (item && e.target.classList.contains('rule-enabled')) {
+                    this.updateWatchRule(item.dataset.ruleId, { enabled: e.target.checked });
+                }
+            });
+        }
+
+        if (conditionList) {
+            conditionList.addEventListener('change', (e) => {
+                if (e.target.classList.contains('rule-metric')) {
+                    this.updateConditionUnit(e.target.closest('.rule-condition'));
+                }
+            });
+
+            conditionList.addEventListener('click', (e) => {
+                if (e.target.closest('.rule-condition-remove') && conditionList.children.length > 1) {
+                    e.target.closest('.rule-condition').remove();
+                }
+            });
+        }
+    }
+
+    /**
+     * Get watch rules from localStorage
+     * @returns {Array} Watch rules
+     */
+    getWatchRules() {
+        try {
+            const saved = localStorage.getItem('weather-app-watch-rules');
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Error reading watch rules:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist watch rules and re-evaluate them for the current location
+     * @param {Array} rules - Watch rules
+     */
+    storeWatchRules(rules) {
+        try {
+            localStorage.setItem('weather-app-watch-rules', JSON.stringify(rules));
+        } catch (error) {
+            console.error('Error saving watch rules:', error);
+            this.showError('Could not save watch rules');
+        }
+
+        this.renderWatchRules();
+        if (this.currentLocation) {
+            this.weatherData.personalAlerts = this.evaluateWatchRules(this.currentLocation);
+            this.updateAlertsDisplay();
+        }
+    }
+
+    /**
+     * Change fields of a watch rule
+     * @param {string} id - Rule ID
+     * @param {Object} changes - Fields to update
+     */
+    updateWatchRule(id, changes) {
+        this.storeWatchRules(this.getWatchRules().map(rule => rule.id === id ? { ...rule, ...changes } : rule));
+    }
+
+    /**
+     * Delete a watch rule
+     * @param {string} id - Rule ID
+     */
+    deleteWatchRule(id) {
+        this.storeWatchRules(this.getWatchRules().filter(rule => rule.id !== id));
+    }
+
+    /**
+     * Evaluate the watch rules that apply to a location against the current weatherData
+     * @param {Object} location - Location the data belongs to
+     * @returns {Array} Rules that fired, as returned by WatchRules.evaluate()
+     */
+    evaluateWatchRules(location) {
+        const locationId = this.getLocationKey(location);
+        const data = {
+            hourly: this.weatherData.hourly,
+            daily: this.weatherData.daily,
+            aqi: this.getUsAqi(),
+            pollen: this.getPollenSeries(),
+            utcOffset: this.weatherData.utcOffset
+        };
+
+        return this.getWatchRules()
+            .filter(rule => WatchRules.appliesTo(rule, locationId))
+            .map(rule => {
+                try {
+                    return WatchRules.evaluate(rule, data);
+                } catch (error) {
+                    console.warn(`Skipping watch rule "${rule.name}":`, error);
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Get the current US EPA AQI, which watch rules and health tips are written against
+     * @returns {number|null} US AQI
+     */
+    getUsAqi() {
+        return AirQuality.calculate(this.weatherData.airQuality?.pollutants, 'us')?.aqi ?? null;
+    }
+
+    /**
+     * Open the watch rule manager
+     */
+    openWatchRulesModal() {
+        const modal = document.getElementById('rules-modal');
+        if (!modal) return;
+
+        this.closeRuleEditor();
+        this.renderWatchRules();
+        modal.style.display = 'flex';
+        modal.querySelector('button:not(.modal-close)')?.focus();
+    }
+
+    /**
+     * Render the list of watch rules
+     */
+    renderWatchRules() {
+        const list = document.getElementById('watch-rules-list');
+        if (!list) return;
+
+        const rules = this.getWatchRules();
+        const locations = this.getSavedLocations();
+
+        list.innerHTML = rules.length === 0
+            ? '<li class="favorites-empty">No watch rules yet. Add one to get your own alerts.</li>'
+            : rules.map(rule => {
+                const location = locations.find(saved => saved.id === rule.locationId);
+                const scope = rule.locationId ? location?.name || 'A removed location' : 'All locations';
+
+                return `
+                    <li class="watch-rule-item neumorphic-card" data-rule-id="${this.escapeHTML(rule.id)}">
+                        <input type="checkbox" class="neumorphic-checkbox rule-enabled" aria-label="Enable ${this.escapeHTML(rule.name)}"${rule.enabled ? ' checked' : ''}>
+                        <div class="watch-rule-text">
+                            <span class="watch-rule-name">${this.escapeHTML(rule.name)}</span>
+                            <span class="watch-rule-description">${this.escapeHTML(WatchRules.describe(rule))} · ${this.escapeHTML(scope)}</span>
+                        </div>
+                        <button type="button" class="neumorphic-btn rule-edit" aria-label="Edit ${this.escapeHTML(rule.name)}">Edit</button>
+                        <button type="button" class="neumorphic-btn rule-delete" aria-label="Delete ${this.escapeHTML(rule.name)}">&times;</button>
+                    </li>
+                `;
+            }).join('');
+    }
+
+    /**
+     * Show the rule editor, empty or filled from an existing rule
+     * @param {Object} [rule] - Rule to edit
+     */
+    openRuleEditor(rule = null) {
+        const form = document.getElementById('rule-form');
+        const conditionList = document.getElementById('rule-condition-list');
+        if (!form || !conditionList) return;
+
+        this.editingRuleId = rule?.id || null;
+
+        document.getElementById('rule-window').innerHTML = Object.entries(WatchRules.WINDOWS)
+            .map(([value, label]) => `<option value="${value}">${label.charAt(0).toUpperCase()}${label.slice(1)}</option>`)
+            .join('');
+
+        // Scope can be every location or any saved one (the current location is saved if needed)
+        const locations = this.getSavedLocations();
+        const currentId = this.currentLocation ? this.getLocationKey(this.currentLocation) : null;
+        const options = [{ id: '', name: 'All locations' }, ...locations];
+        if (currentId && !locations.some(location => location.id === currentId)) {
+            options.push({ id: currentId, name: `${this.currentLocation.name} (current)` });
+        }
+        document.getElementById('rule-location').innerHTML = options
+            .map(location => `<option value="${this.escapeHTML(location.id)}">${this.escapeHTML(location.name)}</option>`)
+            .join('');
+
+        document.getElementById('rule-name').value = rule?.name || '';
+        document.getElementById('rule-match').value = rule?.match || 'all';
+        document.getElementById('rule-window').value = rule?.window || 'hours:3';
+        document.getElementById('rule-location').value = rule?.locationId || '';
+
+        conditionList.innerHTML = '';
+        (rule?.conditions || [null]).forEach(condition => this.addRuleConditionRow(condition));
+
+        form.hidden = false;
+        document.getElementById('rule-list-actions').hidden = true;
+        document.getElementById('rule-name').focus();
+    }
+
+    /**
+     * Hide the rule editor
+     */
+    closeRuleEditor() {
+        const form = document.getElementById('rule-form');
+        if (form) form.hidden = true;
+        document.getElementById('rule-list-actions')?.removeAttribute('hidden');
+        this.editingRuleId = null;
+    }
+
+    /**
+     * Add a condition row to the rule editor
+     * @param {Object} [condition] - Condition to fill in
+     */
+    addRuleConditionRow(condition = null) {
+        const conditionList = document.getElementById('rule-condition-list');
+        if (!conditionList) return;
+
+        const row = document.createElement('li');
+        row.className = 'rule-condition';
+        row.innerHTML = `
+            <select class="neumorphic-input rule-metric" aria-label="Measurement">
+                ${Object.entries(WatchRules.METRICS).map(([key, metric]) => `<option value="${key}">${metric.label}</option>`).join('')}
+            </select>
+            <select class="neumorphic-input rule-operator" aria-label="Comparison">
+                ${Object.entries(WatchRules.OPERATORS).map(([key, operator]) => `<option value="${key}">${operator.label}</option>`).join('')}
+            </select>
+            <input type="number" step="any" class="neumorphic-input rule-value" aria-label="Threshold" required>
+            <span class="rule-unit"></span>
+            <button type="button" class="neumorphic-btn rule-condition-remove" aria-label="Remove condition">&times;</button>
+        `;
+
+        row.querySelector('.rule-metric').value = condition?.metric || 'precipitation_prob';
+        row.querySelector('.rule-operator').value = condition?.operator || '>';
+        row.querySelector('.rule-value').value = condition?.value ?? '';
+        if (condition?.unit) row.dataset.unit = condition.unit;
+
+        conditionList.appendChild(row);
+        this.updateConditionUnit(row, Boolean(condition?.unit));
+    }
+
+    /**
+     * Show the unit a condition row's threshold is entered in
+     * @param {HTMLElement} row - Condition row
+     * @param {boolean} [keepUnit] - Keep the row's stored unit instead of the current display unit
+     */
+    updateConditionUnit(row, keepUnit = false) {
+        const { kind } = WatchRules.METRICS[row.querySelector('.rule-metric').value];
+        if (!keepUnit) {
+            row.dataset.unit = kind ? this.getUnitSetting(kind) : '';
+        }
+
+        row.querySelector('.rule-unit').textContent = WatchRules.getUnitLabel({
+            metric: row.querySelector('.rule-metric').value,
+            unit: row.dataset.unit
+        });
+    }
+
+    /**
+     * Save the rule in the editor
+     */
+    saveRuleFromForm() {
+        const name = document.getElementById('rule-name').value.trim();
+        const conditions = [...document.querySelectorAll('#rule-condition-list .rule-condition')].map(row => ({
+            metric: row.querySelector('.rule-metric').value,
+            operator: row.querySelector('.rule-operator').value,
+            value: parseFloat(row.querySelector('.rule-value').value),
+            unit: row.dataset.unit || null
+        }));
+
+        if (!name || conditions.some(condition => !Number.isFinite(condition.value))) {
+            this.showError('Give the rule a name and a number for every condition');
+            return;
+        }
+
+        const rule = {
+            id: this.editingRuleId || `rule-${Date.now().toString(36)}`,
+            name,
+            enabled: true,
+            match: document.getElementById('rule-match').value,
+            window: document.getElementById('rule-window').value,
+            locationId: document.getElementById('rule-location').value || null,
+            conditions
+        };
+
+        const rules = this.getWatchRules();
+        const index = rules.findIndex(existing => existing.id === rule.id);
+        if (index >= 0) {
+            rules[index] = { ...rules[index], ...rule, enabled: rules[index].enabled };
+        } else {
+            rules.push(rule);
+        }
+
+        this.closeRuleEditor();
+        this.storeWatchRules(rules);
+        this.showToast(`Saved watch rule "${name}"`);
+    }
+
+    /**
+     * Set up the alert history modal
+     */
+    setupAlertHistory() {
+        const historyBtn = document.getElementById('alert-history-btn');
+        const historyModal = document.getElementById('alert-history-modal');
+
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => this.openAlertHistoryModal());
+        }
+
+        historyModal?.querySelector('.modal-close')?.addEventListener('click', () => this.closeModal('alert-history-modal'));
+    }
+
     /**
      * Set up observation form functionality
      */
@@ -268,27 +651,156 @@ class WeatherApp {
     }
 
     /**
-     * Initialize local storage for hyperlocal observations
+     * Register the service worker that precaches the app shell
      */
-    async initializeStorage() {
-        // Check if IndexedDB is available
-        if ('indexedDB' in window) {
-            try {
-                // We'll implement IndexedDB storage for observations
-                this.dbName = 'WeatherObservations';
-                this.dbVersion = 1;
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
 
-                console.log('IndexedDB storage initialized');
-            } catch (error) {
-                console.warn('IndexedDB not available, falling back to localStorage');
-                this.useLocalStorage = true;
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+
+        // Clicking an alert notification focuses this tab and asks it to show the alert
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data?.type === 'focus-alert') {
+                this.focusAlert(event.data.alertId);
             }
-        } else {
+        });
+    }
+
+    /**
+     * Initialize IndexedDB storage for observations, cached API responses and weather snapshots
+     */
+    async initializeStorage() {
+        this.db = null;
+        this.useLocalStorage = false;
+
+        // Check if IndexedDB is available
+        if (!('indexedDB' in window)) {
             console.warn('IndexedDB not supported, using localStorage');
             this.useLocalStorage = true;
+            return;
+        }
+
+        try {
+            this.dbName = 'WeatherObservations';
+            this.dbVersion = 4;
+            this.db = await this.openDatabase();
+
+            // Move observations saved by older versions out of localStorage
+            await this.migrateLocalObservations();
+            await this.applyObservationRetention();
+            await this.pruneResponseCache();
+            await this.loadAlertRecords();
+
+            console.log('IndexedDB storage initialized');
+        } catch (error) {
+            console.warn('IndexedDB not available, falling back to localStorage', error);
+            this.db = null;
+            this.useLocalStorage = true;
+        }
+    }
+
+    /**
+     * Open the IndexedDB database, creating object stores on first run
+     * @returns {Promise<IDBDatabase>} Open database connection
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                this.upgradeDatabase(request.result, event.oldVersion);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+
+                // Let a newer tab upgrade the schema instead of blocking it
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
+                    this.useLocalStorage = true;
+                };
+
+                resolve(db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+        });
+    }
+
+    /**
+     * Create or migrate object stores
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Schema version before the upgrade (0 on first run)
+     */
+    upgradeDatabase(db, oldVersion) {
+        if (oldVersion < 1) {
+            const observations = db.createObjectStore('observations', { keyPath: 'id' });
+            observations.createIndex('timestamp', 'timestamp');
+            observations.createIndex('type', 'type');
+            observations.createIndex('coordinates', ['coordinates.lat', 'coordinates.lon']);
+        }
+
+        if (oldVersion < 2) {
+            const responses = db.createObjectStore('responses', { keyPath: 'key' });
+            responses.createIndex('storedAt', 'storedAt');
+        }
+
+        if (oldVersion < 3) {
+            db.createObjectStore('snapshots', { keyPath: 'key' });
+        }
+
+        if (oldVersion < 4) {
+            const alerts = db.createObjectStore('alerts', { keyPath: 'id' });
+            alerts.createIndex('lastSeen', 'lastSeen');
+            alerts.createIndex('locationKeys', 'locationKeys', { multiEntry: true });
         }
     }
 
+    /**
+     * Wrap an IndexedDB request in a promise
+     * @param {IDBRequest} request - IndexedDB request
+     * @returns {Promise} Resolves with the request result
+     */
+    idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Wait for an IndexedDB transaction to commit
+     * @param {IDBTransaction} transaction - IndexedDB transaction
+     * @returns {Promise} Resolves once the transaction completes
+     */
+    idbTransactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Import observations stored in localStorage by older versions into IndexedDB
+     */
+    async migrateLocalObservations() {
+        const legacy = this.getLocalObservations();
+        if (legacy.length === 0) return;
+
+        const transaction = this.db.transaction('observations', 'readwrite');
+        const store = transaction.objectStore('observations');
+        legacy.forEach(observation => store.put(observation));
+        await this.idbTransactionDone(transaction);
+
+        localStorage.removeItem('weather-observations');
+        console.log(`Migrated ${legacy.length} observations to IndexedDB`);
+    }
+
     /**
      * Initialize location detection and load initial weather data
      */
@@ -346,7 +858,8 @@ class WeatherApp {
                             lat: latitude,
                             lon: longitude,
                             name: locationName.name,
-                            country: locationName.country
+                            country: locationName.country,
+                            regions: locationName.regions
                         };
 
                         this.saveLocation(this.currentLocation);
@@ -393,17 +906,23 @@ class WeatherApp {
      */
     async reverseGeocode(lat, lon) {
         try {
-            // Use OpenWeatherMap geocoding API
-            const url = `${CONFIG.ENDPOINTS.OPENWEATHERMAP.GEOCODING}/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${CONFIG.API_KEYS.OPENWEATHERMAP}`;
-
-            const response = await this.fetchWithTimeout(url);
-            const data = await response.json();
+            // Use OpenWeatherMap reverse geocoding through the API proxy
+            const url = `${CONFIG.API_PROXY.BASE_URL}/geocode?lat=${lat}&lon=${lon}`;
+
+            const data = await this.fetchCached(url, {
+                provider: 'openweathermap',
+                endpoint: 'reverseGeocode',
+                lat,
+                lon,
+                type: 'geocode'
+            });
 
             if (data && data.length > 0) {
                 const location = data[0];
                 return {
                     name: `${location.name}${location.state ? ', ' + location.state : ''}`,
-                    country: location.country
+                    country: location.country,
+                    regions: [location.state].filter(Boolean)
                 };
             }
 
@@ -412,330 +931,585 @@ class WeatherApp {
             console.error('Reverse geocoding error:', error);
             return {
                 name: `${lat.toFixed(2)}, ${lon.toFixed(2)}`,
-                country: 'Unknown'
+                country: 'Unknown',
+                regions: []
             };
         }
     }
 
     /**
-     * Handle location search form submission
-     * @param {Event} e - Form submit event
+     * Set up the location search typeahead
      */
-    async handleLocationSearch(e) {
-        e.preventDefault();
-
+    setupSearchAutocomplete() {
         const searchInput = document.getElementById('location-search');
-        const query = searchInput.value.trim();
-
-        if (!query) return;
+        const resultsList = document.getElementById('search-results');
+        if (!searchInput || !resultsList) return;
 
-        this.showLoading(`Searching for "${query}"...`);
+        this.searchResults = [];
+        this.activeSearchIndex = -1;
+        this.searchTimer = null;
+        this.searchRequestId = 0;
 
-        try {
-            const locations = await this.searchLocations(query);
+        searchInput.addEventListener('input', () => {
+            const query = searchInput.value.trim();
+            clearTimeout(this.searchTimer);
 
-            if (locations.length === 0) {
-                this.showError('Location not found. Please try a different search.');
+            if (query.length < 2) {
+                this.showRecentSearches();
                 return;
             }
 
-            // Use the first result
-            const location = locations[0];
-            this.currentLocation = {
-                lat: location.lat,
-                lon: location.lon,
-                name: location.name,
-                country: location.country
-            };
+            // The list already says search is unavailable, so a failed lookup only needs logging
+            this.searchTimer = setTimeout(() => {
+                this.updateSearchResults(query).catch(error => console.error('Location search error:', error));
+            }, CONFIG.APP.DEBOUNCE_DELAY);
+        });
 
-            this.saveLocation(this.currentLocation);
-            await this.loadWeatherData();
+        searchInput.addEventListener('focus', () => {
+            if (!searchInput.value.trim()) this.showRecentSearches();
+        });
 
-            // Clear search input
-            searchInput.value = '';
+        searchInput.addEventListener('keydown', (e) => {
+            const count = this.searchResults.length;
 
-        } catch (error) {
-            console.error('Location search error:', error);
-            this.showError('Error searching for location. Please try again.');
-        } finally {
-            this.hideLoading();
-        }
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                if (resultsList.hidden) {
+                    if (!searchInput.value.trim()) this.showRecentSearches();
+                    return;
+                }
+                e.preventDefault();
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.setActiveSearchResult((this.activeSearchIndex + step + count) % count);
+            } else if (e.key === 'Escape' && !resultsList.hidden) {
+                e.stopPropagation();
+                this.closeSearchResults();
+            }
+        });
+
+        // mousedown keeps focus in the input until the choice is made
+        resultsList.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (!option) return;
+
+            e.preventDefault();
+            this.selectSearchResult(this.searchResults[parseInt(option.dataset.index, 10)]);
+        });
+
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.search-form')) this.closeSearchResults();
+        });
     }
 
     /**
-     * Search for locations by name
+     * Search for a query and show the candidates in the typeahead list
      * @param {string} query - Search query
-     * @returns {Array} Array of location results
+     * @returns {Promise<Array>} Results shown
      */
-    async searchLocations(query) {
+    async updateSearchResults(query) {
+        const requestId = ++this.searchRequestId;
+
         try {
-            // Use OpenWeatherMap geocoding API
-            const url = `${CONFIG.ENDPOINTS.OPENWEATHERMAP.GEOCODING}?q=${encodeURIComponent(query)}&limit=5&appid=${CONFIG.API_KEYS.OPENWEATHERMAP}`;
+            const locations = await this.searchLocations(query);
 
-            const response = await this.fetchWithTimeout(url);
-            const data = await response.json();
-
-            return data.map(location => ({
-                lat: location.lat,
-                lon: location.lon,
-                name: `${location.name}${location.state ? ', ' + location.state : ''}`,
-                country: location.country
-            }));
+            // A newer keystroke already started another search
+            if (requestId !== this.searchRequestId) return this.searchResults;
+
+            this.renderSearchResults(locations, locations.length ? null : `No matches for "${query}"`);
+            return locations;
         } catch (error) {
-            console.error('Location search error:', error);
+            if (requestId === this.searchRequestId) {
+                this.renderSearchResults([], 'Search is unavailable right now');
+            }
             throw error;
         }
     }
 
     /**
-     * Load weather data from multiple APIs for ensemble forecasting
+     * Handle location search form submission
+     * @param {Event} e - Form submit event
      */
-    async loadWeatherData() {
-        if (!this.currentLocation) {
-            console.error('No location available for weather data');
+    async handleLocationSearch(e) {
+        e.preventDefault();
+
+        const searchInput = document.getElementById('location-search');
+        const query = searchInput.value.trim();
+
+        // Enter on a highlighted candidate picks it
+        if (this.activeSearchIndex >= 0 && this.searchResults[this.activeSearchIndex]) {
+            await this.selectSearchResult(this.searchResults[this.activeSearchIndex]);
             return;
         }
 
-        this.showLoading('Loading weather data...');
+        if (!query) return;
 
-        try {
-            // Update location display
-            this.updateLocationDisplay();
+        clearTimeout(this.searchTimer);
+        this.showLoading(`Searching for "${query}"...`);
 
-            // Fetch data from multiple APIs in parallel for ensemble forecasting
-            const promises = [
-                this.fetchOpenWeatherMapData(),
-                this.fetchWeatherbitData(),
-                this.fetchOpenMeteoData(),
-                this.fetchAirQualityData(),
-                this.fetchGovernmentAlerts()
-            ];
+        try {
+            const locations = await this.updateSearchResults(query);
 
-            const results = await Promise.allSettled(promises);
+            if (locations.length === 0) {
+                this.showError('Location not found. Please try a different search.');
+                return;
+            }
 
-            // Process ensemble weather data
-            this.processEnsembleData(results);
+            // Only skip the list when there is nothing to disambiguate
+            if (locations.length === 1) {
+                await this.selectSearchResult(locations[0]);
+            } else {
+                this.setActiveSearchResult(0);
+            }
+        } catch (error) {
+            console.error('Location search error:', error);
+            this.showError('Error searching for location. Please try again.');
+        } finally {
+            this.hideLoading();
+        }
+    }
 
-            // Update UI with new data
-            this.updateWeatherDisplay();
-            this.updateForecastDisplay();
-            this.updateAirQualityDisplay();
-            this.updateHealthTips();
-            this.updateAlertsDisplay();
+    /**
+     * Load the dashboard for a location picked from the search list
+     * @param {Object} location - Search result
+     */
+    async selectSearchResult(location) {
+        if (!location) return;
 
-            // Update last updated time
-            this.updateLastUpdated();
+        const searchInput = document.getElementById('location-search');
+        this.closeSearchResults();
+        if (searchInput) searchInput.value = '';
+
+        this.currentLocation = {
+            lat: location.lat,
+            lon: location.lon,
+            name: location.name,
+            country: location.country,
+            regions: location.regions || []
+        };
 
-            // Save timestamp for last update
-            localStorage.setItem('weather-app-last-update', Date.now().toString());
+        this.addRecentSearch(location);
+        this.saveLocation(this.currentLocation);
+        await this.loadWeatherData();
+    }
 
-            // Set up auto-refresh if enabled
-            this.setupAutoRefresh();
+    /**
+     * Render candidates in the typeahead list
+     * @param {Array} locations - Search results or recent searches
+     * @param {string|null} [message] - Message to show instead of results
+     * @param {string} [heading] - Optional heading above the results
+     */
+    renderSearchResults(locations, message = null, heading = '') {
+        const resultsList = document.getElementById('search-results');
+        const searchInput = document.getElementById('location-search');
+        if (!resultsList) return;
 
-            console.log('Weather data loaded successfully');
+        this.searchResults = locations;
+        this.activeSearchIndex = -1;
+        searchInput?.removeAttribute('aria-activedescendant');
 
-        } catch (error) {
-            console.error('Error loading weather data:', error);
-            this.showError('Error loading weather data. Please try again.');
-        } finally {
-            this.hideLoading();
+        if (locations.length === 0 && !message) {
+            this.closeSearchResults();
+            return;
         }
+
+        const headingItem = heading ? `<li class="search-results-heading" role="presentation">${this.escapeHTML(heading)}</li>` : '';
+        resultsList.innerHTML = message
+            ? `<li class="search-results-message" role="presentation">${this.escapeHTML(message)}</li>`
+            : headingItem + locations.map((location, index) => `
+                <li class="search-result" id="search-result-${index}" role="option" aria-selected="false" data-index="${index}">
+                    <span class="search-result-name">${this.escapeHTML(location.placeName || location.name)}</span>
+                    <span class="search-result-detail">${this.escapeHTML(this.describeSearchResult(location))}</span>
+                </li>
+            `).join('');
+
+        resultsList.hidden = false;
+        searchInput?.setAttribute('aria-expanded', 'true');
     }
 
     /**
-     * Fetch weather data from OpenWeatherMap API
+     * Describe a candidate's region, country and coordinates
+     * @param {Object} location - Search result
+     * @returns {string} Description such as "Illinois, US · 39.80°N, 89.64°W"
      */
-    async fetchOpenWeatherMapData() {
-        const { lat, lon } = this.currentLocation;
+    describeSearchResult(location) {
+        const region = [location.state, location.countryName || location.country].filter(Boolean).join(', ');
+        const coordinates = this.formatCoordinates(location.lat, location.lon);
+        return region ? `${region} · ${coordinates}` : coordinates;
+    }
 
-        try {
-            // Fetch current weather and forecast
-            const currentUrl = `${CONFIG.ENDPOINTS.OPENWEATHERMAP.CURRENT}?lat=${lat}&lon=${lon}&appid=${CONFIG.API_KEYS.OPENWEATHERMAP}&units=metric`;
-            const forecastUrl = `${CONFIG.ENDPOINTS.OPENWEATHERMAP.FORECAST}?lat=${lat}&lon=${lon}&appid=${CONFIG.API_KEYS.OPENWEATHERMAP}&units=metric`;
+    /**
+     * Format coordinates with hemisphere letters
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @returns {string} Coordinates such as "48.86°N, 2.35°E"
+     */
+    formatCoordinates(lat, lon) {
+        const latitude = `${Math.abs(lat).toFixed(2)}°${lat >= 0 ? 'N' : 'S'}`;
+        const longitude = `${Math.abs(lon).toFixed(2)}°${lon >= 0 ? 'E' : 'W'}`;
+        return `${latitude}, ${longitude}`;
+    }
+
+    /**
+     * Highlight a candidate in the typeahead list
+     * @param {number} index - Result index
+     */
+    setActiveSearchResult(index) {
+        const resultsList = document.getElementById('search-results');
+        const searchInput = document.getElementById('location-search');
+        if (!resultsList || !this.searchResults[index]) return;
+
+        this.activeSearchIndex = index;
+        resultsList.querySelectorAll('[role="option"]').forEach(option => {
+            const active = parseInt(option.dataset.index, 10) === index;
+            option.setAttribute('aria-selected', String(active));
+            option.classList.toggle('active', active);
+            if (active) option.scrollIntoView?.({ block: 'nearest' });
+        });
+        searchInput?.setAttribute('aria-activedescendant', `search-result-${index}`);
+    }
 
-            const [currentResponse, forecastResponse] = await Promise.all([
-                this.fetchWithTimeout(currentUrl),
-                this.fetchWithTimeout(forecastUrl)
-            ]);
+    /**
+     * Hide the typeahead list
+     */
+    closeSearchResults() {
+        const resultsList = document.getElementById('search-results');
+        const searchInput = document.getElementById('location-search');
 
-            const currentData = await currentResponse.json();
-            const forecastData = await forecastResponse.json();
+        this.searchResults = [];
+        this.activeSearchIndex = -1;
+        this.searchRequestId++;
 
-            return {
-                source: 'openweathermap',
-                current: currentData,
-                forecast: forecastData
-            };
+        if (resultsList) resultsList.hidden = true;
+        searchInput?.setAttribute('aria-expanded', 'false');
+        searchInput?.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Show recent searches in the typeahead list
+     */
+    showRecentSearches() {
+        const recent = this.getRecentSearches();
+        if (recent.length === 0) {
+            this.closeSearchResults();
+            return;
+        }
+
+        this.renderSearchResults(recent, null, 'Recent searches');
+    }
+
+    /**
+     * Get recent searches from localStorage
+     * @returns {Array} Recently chosen search results, newest first
+     */
+    getRecentSearches() {
+        try {
+            const saved = localStorage.getItem('weather-app-recent-searches');
+            return saved ? JSON.parse(saved) : [];
         } catch (error) {
-            console.error('OpenWeatherMap API error:', error);
-            throw error;
+            console.error('Error reading recent searches:', error);
+            return [];
         }
     }
 
     /**
-     * Fetch weather data from Weatherbit API
+     * Remember a chosen search result
+     * @param {Object} location - Search result
      */
-    async fetchWeatherbitData() {
-        const { lat, lon } = this.currentLocation;
+    addRecentSearch(location) {
+        const key = this.getLocationKey(location);
+        const recent = [location, ...this.getRecentSearches().filter(item => this.getLocationKey(item) !== key)]
+            .slice(0, CONFIG.APP.RECENT_SEARCHES_LIMIT);
 
         try {
-            const currentUrl = `${CONFIG.ENDPOINTS.WEATHERBIT.CURRENT}?lat=${lat}&lon=${lon}&key=${CONFIG.API_KEYS.WEATHERBIT}`;
-            const dailyUrl = `${CONFIG.ENDPOINTS.WEATHERBIT.FORECAST_DAILY}?lat=${lat}&lon=${lon}&key=${CONFIG.API_KEYS.WEATHERBIT}&days=7`;
-            const hourlyUrl = `${CONFIG.ENDPOINTS.WEATHERBIT.FORECAST_HOURLY}?lat=${lat}&lon=${lon}&key=${CONFIG.API_KEYS.WEATHERBIT}&hours=24`;
-
-            const [currentResponse, dailyResponse, hourlyResponse] = await Promise.all([
-                this.fetchWithTimeout(currentUrl),
-                this.fetchWithTimeout(dailyUrl),
-                this.fetchWithTimeout(hourlyUrl)
-            ]);
+            localStorage.setItem('weather-app-recent-searches', JSON.stringify(recent));
+        } catch (error) {
+            console.error('Error saving recent searches:', error);
+        }
+    }
 
-            const currentData = await currentResponse.json();
-            const dailyData = await dailyResponse.json();
-            const hourlyData = await hourlyResponse.json();
+    /**
+     * Search for locations by name, falling back to Open-Meteo when OpenWeatherMap fails
+     * @param {string} query - Search query
+     * @returns {Array} Array of location results
+     */
+    async searchLocations(query) {
+        try {
+            return await this.searchOpenWeatherMapLocations(query);
+        } catch (error) {
+            console.warn('OpenWeatherMap geocoding failed, trying Open-Meteo:', error);
+        }
 
-            return {
-                source: 'weatherbit',
-                current: currentData.data[0],
-                daily: dailyData.data,
-                hourly: hourlyData.data
-            };
+        try {
+            return await this.searchOpenMeteoLocations(query);
         } catch (error) {
-            console.error('Weatherbit API error:', error);
+            console.error('Location search error:', error);
             throw error;
         }
     }
 
     /**
-     * Fetch weather data from Open-Meteo API (free, no API key required)
+     * Search locations with OpenWeatherMap geocoding
+     * @param {string} query - Search query
+     * @returns {Promise<Array>} Location results
      */
-    async fetchOpenMeteoData() {
-        const { lat, lon } = this.currentLocation;
+    async searchOpenWeatherMapLocations(query) {
+        // Use OpenWeatherMap geocoding through the API proxy
+        const url = `${CONFIG.API_PROXY.BASE_URL}/geocode?q=${encodeURIComponent(query)}&limit=5`;
 
-        try {
-            const url = `${CONFIG.ENDPOINTS.OPEN_METEO.FORECAST}?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m&hourly=temperature_2m,relative_humidity_2m,apparent_temperature,precipitation_probability,precipitation,weather_code,pressure_msl,cloud_cover,visibility,wind_speed_10m,wind_direction_10m,uv_index&daily=weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,uv_index_max,precipitation_sum,rain_sum,precipitation_hours,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant&timezone=auto`;
+        const response = await this.fetchWithTimeout(url);
+        if (!response.ok) {
+            throw new Error(`Geocoding responded with ${response.status}`);
+        }
 
-            const response = await this.fetchWithTimeout(url);
-            const data = await response.json();
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            throw new Error('Unexpected geocoding response');
+        }
 
-            return {
-                source: 'open-meteo',
-                data: data
-            };
-        } catch (error) {
-            console.error('Open-Meteo API error:', error);
-            throw error;
+        return data.map(location => ({
+            lat: location.lat,
+            lon: location.lon,
+            name: `${location.name}${location.state ? ', ' + location.state : ''}`,
+            placeName: location.name,
+            state: location.state,
+            regions: [location.state].filter(Boolean),
+            country: location.country
+        }));
+    }
+
+    /**
+     * Search locations with Open-Meteo geocoding (no API key required)
+     * @param {string} query - Search query
+     * @returns {Promise<Array>} Location results
+     */
+    async searchOpenMeteoLocations(query) {
+        const url = `${CONFIG.ENDPOINTS.OPEN_METEO.GEOCODING}?name=${encodeURIComponent(query)}&count=5&language=en&format=json`;
+
+        const response = await this.fetchWithTimeout(url);
+        if (!response.ok) {
+            throw new Error(`Open-Meteo geocoding responded with ${response.status}`);
         }
+
+        const data = await response.json();
+
+        return (data.results || []).map(location => ({
+            lat: location.latitude,
+            lon: location.longitude,
+            name: `${location.name}${location.admin1 ? ', ' + location.admin1 : ''}`,
+            placeName: location.name,
+            state: location.admin1,
+            regions: [location.admin1, location.admin2, location.admin3, location.admin4].filter(Boolean),
+            country: location.country_code,
+            countryName: location.country
+        }));
     }
 
     /**
-     * Fetch air quality data
+     * Load weather data from multiple APIs for ensemble forecasting
      */
-    async fetchAirQualityData() {
-        const { lat, lon } = this.currentLocation;
+    async loadWeatherData({ quiet = false } = {}) {
+        if (!this.currentLocation) {
+            console.error('No location available for weather data');
+            return;
+        }
+
+        if (quiet) {
+            this.isLoading = true;
+        } else {
+            this.showLoading('Loading weather data...');
+        }
 
         try {
-            // Try OpenWeatherMap air pollution API first
-            const owmUrl = `${CONFIG.ENDPOINTS.OPENWEATHERMAP.AIR_POLLUTION}?lat=${lat}&lon=${lon}&appid=${CONFIG.API_KEYS.OPENWEATHERMAP}`;
-            const response = await this.fetchWithTimeout(owmUrl);
-            const data = await response.json();
+            // Update location display
+            this.updateLocationDisplay();
 
-            return {
-                source: 'openweathermap',
-                data: data.list[0]
-            };
-        } catch (error) {
-            console.error('Air quality API error:', error);
+            // Offline, go straight to the last known dashboard for this location
+            if (!navigator.onLine && await this.showSnapshot(this.currentLocation)) {
+                return;
+            }
 
-            // Fallback to Open-Meteo air quality
-            try {
-                const openMeteoUrl = `${CONFIG.ENDPOINTS.OPEN_METEO.AIR_QUALITY}?latitude=${lat}&longitude=${lon}&current=us_aqi,pm10,pm2_5,carbon_monoxide,nitrogen_dioxide,sulphur_dioxide,ozone`;
-                const response = await this.fetchWithTimeout(openMeteoUrl);
-                const data = await response.json();
+            // Alerts already on screen for this location, to tell which ones are new
+            const locationKey = this.getLocationKey(this.currentLocation);
+            const previousAlerts = this.alertsLocationKey === locationKey ? this.weatherData.alerts : [];
 
-                return {
-                    source: 'open-meteo',
-                    data: data.current
-                };
-            } catch (fallbackError) {
-                console.error('Air quality fallback error:', fallbackError);
-                throw fallbackError;
+            // Fetch data from every enabled provider in parallel for ensemble forecasting
+            const results = await this.fetchProviderData(this.currentLocation);
+
+            // Process ensemble weather data
+            this.processEnsembleData(results);
+
+            // Track updates, cancellations and expiry, and keep only alerts still in force
+            this.weatherData.alerts = await this.syncAlertStore(
+                this.currentLocation,
+                this.weatherData.alerts,
+                results.every(result => result.status === 'fulfilled' || !result.adapter.capabilities.includes('alerts'))
+            );
+            this.alertsLocationKey = locationKey;
+            this.weatherData.personalAlerts = this.evaluateWatchRules(this.currentLocation);
+
+            // Every provider failed, e.g. a flaky connection that still reports online
+            if (!this.weatherData.current && await this.showSnapshot(this.currentLocation)) {
+                return;
             }
+
+            // Update UI with new data
+            this.renderWeatherData();
+
+            // Update last updated time
+            this.updateLastUpdated();
+            this.updateStalenessBadge(false);
+
+            // Save timestamp for last update
+            localStorage.setItem('weather-app-last-update', Date.now().toString());
+
+            // Keep a copy to show when offline
+            await this.saveSnapshot(this.currentLocation);
+
+            await this.notifyNewAlerts(previousAlerts, this.weatherData.alerts);
+
+            this.updateCurrentLocationSummary();
+
+            // Set up auto-refresh if enabled
+            this.setupAutoRefresh();
+
+            console.log('Weather data loaded successfully');
+
+        } catch (error) {
+            console.error('Error loading weather data:', error);
+            this.showError('Error loading weather data. Please try again.');
+        } finally {
+            this.hideLoading();
         }
     }
 
     /**
-     * Fetch government weather alerts
+     * Render every weather card from this.weatherData
      */
-    async fetchGovernmentAlerts() {
-        const { lat, lon, country } = this.currentLocation;
+    renderWeatherData() {
+        this.updateWeatherDisplay();
+        this.updateForecastDisplay();
+        this.updatePressureDisplay();
+        this.updateWindRose();
+        this.updateAirQualityDisplay();
+        this.updatePollenDisplay();
+        this.updateHealthTips();
+        this.updateSunProtection();
+        this.updateAstronomyDisplay();
+        this.updateAlertsDisplay();
+    }
+
+    /**
+     * Persist the current weatherData as the last known dashboard for a location
+     * @param {Object} location - Location the data belongs to
+     */
+    async saveSnapshot(location) {
+        if (!this.db || !this.weatherData.current) return;
 
         try {
-            if (country === 'US') {
-                // Use NOAA API for US alerts
-                const url = `${CONFIG.ENDPOINTS.NOAA.ALERTS}?point=${lat},${lon}`;
-                console.log('Fetching NOAA alerts from:', url);
-                const response = await this.fetchWithTimeout(url);
-
-                if (!response.ok) {
-                    throw new Error(`NOAA API responded with ${response.status}`);
-                }
+            const transaction = this.db.transaction('snapshots', 'readwrite');
+            transaction.objectStore('snapshots').put({
+                key: this.getLocationKey(location),
+                location,
+                weatherData: this.weatherData,
+                savedAt: Date.now()
+            });
+            await this.idbTransactionDone(transaction);
+        } catch (error) {
+            console.warn('Error saving weather snapshot:', error);
+        }
+    }
 
-                const data = await response.json();
-                console.log('NOAA alerts response:', data);
+    /**
+     * Load the last known dashboard for a location
+     * @param {Object} location - Location with lat and lon
+     * @returns {Promise<Object|null>} Snapshot as { key, location, weatherData, savedAt }
+     */
+    async getSnapshot(location) {
+        if (!this.db) return null;
 
-                return {
-                    source: 'noaa',
-                    alerts: data.features || []
-                };
-            } else {
-                // For demonstration, create sample alerts for non-US locations
-                const demoAlerts = this.createDemoAlerts(lat, lon, country);
-                return {
-                    source: 'demo',
-                    alerts: demoAlerts
-                };
-            }
+        try {
+            const transaction = this.db.transaction('snapshots', 'readonly');
+            const snapshot = await this.idbRequest(
+                transaction.objectStore('snapshots').get(this.getLocationKey(location))
+            );
+            return snapshot || null;
         } catch (error) {
-            console.error('Government alerts error:', error);
-
-            // Return empty alerts when service is unavailable
-            return {
-                source: 'error',
-                alerts: []
-            };
+            console.warn('Error reading weather snapshot:', error);
+            return null;
         }
     }
 
     /**
-     * Create demo alerts for non-US locations
+     * Render the last known dashboard for a location with an "as of" badge
+     * @param {Object} location - Location with lat and lon
+     * @returns {Promise<boolean>} True if a snapshot was shown
      */
-    createDemoAlerts(lat, lon, country) {
-        // Only show alerts if there are actual weather conditions that warrant them
-        // For now, return empty array to show "No active weather alerts"
-        return [];
+    async showSnapshot(location) {
+        const snapshot = await this.getSnapshot(location);
+        if (!snapshot) return false;
+
+        this.weatherData = { ...snapshot.weatherData };
+        this.renderWeatherData();
+        this.updateLastUpdated(snapshot.savedAt);
+        this.updateStalenessBadge(true);
+
+        console.log(`Showing weather snapshot from ${new Date(snapshot.savedAt).toISOString()}`);
+        return true;
     }
 
     /**
-     * Process ensemble weather data from multiple sources
-     * @param {Array} results - Array of API results
+     * Fetch raw data from every enabled provider adapter for a location
+     * @param {Object} location - Location with lat, lon and country
+     * @returns {Promise<Array>} Settled results as { adapter, status, value | reason }
      */
-    processEnsembleData(results) {
-        const [owmResult, weatherbitResult, openMeteoResult, aqResult, alertsResult] = results;
-
-        // Process current weather with ensemble averaging
-        const currentWeatherSources = [];
+    async fetchProviderData(location) {
+        const adapters = WeatherProviders.getEnabled(location);
+        const settled = await Promise.allSettled(adapters.map(adapter => adapter.fetch(location, this)));
+
+        return adapters.map((adapter, index) => {
+            const result = settled[index];
+            if (result.status === 'rejected') {
+                console.error(`${adapter.name} (${adapter.id}) error:`, result.reason);
+            }
+            return { adapter, ...result };
+        });
+    }
 
-        if (owmResult.status === 'fulfilled') {
-            currentWeatherSources.push(this.normalizeOpenWeatherMapData(owmResult.value.current));
-        }
+    /**
+     * Get fulfilled provider results that offer a capability, in priority order
+     * @param {Array} results - Results from fetchProviderData()
+     * @param {string} capability - Capability name
+     * @returns {Array} Matching results
+     */
+    getProviderResults(results, capability) {
+        return results.filter(result =>
+            result.status === 'fulfilled' && result.adapter.capabilities.includes(capability)
+        );
+    }
 
-        if (weatherbitResult.status === 'fulfilled') {
-            currentWeatherSources.push(this.normalizeWeatherbitData(weatherbitResult.value.current));
+    /**
+     * Run an adapter normalizer, skipping providers whose payload doesn't match
+     * @param {Object} result - Provider result
+     * @param {string} method - Normalizer method name
+     * @returns {*} Normalized data, or null on failure
+     */
+    normalizeProviderResult(result, method) {
+        try {
+            return result.adapter[method](result.value, this);
+        } catch (error) {
+            console.error(`${result.adapter.name} ${method} error:`, error);
+            return null;
         }
+    }
 
-        if (openMeteoResult.status === 'fulfilled') {
-            currentWeatherSources.push(this.normalizeOpenMeteoData(openMeteoResult.value.data));
-        }
+    /**
+     * Process ensemble weather data from multiple sources
+     * @param {Array} results - Results from fetchProviderData()
+     */
+    processEnsembleData(results) {
+        // Process current weather with ensemble averaging
+        const currentWeatherSources = this.getProviderResults(results, 'current')
+            .map(result => this.normalizeProviderResult(result, 'normalizeCurrent'))
+            .filter(Boolean);
 
         // Create ensemble forecast by averaging available data
         this.weatherData.current = this.createEnsembleWeather(currentWeatherSources);
@@ -743,281 +1517,365 @@ class WeatherApp {
         // Process forecasts
         this.processEnsembleForecasts(results);
 
-        // Process air quality
-        if (aqResult.status === 'fulfilled') {
-            this.weatherData.airQuality = aqResult.value;
+        // Providers define "feels like" differently, so derive it and the other comfort metrics the same way everywhere
+        const current = this.weatherData.current;
+        if (current) {
+            const { feelsLike, ...comfort } = Meteo.calculate(current.temperature, current.humidity, current.windSpeed);
+            Object.assign(current, comfort);
+            if (feelsLike) {
+                current.feelsLike = feelsLike.value;
+                current.feelsLikeMethod = feelsLike.method;
+            }
+
+            this.storePressureReading(current.pressure);
+        }
+
+        // Few providers report current UV, but the hourly series has it for the surrounding hours
+        const uvIndex = this.getUvIndexAt(Date.now());
+        if (this.weatherData.current && uvIndex !== null) {
+            this.weatherData.current.uvIndex = uvIndex;
         }
 
-        // Process alerts
-        if (alertsResult.status === 'fulfilled') {
-            this.weatherData.alerts = alertsResult.value.alerts;
+        // Process air quality: current readings from the highest-priority provider that answered,
+        // the hourly forecast averaged over every provider
+        const airQuality = this.getProviderResults(results, 'airQuality')
+            .map(result => this.normalizeProviderResult(result, 'normalizeAirQuality'))
+            .filter(Boolean);
+
+        if (airQuality.length > 0) {
+            this.weatherData.airQuality = {
+                ...airQuality[0],
+                hourly: AirQuality.mergeHourly(airQuality.map(result => result.hourly || []))
+            };
         }
+
+        // Only some air quality providers carry pollen; no answer means no pollen for the region
+        this.weatherData.pollen = this.getProviderResults(results, 'pollen')
+            .map(result => this.normalizeProviderResult(result, 'normalizePollen'))
+            .find(Boolean) || null;
+
+        // Process alerts from every provider covering this location, those inside the area first
+        const relationOrder = { inside: 0, nearby: 1 };
+        this.weatherData.alerts = this.getProviderResults(results, 'alerts')
+            .flatMap(result => this.normalizeProviderResult(result, 'normalizeAlerts') || [])
+            .sort((a, b) => relationOrder[a.match.relation] - relationOrder[b.match.relation] ||
+                a.match.distance - b.match.distance);
     }
 
     /**
      * Create ensemble weather data by averaging multiple sources
      * @param {Array} sources - Array of normalized weather data
-     * @returns {Object} Ensemble weather data
+     * @returns {Object} Ensemble weather data with per-field spread
      */
     createEnsembleWeather(sources) {
         if (sources.length === 0) return null;
-        if (sources.length === 1) return sources[0];
 
         const ensemble = {
-            temperature: 0,
-            feelsLike: 0,
-            humidity: 0,
-            pressure: 0,
-            windSpeed: 0,
-            windDirection: 0,
-            visibility: 0,
-            uvIndex: 0,
-            cloudCover: 0,
-            precipitationChance: 0,
-            description: sources[0].description,
-            icon: sources[0].icon,
-            sources: sources.map(s => s.source)
+            ...this.summarizeConditions(sources),
+            conditionSources: sources.map(s => ({ source: s.source, condition: s.condition })),
+            sources: sources.map(s => s.source),
+            spread: {}
         };
 
-        // Average numerical values
-        const numSources = sources.length;
-        sources.forEach(source => {
-            ensemble.temperature += source.temperature || 0;
-            ensemble.feelsLike += source.feelsLike || 0;
-            ensemble.humidity += source.humidity || 0;
-            ensemble.pressure += source.pressure || 0;
-            ensemble.windSpeed += source.windSpeed || 0;
-            ensemble.windDirection += source.windDirection || 0;
-            ensemble.visibility += source.visibility || 0;
-            ensemble.uvIndex += source.uvIndex || 0;
-            ensemble.cloudCover += source.cloudCover || 0;
-            ensemble.precipitationChance += source.precipitationChance || 0;
-        });
+        CONFIG.ENSEMBLE.CURRENT_FIELDS.forEach(field => {
+            // Only average what each provider actually reported
+            const values = sources.map(source => source[field]).filter(Number.isFinite);
+            const summary = field === 'windDirection'
+                ? this.summarizeDirections(values)
+                : this.summarizeValues(values);
 
-        // Calculate averages
-        Object.keys(ensemble).forEach(key => {
-            if (typeof ensemble[key] === 'number' && key !== 'sources') {
-                ensemble[key] = Math.round((ensemble[key] / numSources) * 10) / 10;
-            }
+            if (!summary) return;
+
+            const { mean, ...spread } = summary;
+            ensemble[field] = mean;
+            ensemble.spread[field] = spread;
         });
 
         return ensemble;
     }
 
     /**
-     * Normalize OpenWeatherMap data to common format
-     * @param {Object} data - Raw OpenWeatherMap data
-     * @returns {Object} Normalized weather data
+     * Summarize a set of values reported by different sources
+     * @param {Array<number>} values - Values from each source
+     * @returns {Object|null} Mean, min, max, standard deviation and source count
      */
-    normalizeOpenWeatherMapData(data) {
+    summarizeValues(values) {
+        if (values.length === 0) return null;
+
+        const round = (value) => Math.round(value * 10) / 10;
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
         return {
-            source: 'OpenWeatherMap',
-            temperature: data.main.temp,
-            feelsLike: data.main.feels_like,
-            humidity: data.main.humidity,
-            pressure: data.main.pressure,
-            windSpeed: data.wind.speed * 3.6, // Convert m/s to km/h
-            windDirection: data.wind.deg,
-            visibility: data.visibility / 1000, // Convert m to km
-            uvIndex: 0, // Not available in current weather API
-            cloudCover: data.clouds.all,
-            precipitationChance: 0, // Not available in current weather API
-            description: data.weather[0].description,
-            icon: this.getWeatherIcon(data.weather[0].id),
-            timestamp: data.dt
+            mean: round(mean),
+            min: round(Math.min(...values)),
+            max: round(Math.max(...values)),
+            stdDev: round(Math.sqrt(variance)),
+            count: values.length
         };
     }
 
     /**
-     * Normalize Weatherbit data to common format
-     * @param {Object} data - Raw Weatherbit data
-     * @returns {Object} Normalized weather data
+     * Summarize compass directions using a circular mean, so 350° and 10° average to 0°
+     * @param {Array<number>} degrees - Directions in degrees from each source
+     * @returns {Object|null} Mean, min, max, circular standard deviation and source count
      */
-    normalizeWeatherbitData(data) {
+    summarizeDirections(degrees) {
+        if (degrees.length === 0) return null;
+
+        const toRadians = Math.PI / 180;
+        const sin = degrees.reduce((sum, deg) => sum + Math.sin(deg * toRadians), 0) / degrees.length;
+        const cos = degrees.reduce((sum, deg) => sum + Math.cos(deg * toRadians), 0) / degrees.length;
+        const mean = (Math.atan2(sin, cos) / toRadians + 360) % 360;
+
+        // Min and max are the extremes of the arc around the mean
+        const offsets = degrees.map(deg => ((deg - mean + 540) % 360) - 180);
+        const normalize = (deg) => Math.round(((deg % 360) + 360) % 360);
+        const resultant = Math.min(1, Math.sqrt(sin ** 2 + cos ** 2));
+
         return {
-            source: 'Weatherbit',
-            temperature: data.temp,
-            feelsLike: data.app_temp,
-            humidity: data.rh,
-            pressure: data.pres,
-            windSpeed: data.wind_spd * 3.6, // Convert m/s to km/h
-            windDirection: data.wind_dir,
-            visibility: data.vis,
-            uvIndex: data.uv || 0,
-            cloudCover: data.clouds,
-            precipitationChance: 0, // Not available in current weather
-            description: data.weather.description,
-            icon: this.getWeatherIcon(data.weather.code),
-            timestamp: Date.now() / 1000
+            mean: normalize(mean),
+            min: normalize(mean + Math.min(...offsets)),
+            max: normalize(mean + Math.max(...offsets)),
+            stdDev: resultant > 0
+                ? Math.round(Math.sqrt(-2 * Math.log(resultant)) / toRadians * 10) / 10
+                : 180,
+            count: degrees.length
         };
     }
 
     /**
-     * Normalize Open-Meteo data to common format
-     * @param {Object} data - Raw Open-Meteo data
-     * @returns {Object} Normalized weather data
+     * Choose one condition for several sources by severity-aware vote
+     * @param {Array} items - Normalized data with condition and isDay
+     * @returns {Object} { condition, isDay, icon, description }
      */
-    normalizeOpenMeteoData(data) {
-        const current = data.current;
+    summarizeConditions(items) {
+        const condition = Conditions.vote(items.map(item => item.condition));
+        // Daily data has no day/night flag and always counts as day
+        const isDay = items.filter(item => item.isDay !== false).length * 2 >= items.length;
+
         return {
-            source: 'Open-Meteo',
-            temperature: current.temperature_2m,
-            feelsLike: current.apparent_temperature,
-            humidity: current.relative_humidity_2m,
-            pressure: current.pressure_msl,
-            windSpeed: current.wind_speed_10m,
-            windDirection: current.wind_direction_10m,
-            visibility: 10, // Default visibility
-            uvIndex: 0, // Available in hourly data
-            cloudCover: current.cloud_cover,
-            precipitationChance: current.precipitation || 0,
-            description: this.getOpenMeteoDescription(current.weather_code),
-            icon: this.getOpenMeteoIcon(current.weather_code),
-            timestamp: Date.now() / 1000
+            condition,
+            isDay,
+            icon: Conditions.getIcon(condition, isDay),
+            description: Conditions.getDescription(condition)
         };
     }
 
     /**
-     * Get weather icon based on condition code
-     * @param {number} code - Weather condition code
-     * @returns {string} Weather icon emoji
-     */
-    getWeatherIcon(code) {
-        return CONFIG.WEATHER_CONDITIONS[code]?.icon || '⛅';
-    }
-
-    /**
-     * Get Open-Meteo weather description
-     * @param {number} code - Weather code
-     * @returns {string} Weather description
-     */
-    getOpenMeteoDescription(code) {
-        const descriptions = {
-            0: 'Clear sky',
-            1: 'Mainly clear',
-            2: 'Partly cloudy',
-            3: 'Overcast',
-            45: 'Fog',
-            48: 'Depositing rime fog',
-            51: 'Light drizzle',
-            53: 'Moderate drizzle',
-            55: 'Dense drizzle',
-            61: 'Light rain',
-            63: 'Moderate rain',
-            65: 'Heavy rain',
-            71: 'Light snow',
-            73: 'Moderate snow',
-            75: 'Heavy snow',
-            95: 'Thunderstorm',
-            96: 'Thunderstorm with light hail',
-            99: 'Thunderstorm with heavy hail'
-        };
-        return descriptions[code] || 'Unknown';
+     * Process ensemble forecasts from multiple sources
+     * @param {Array} results - Results from fetchProviderData()
+     */
+    processEnsembleForecasts(results) {
+        const hourlySeries = this.getProviderResults(results, 'hourly')
+            .map(result => this.normalizeProviderResult(result, 'normalizeHourly'))
+            .filter(Boolean);
+
+        const dailySeries = this.getProviderResults(results, 'daily')
+            .map(result => this.normalizeProviderResult(result, 'normalizeDaily'))
+            .filter(Boolean);
+
+        // Local dates and times follow the first provider that knows the location's offset
+        const offsets = results
+            .filter(result => result.status === 'fulfilled' && typeof result.adapter.getUtcOffset === 'function')
+            .map(result => result.adapter.getUtcOffset(result.value))
+            .filter(Number.isFinite);
+
+        this.weatherData.utcOffset = offsets.length > 0 ? offsets[0] : null;
+        this.weatherData.hourly = this.mergeHourlySeries(hourlySeries);
+        this.weatherData.daily = this.mergeDailySeries(dailySeries);
+        this.weatherData.pressureHistory = this.mergePressureHistory(hourlySeries);
+        this.weatherData.windHours = this.mergeWindHours(hourlySeries);
     }
 
     /**
-     * Get Open-Meteo weather icon
-     * @param {number} code - Weather code
-     * @returns {string} Weather icon emoji
+     * Convert a location-local ISO time without zone (e.g. "2023-09-21T14:00") to a timestamp
+     * @param {string} time - Local time string
+     * @param {number} utcOffset - Location UTC offset in seconds
+     * @returns {number} Milliseconds since epoch
      */
-    getOpenMeteoIcon(code) {
-        const icons = {
-            0: '☀️',
-            1: '🌤️',
-            2: '⛅',
-            3: '☁️',
-            45: '🌫️',
-            48: '🌫️',
-            51: '🌦️',
-            53: '🌦️',
-            55: '🌦️',
-            61: '🌧️',
-            63: '🌧️',
-            65: '🌧️',
-            71: '🌨️',
-            73: '🌨️',
-            75: '❄️',
-            95: '⛈️',
-            96: '⛈️',
-            99: '⛈️'
-        };
-        return icons[code] || '⛅';
+    parseLocalTime(time, utcOffset = 0) {
+        return Date.parse(`${time}Z`) - utcOffset * 1000;
     }
 
     /**
-     * Process ensemble forecasts from multiple sources
-     * @param {Array} results - Array of API results
+     * Merge hourly series from all providers onto a common hourly grid
+     * @param {Array} seriesList - Normalized hourly series
+     * @returns {Array} Ensemble hourly forecast
      */
-    processEnsembleForecasts(results) {
-        // Process hourly and daily forecasts
-        const [owmResult, weatherbitResult, openMeteoResult] = results;
+    mergeHourlySeries(seriesList) {
+        const { HOURLY_SLOTS, MAX_INTERPOLATION_GAP } = CONFIG.ENSEMBLE;
+        const hour = 3600000;
+        const start = Math.floor(Date.now() / hour) * hour;
+        const merged = [];
+
+        for (let i = 0; i < HOURLY_SLOTS; i++) {
+            const time = start + i * hour;
+            const samples = seriesList
+                .map(series => ({ source: series.source, point: this.sampleSeries(series.points, time, MAX_INTERPOLATION_GAP) }))
+                .filter(sample => sample.point);
+
+            if (samples.length === 0) continue;
+
+            const slot = {
+                time: new Date(time).toISOString(),
+                ...this.mergeSlot(samples, CONFIG.ENSEMBLE.HOURLY_FIELDS)
+            };
 
-        this.weatherData.hourly = [];
-        this.weatherData.daily = [];
+            const { dewPoint, feelsLike } = Meteo.calculate(slot.temp, slot.humidity, slot.wind_speed);
+            slot.dew_point = dewPoint;
+            if (feelsLike) {
+                slot.feels_like = feelsLike.value;
+                slot.feels_like_method = feelsLike.method;
+            }
 
-        // Combine hourly forecasts
-        if (weatherbitResult.status === 'fulfilled' && weatherbitResult.value.hourly) {
-            this.weatherData.hourly = weatherbitResult.value.hourly.slice(0, 24);
-        } else if (openMeteoResult.status === 'fulfilled') {
-            this.weatherData.hourly = this.processOpenMeteoHourly(openMeteoResult.value.data);
+            merged.push(slot);
         }
 
-        // Combine daily forecasts
-        if (weatherbitResult.status === 'fulfilled' && weatherbitResult.value.daily) {
-            this.weatherData.daily = weatherbitResult.value.daily.slice(0, 7);
-        } else if (openMeteoResult.status === 'fulfilled') {
-            this.weatherData.daily = this.processOpenMeteoDaily(openMeteoResult.value.data);
-        }
+        return merged;
     }
 
     /**
-     * Process Open-Meteo hourly data
-     * @param {Object} data - Open-Meteo forecast data
-     * @returns {Array} Processed hourly data
+     * Average the past hours of pressure that providers returned (Open-Meteo's past_hours)
+     * @param {Array} seriesList - Normalized hourly series
+     * @returns {Array} Readings as { time, pressure } for the hours before the current one
      */
-    processOpenMeteoHourly(data) {
-        const hourly = data.hourly;
-        const processed = [];
+    mergePressureHistory(seriesList) {
+        const hour = 3600000;
+        const start = Math.floor(Date.now() / hour) * hour;
+        const history = [];
+
+        for (let i = CONFIG.APP.PRESSURE_HISTORY_HOURS; i > 0; i--) {
+            const time = start - i * hour;
+            const values = seriesList
+                .map(series => this.sampleSeries(series.points, time, CONFIG.ENSEMBLE.MAX_INTERPOLATION_GAP)?.pressure)
+                .filter(Number.isFinite);
+
+            if (values.length > 0) {
+                history.push({ time, pressure: this.summarizeValues(values).mean });
+            }
+        }
 
-        for (let i = 0; i < Math.min(24, hourly.time.length); i++) {
-            processed.push({
-                time: hourly.time[i],
-                temp: hourly.temperature_2m[i],
-                feels_like: hourly.apparent_temperature[i],
-                humidity: hourly.relative_humidity_2m[i],
-                precipitation_prob: hourly.precipitation_probability[i],
-                weather_code: hourly.weather_code[i],
-                wind_speed: hourly.wind_speed_10m[i],
-                uv_index: hourly.uv_index[i]
-            });
+        return history;
+    }
+
+    /**
+     * Merge hourly wind from all providers for every forecast day, from local midnight today
+     * The hourly grid only covers the next HOURLY_SLOTS hours, too few for a wind rose per day.
+     * @param {Array} seriesList - Normalized hourly series
+     * @returns {Array} Hours as { time, wind_speed, wind_gust, wind_direction } with a direction
+     */
+    mergeWindHours(seriesList) {
+        const hour = 3600000;
+        const offset = this.getLocationUtcOffset() * 1000;
+        const start = Math.floor((Date.now() + offset) / Astronomy.DAY_MS) * Astronomy.DAY_MS - offset;
+        const hours = [];
+
+        for (let i = 0; i < CONFIG.ENSEMBLE.DAILY_SLOTS * 24; i++) {
+            const time = start + i * hour;
+            const samples = seriesList
+                .map(series => ({ source: series.source, point: this.sampleSeries(series.points, time, CONFIG.ENSEMBLE.MAX_INTERPOLATION_GAP) }))
+                .filter(sample => sample.point);
+
+            const { wind_speed, wind_gust, wind_direction } = this.mergeSlot(samples, ['wind_speed', 'wind_gust', 'wind_direction']);
+            if (Number.isFinite(wind_direction)) {
+                hours.push({ time, wind_speed, wind_gust, wind_direction });
+            }
         }
 
-        return processed;
+        return hours;
     }
 
     /**
-     * Process Open-Meteo daily data
-     * @param {Object} data - Open-Meteo forecast data
-     * @returns {Array} Processed daily data
+     * Merge daily series from all providers by calendar date at the location
+     * @param {Array} seriesList - Normalized daily series
+     * @returns {Array} Ensemble daily forecast
      */
-    processOpenMeteoDaily(data) {
-        const daily = data.daily;
-        const processed = [];
+    mergeDailySeries(seriesList) {
+        const offset = this.weatherData.utcOffset;
+        const today = offset !== null && offset !== undefined
+            ? new Date(Date.now() + offset * 1000).toISOString().slice(0, 10)
+            : new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+        const dates = [...new Set(seriesList.flatMap(series => series.points.map(point => point.date)))]
+            .filter(date => date >= today)
+            .sort()
+            .slice(0, CONFIG.ENSEMBLE.DAILY_SLOTS);
+
+        return dates.map(date => {
+            const samples = seriesList
+                .map(series => ({ source: series.source, point: series.points.find(point => point.date === date) }))
+                .filter(sample => sample.point);
+
+            return { date, ...this.mergeSlot(samples, CONFIG.ENSEMBLE.DAILY_FIELDS) };
+        });
+    }
 
-        for (let i = 0; i < Math.min(7, daily.time.length); i++) {
-            processed.push({
-                date: daily.time[i],
-                max_temp: daily.temperature_2m_max[i],
-                min_temp: daily.temperature_2m_min[i],
-                weather_code: daily.weather_code[i],
-                precipitation_sum: daily.precipitation_sum[i],
-                wind_speed_max: daily.wind_speed_10m_max[i],
-                uv_index_max: daily.uv_index_max[i],
-                precipitation_probability_max: daily.precipitation_probability_max[i]
-            });
-        }
+    /**
+     * Sample a time series at a given time, interpolating between neighbouring points
+     * @param {Array} points - Points sorted by time
+     * @param {number} time - Target timestamp in milliseconds
+     * @param {number} maxGap - Largest gap between points that may be interpolated
+     * @returns {Object|null} Point at the target time, or null if not covered
+     */
+    sampleSeries(points, time, maxGap) {
+        const nextIndex = points.findIndex(point => point.time >= time);
+        if (nextIndex === -1) return null;
+
+        const next = points[nextIndex];
+        if (next.time === time) return next;
+
+        const previous = points[nextIndex - 1];
+        if (!previous || next.time - previous.time > maxGap) return null;
+
+        const ratio = (time - previous.time) / (next.time - previous.time);
+        const nearest = ratio < 0.5 ? previous : next;
+        const point = { ...nearest, time };
+
+        CONFIG.ENSEMBLE.HOURLY_FIELDS.forEach(field => {
+            const a = previous[field];
+            const b = next[field];
+            if (!Number.isFinite(a) || !Number.isFinite(b)) {
+                point[field] = undefined;
+            } else if (field === 'wind_direction') {
+                // Interpolate along the shorter arc
+                const delta = ((b - a + 540) % 360) - 180;
+                point[field] = (a + delta * ratio + 360) % 360;
+            } else {
+                point[field] = a + (b - a) * ratio;
+            }
+        });
+
+        return point;
+    }
+
+    /**
+     * Merge provider samples for one forecast slot into ensemble values with spread
+     * @param {Array} samples - Samples as { source, point }
+     * @param {Array<string>} fields - Numeric fields to merge
+     * @returns {Object} Ensemble values, spread and contributing providers
+     */
+    mergeSlot(samples, fields) {
+        const slot = {
+            ...this.summarizeConditions(samples.map(sample => sample.point)),
+            providers: samples.map(sample => sample.source),
+            spread: {}
+        };
+
+        fields.forEach(field => {
+            const values = samples.map(sample => sample.point[field]).filter(Number.isFinite);
+            const summary = field === 'wind_direction'
+                ? this.summarizeDirections(values)
+                : this.summarizeValues(values);
+
+            if (!summary) return;
 
-        return processed;
+            const { mean, ...spread } = summary;
+            slot[field] = mean;
+            slot.spread[field] = spread;
+        });
+
+        return slot;
     }
 
     /**
@@ -1032,13 +1890,16 @@ class WeatherApp {
         const feelsLikeElement = document.getElementById('feels-like');
 
         if (tempElement) {
-            tempElement.textContent = `${Math.round(weather.temperature)}°${this.settings.TEMPERATURE_UNIT === 'fahrenheit' ? 'F' : 'C'}`;
+            tempElement.textContent = this.formatUnit('temperature', weather.temperature);
         }
 
         if (feelsLikeElement) {
-            feelsLikeElement.textContent = `Feels like ${Math.round(weather.feelsLike)}°${this.settings.TEMPERATURE_UNIT === 'fahrenheit' ? 'F' : 'C'}`;
+            const method = this.getFeelsLikeLabel(weather.feelsLikeMethod);
+            feelsLikeElement.textContent = `Feels like ${this.formatUnit('temperature', weather.feelsLike)}${method ? ` (${method})` : ''}`;
         }
 
+        this.updateConfidenceIndicator(weather);
+
         // Update weather icon and description
         const iconElement = document.getElementById('weather-icon');
         const descElement = document.getElementById('weather-description');
@@ -1049,15 +1910,404 @@ class WeatherApp {
 
         if (descElement) {
             descElement.textContent = weather.description.charAt(0).toUpperCase() + weather.description.slice(1);
-        }
 
-        // Update weather details
-        this.updateElement('humidity', `${weather.humidity}%`);
-        this.updateElement('wind', `${Math.round(weather.windSpeed)} ${this.getWindUnit()}`);
-        this.updateElement('uv-index', weather.uvIndex || '--');
-        this.updateElement('pressure', `${Math.round(weather.pressure)} hPa`);
-        this.updateElement('visibility', `${weather.visibility} km`);
-        this.updateElement('rain-chance', `${weather.precipitationChance}%`);
+            // Say so when the sources didn't agree on the condition
+            const reports = weather.conditionSources || [];
+            if (reports.some(report => report.condition !== weather.condition)) {
+                descElement.title = reports.map(report => `${report.source}: ${Conditions.getDescription(report.condition)}`).join('\n');
+            } else {
+                descElement.removeAttribute('title');
+            }
+        }
+
+        // Update weather details, leaving fields no provider reported blank
+        const has = (field) => Number.isFinite(weather[field]);
+        this.updateElement('humidity', has('humidity') ? `${Math.round(weather.humidity)}%` : '--%');
+        this.updateWindCompass(weather);
+        this.updateElement('uv-index', has('uvIndex') ? `${Math.round(weather.uvIndex)} · ${this.getUvLevel(weather.uvIndex).level}` : '--');
+        this.updateElement('pressure', this.formatUnit('pressure', weather.pressure));
+        this.updateElement('visibility', this.formatUnit('distance', weather.visibility));
+        this.updateElement('rain-chance', has('precipitationChance') ? `${Math.round(weather.precipitationChance)}%` : '--%');
+        this.updateComfortDetails(weather);
+    }
+
+    /**
+     * Name the formula behind a feels-like value
+     * @param {string} method - 'heatIndex', 'windChill' or 'air' from Meteo.feelsLike()
+     * @returns {string} Label, empty when it is just the air temperature
+     */
+    getFeelsLikeLabel(method) {
+        return { heatIndex: 'heat index', windChill: 'wind chill' }[method] || '';
+    }
+
+    /**
+     * Update the dew point, heat index, wind chill, humidex and WBGT details
+     * @param {Object} weather - Ensemble weather data with Meteo.calculate() fields
+     */
+    updateComfortDetails(weather) {
+        const has = (field) => Number.isFinite(weather[field]);
+        const temperature = (field) => has(field) ? this.formatUnit('temperature', weather[field]) : '--';
+
+        this.updateElement('dew-point', temperature('dewPoint'));
+        this.updateElement('heat-index', temperature('heatIndex'));
+        this.updateElement('wind-chill', temperature('windChill'));
+        // Humidex is a dimensionless index, not a temperature
+        this.updateElement('humidex', has('humidex') ? String(Math.round(weather.humidex)) : '--');
+
+        const wbgtElement = document.getElementById('wbgt');
+        if (!wbgtElement) return;
+
+        if (!has('wbgt')) {
+            wbgtElement.textContent = '--';
+            wbgtElement.removeAttribute('title');
+            return;
+        }
+
+        const level = this.getHeatStressLevel(weather.wbgt);
+        wbgtElement.textContent = `${this.formatUnit('temperature', weather.wbgt)} · ${level.label}`;
+        wbgtElement.title = `Heat stress: ${level.advice}`;
+    }
+
+    /**
+     * Get the pressure readings stored for the current location
+     * @returns {Array} Readings as { time, pressure } within CONFIG.APP.PRESSURE_HISTORY_HOURS
+     */
+    getPressureReadings() {
+        if (!this.currentLocation) return [];
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('weather-app-pressure-readings') || '{}');
+            const since = Date.now() - CONFIG.APP.PRESSURE_HISTORY_HOURS * 3600000;
+            return (saved[this.getPressureLocationKey()] || []).filter(reading => reading.time >= since);
+        } catch (error) {
+            console.warn('Failed to load pressure readings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Key stored pressure readings by location, rounded to about 10 km
+     * @returns {string} Location key
+     */
+    getPressureLocationKey() {
+        return `${this.currentLocation.lat.toFixed(1)},${this.currentLocation.lon.toFixed(1)}`;
+    }
+
+    /**
+     * Remember the current pressure so the trend still works when no provider returns past hours
+     * @param {number} pressure - Sea-level pressure in hPa
+     */
+    storePressureReading(pressure) {
+        if (!this.currentLocation || !Number.isFinite(pressure)) return;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('weather-app-pressure-readings') || '{}');
+            const now = Date.now();
+            const since = now - CONFIG.APP.PRESSURE_HISTORY_HOURS * 3600000;
+            const key = this.getPressureLocationKey();
+            const readings = (saved[key] || []).filter(reading => reading.time >= since);
+            const last = readings[readings.length - 1];
+
+            if (!last || now - last.time >= CONFIG.APP.PRESSURE_READING_INTERVAL) {
+                readings.push({ time: now, pressure });
+            }
+
+            // Drop locations with nothing recent so storage doesn't grow with every place visited
+            Object.keys(saved).forEach(other => {
+                if (!saved[other].some(reading => reading.time >= since)) delete saved[other];
+            });
+            saved[key] = readings;
+
+            localStorage.setItem('weather-app-pressure-readings', JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Failed to store pressure reading:', error);
+        }
+    }
+
+    /**
+     * Get past and forecast pressure as one series
+     * Model data is used wherever it exists; stored readings only fill the gaps, because a
+     * provider's current pressure can sit a hectopascal or more from its own model series.
+     * @returns {Array} Readings as { time, pressure } sorted by time
+     */
+    getPressureSeries() {
+        const hour = 3600000;
+        const model = [
+            ...(this.weatherData.pressureHistory || []),
+            ...(this.weatherData.hourly || []).map(point => ({ time: new Date(point.time).getTime(), pressure: point.pressure }))
+        ].filter(reading => Number.isFinite(reading.pressure));
+
+        const stored = this.getPressureReadings()
+            .filter(reading => !model.some(point => Math.abs(point.time - reading.time) < hour));
+
+        return [...model, ...stored].sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Update the pressure trend card and the arrow next to pressure in the details grid
+     */
+    updatePressureDisplay() {
+        const series = this.getPressureSeries();
+        const now = Date.now();
+        const maxGap = CONFIG.ENSEMBLE.MAX_INTERPOLATION_GAP;
+        const current = this.weatherData.current?.pressure;
+        const pressure = Number.isFinite(current) ? current : Pressure.getValueAt(series, now, maxGap);
+
+        const short = Pressure.getTendency(series, now, 3, maxGap);
+        const long = Pressure.getTendency(series, now, 12, maxGap);
+        const arrows = { rising: '↗', steady: '→', falling: '↘' };
+
+        this.updateElement('pressure-now', this.formatUnit('pressure', pressure));
+        if (Number.isFinite(pressure) && short) {
+            this.updateElement('pressure', `${this.formatUnit('pressure', pressure)} ${arrows[short.direction]}`);
+        }
+
+        const tendencyElement = document.getElementById('pressure-tendency');
+        if (tendencyElement) {
+            tendencyElement.textContent = short ? `${arrows[short.direction]} ${short.label}` : '';
+            if (short) {
+                tendencyElement.dataset.direction = short.direction;
+            } else {
+                delete tendencyElement.dataset.direction;
+            }
+        }
+
+        const changes = document.getElementById('pressure-changes');
+        if (changes) {
+            // Tendencies are a few tenths of a hectopascal, so show at least one decimal
+            const decimals = Math.max(1, Units.getDefinition('pressure', this.getUnitSetting('pressure')).decimals);
+            const describe = (tendency) => {
+                const sign = tendency.change > 0 ? '+' : tendency.change < 0 ? '−' : '±';
+                const amount = this.formatUnit('pressure', Math.abs(tendency.change), { delta: true, decimals });
+                return `<li>Last ${tendency.hours} h: ${sign}${amount} · ${tendency.label.toLowerCase()}</li>`;
+            };
+            changes.innerHTML = short || long
+                ? [short, long].filter(Boolean).map(describe).join('')
+                : '<li>Not enough recent readings for a trend yet.</li>';
+        }
+
+        const sparkline = document.getElementById('pressure-sparkline');
+        if (sparkline) sparkline.innerHTML = this.renderPressureSparkline(series, now);
+
+        let outlook = '';
+        if (Number.isFinite(pressure) && short && this.currentLocation) {
+            const month = new Date(now + this.getLocationUtcOffset() * 1000).getUTCMonth() + 1;
+            const forecast = Pressure.zambretti(pressure, short.rate, month, this.currentLocation.lat >= 0);
+            outlook = `Outlook (Zambretti): ${forecast.outlook}`;
+        }
+        this.updateElement('pressure-outlook', outlook);
+    }
+
+    /**
+     * Draw pressure around now as a sparkline, solid for the past and dashed for the forecast
+     * @param {Array} series - Series from getPressureSeries()
+     * @param {number} now - Current time in milliseconds
+     * @returns {string} SVG markup for the sparkline's contents
+     */
+    renderPressureSparkline(series, now) {
+        const span = CONFIG.APP.PRESSURE_SPARKLINE_HOURS * 3600000;
+        const points = series.filter(reading => reading.time >= now - span && reading.time <= now + span);
+        if (points.length < 2) return '';
+
+        const width = 240;
+        const top = 8;
+        const base = 52;
+        const values = points.map(reading => reading.pressure);
+        // Keep at least 4 hPa of range so a flat line doesn't look like a trend
+        const middle = (Math.max(...values) + Math.min(...values)) / 2;
+        const low = Math.min(Math.min(...values), middle - 2);
+        const high = Math.max(Math.max(...values), middle + 2);
+
+        const x = (time) => ((time - (now - span)) / (2 * span) * width).toFixed(1);
+        const y = (value) => (base - (value - low) / (high - low) * (base - top)).toFixed(1);
+        const line = (list) => list.map(reading => `${x(reading.time)},${y(reading.pressure)}`).join(' ');
+
+        const past = points.filter(reading => reading.time <= now);
+        const future = points.filter(reading => reading.time >= now);
+        // Join the two halves at the last past reading
+        if (past.length > 0 && future.length > 0) future.unshift(past[past.length - 1]);
+
+        return `
+            ${past.length > 1 ? `<polyline class="pressure-sparkline-past" points="${line(past)}"/>` : ''}
+            ${future.length > 1 ? `<polyline class="pressure-sparkline-forecast" points="${line(future)}"/>` : ''}
+            <line class="pressure-sparkline-now" x1="${x(now)}" y1="${top - 4}" x2="${x(now)}" y2="${base + 4}"/>
+            <text class="pressure-sparkline-label" x="2" y="${top}">${this.formatUnit('pressure', high)}</text>
+            <text class="pressure-sparkline-label" x="2" y="${base + 6}">${this.formatUnit('pressure', low)}</text>
+        `;
+    }
+
+    /**
+     * Update the wind detail: compass arrow, speed with cardinal direction, and gusts
+     * @param {Object} weather - Ensemble weather data
+     */
+    updateWindCompass(weather) {
+        const cardinal = Wind.toCardinal(weather.windDirection);
+        const speed = this.formatUnit('wind', weather.windSpeed);
+        this.updateElement('wind', cardinal ? `${speed} ${cardinal.short}` : speed);
+
+        // Only mention gusts at least GUST_MIN_EXCESS above the sustained wind
+        const gusty = Number.isFinite(weather.windGust) &&
+            !(weather.windGust - weather.windSpeed < CONFIG.APP.GUST_MIN_EXCESS);
+        this.updateElement('wind-gust', gusty ? `Gusts ${this.formatUnit('wind', weather.windGust)}` : '');
+
+        const compass = document.getElementById('wind-compass');
+        if (!compass) return;
+
+        compass.hidden = !cardinal;
+        if (!cardinal) return;
+
+        compass.style.setProperty('--wind-rotation', `${Math.round(weather.windDirection + 180) % 360}deg`);
+        compass.setAttribute('aria-label', `Wind from the ${cardinal.name} (${Math.round(weather.windDirection)}°) at ${speed}${gusty ? `, gusting ${this.formatUnit('wind', weather.windGust)}` : ''}`);
+    }
+
+    /**
+     * Update the wind rose for the chosen day from that day's hourly directions
+     */
+    updateWindRose() {
+        const svg = document.getElementById('wind-rose');
+        const summary = document.getElementById('wind-rose-summary');
+        const select = document.getElementById('wind-rose-day');
+        if (!svg || !summary) return;
+
+        // Group hours by local date; the picker keeps its day until that day drops out of the forecast
+        const offset = this.getLocationUtcOffset() * 1000;
+        const days = new Map();
+        (this.weatherData.windHours || []).forEach(hour => {
+            const key = new Date(hour.time + offset).toISOString().slice(0, 10);
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(hour);
+        });
+
+        const dates = [...days.keys()];
+        if (!days.has(this.windRoseDate)) this.windRoseDate = dates[0];
+
+        const dayLabel = (key, index) => index === 0
+            ? 'Today'
+            : new Date(`${key}T00:00:00Z`).toLocaleDateString([], { weekday: 'long', timeZone: 'UTC' });
+        if (select) {
+            select.innerHTML = dates.map((key, index) => `<option value="${key}">${dayLabel(key, index)}</option>`).join('');
+            select.value = this.windRoseDate || '';
+            select.disabled = dates.length === 0;
+        }
+
+        const hours = days.get(this.windRoseDate) || [];
+        const rose = Wind.getRose(hours);
+
+        if (rose.total === 0) {
+            svg.innerHTML = '';
+            summary.textContent = 'No wind direction forecast available.';
+            return;
+        }
+
+        svg.innerHTML = this.renderWindRose(rose);
+
+        const speeds = hours.map(hour => hour.wind_speed).filter(Number.isFinite);
+        const gusts = hours.map(hour => hour.wind_gust).filter(Number.isFinite);
+        const parts = [`${dayLabel(this.windRoseDate, dates.indexOf(this.windRoseDate))} (${rose.total} h forecast):`];
+
+        if (rose.dominant) {
+            parts.push(`mostly from the ${rose.dominant.name} (${rose.dominant.short}, ${rose.dominant.hours} h)`);
+        }
+        if (rose.calm > 0) {
+            parts.push(`${rose.dominant ? 'with ' : ''}${rose.calm} h calm`);
+        }
+
+        let text = parts.join(' ');
+        if (speeds.length > 0) text += `, up to ${this.formatUnit('wind', Math.max(...speeds))}`;
+        if (gusts.length > 0) text += `, gusts to ${this.formatUnit('wind', Math.max(...gusts))}`;
+
+        const dominant = Wind.toCardinal((this.weatherData.daily || []).find(day => day.date === this.windRoseDate)?.wind_direction);
+        if (dominant) text += `. Providers' dominant direction: ${dominant.short}`;
+
+        summary.textContent = `${text}.`;
+    }
+
+    /**
+     * Draw a wind rose: one petal per compass sector, as long as the hours the wind blows from it
+     * @param {Object} rose - Result of Wind.getRose()
+     * @returns {string} SVG markup for the rose's contents
+     */
+    renderWindRose(rose) {
+        const radius = 48;
+        const most = Math.max(1, ...rose.sectors.map(sector => sector.hours));
+        const fastest = Math.max(1, ...rose.sectors.map(sector => sector.meanSpeed));
+        // Bearings run clockwise from north, which is up
+        const coords = (degrees, r) => {
+            const angle = degrees * Math.PI / 180;
+            return { x: (r * Math.sin(angle)).toFixed(1), y: (-r * Math.cos(angle)).toFixed(1) };
+        };
+        const point = (degrees, r) => {
+            const { x, y } = coords(degrees, r);
+            return `${x},${y}`;
+        };
+
+        const petals = rose.sectors.map((sector, index) => {
+            if (sector.hours === 0) return '';
+
+            const center = index * 22.5;
+            const r = radius * sector.hours / most;
+            // Stronger winds get more opaque petals
+            const opacity = (0.35 + 0.65 * sector.meanSpeed / fastest).toFixed(2);
+
+            return `
+                <path class="wind-rose-petal" d="M0,0 L${point(center - 10, r)} A${r.toFixed(1)},${r.toFixed(1)} 0 0 1 ${point(center + 10, r)} Z" fill-opacity="${opacity}">
+                    <title>${sector.short}: ${sector.hours} h, average ${this.formatUnit('wind', sector.meanSpeed)}</title>
+                </path>
+            `;
+        }).join('');
+
+        const labels = ['N', 'E', 'S', 'W']
+            .map((label, index) => {
+                const { x, y } = coords(index * 90, 57);
+                return `<text class="wind-rose-label" x="${x}" y="${y}">${label}</text>`;
+            })
+            .join('');
+
+        return `
+            <circle class="wind-rose-ring" r="${radius / 2}"/>
+            <circle class="wind-rose-ring" r="${radius}"/>
+            ${petals}
+            ${labels}
+        `;
+    }
+
+    /**
+     * Get the heat stress level for a wet-bulb globe temperature
+     * @param {number} wbgt - WBGT in °C
+     * @returns {Object} Level from CONFIG.HEAT_STRESS_LEVELS with label, color and advice
+     */
+    getHeatStressLevel(wbgt) {
+        return CONFIG.HEAT_STRESS_LEVELS.find(level => wbgt < level.max);
+    }
+
+    /**
+     * Show how closely the ensemble sources agree on the current temperature
+     * @param {Object} weather - Ensemble weather data
+     */
+    updateConfidenceIndicator(weather) {
+        const element = document.getElementById('temp-confidence');
+        if (!element) return;
+
+        const spread = weather.spread?.temperature;
+        if (!spread) {
+            element.textContent = '';
+            element.removeAttribute('title');
+            return;
+        }
+
+        const sourceLabel = `${spread.count} source${spread.count === 1 ? '' : 's'}`;
+        let confidence = 'high';
+        if (spread.count < 2 || spread.stdDev > 2.5) {
+            confidence = 'low';
+        } else if (spread.stdDev > 1) {
+            confidence = 'medium';
+        }
+
+        const deviation = this.formatUnit('temperature', spread.stdDev, { delta: true, decimals: 1 });
+        element.textContent = `±${deviation} (${sourceLabel})`;
+        element.dataset.confidence = confidence;
+        element.title = `Sources range from ${this.formatUnit('temperature', spread.min)} to ${this.formatUnit('temperature', spread.max)} (${weather.sources.join(', ')})`;
+        element.setAttribute('aria-label', `Plus or minus ${deviation}, ${confidence} confidence from ${sourceLabel}`);
     }
 
     /**
@@ -1083,43 +2333,52 @@ class WeatherApp {
             hourElement.setAttribute('tabindex', '0');
             hourElement.setAttribute('role', 'gridcell');
 
-            // Fix time parsing for different API formats
-            let time;
-            if (hour.time) {
-                // Open-Meteo format: "2023-09-21T14:00"
-                time = new Date(hour.time);
-            } else if (hour.dt) {
-                // OpenWeatherMap format: Unix timestamp
-                time = new Date(hour.dt * 1000);
-            } else if (hour.datetime) {
-                // Weatherbit format: "2023-09-21:14"
-                time = new Date(hour.datetime);
-            } else {
-                // Fallback: current time + hours
-                time = new Date(Date.now() + (index * 3600000));
-            }
+            // Ensemble slots carry an ISO timestamp on the hour
+            let time = new Date(hour.time);
 
             // Validate time and provide fallback
             if (isNaN(time.getTime())) {
                 time = new Date(Date.now() + (index * 3600000));
             }
 
-            // Show proper time format (24-hour or 12-hour based on locale)
-            const timeString = index === 0 ? 'Now' : time.toLocaleTimeString([], {
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: false // Use 24-hour format
-            });
+            // Show the hour at the forecast location in 24-hour format
+            const timeString = index === 0 ? 'Now' : this.formatLocationTime(time);
 
             const temp = hour.temp || hour.temperature || hour.temperature_2m || 0;
             const icon = this.getHourlyIcon(hour);
             const precipitation = hour.precipitation_prob || hour.precipitation_probability || hour.pop || 0;
 
+            if (hour.providers) {
+                hourElement.title = this.describeProviders(hour.providers, hour.spread?.temp);
+            }
+
+            const method = this.getFeelsLikeLabel(hour.feels_like_method);
+            const comfort = [
+                Number.isFinite(hour.feels_like) && `Feels like ${this.formatUnit('temperature', hour.feels_like)}${method ? ` (${method})` : ''}`,
+                Number.isFinite(hour.dew_point) && `Dew point ${this.formatUnit('temperature', hour.dew_point)}`
+            ].filter(Boolean).join(' · ');
+
+            if (comfort) {
+                hourElement.title = hourElement.title ? `${comfort}\n${hourElement.title}` : comfort;
+            }
+
+            const cardinal = Wind.toCardinal(hour.wind_direction);
+            const gust = Number.isFinite(hour.wind_gust) ? `, gusts ${this.formatUnit('wind', hour.wind_gust)}` : '';
+            const wind = cardinal
+                ? `<div class="hourly-wind"><span class="wind-arrow" style="--wind-rotation: ${Math.round(hour.wind_direction + 180) % 360}deg" aria-hidden="true">↑</span>${cardinal.short}<span class="visually-hidden">, wind from the ${cardinal.name} at ${this.formatUnit('wind', hour.wind_speed)}${gust}</span></div>`
+                : '';
+
+            const feelsLike = Number.isFinite(hour.feels_like) && Math.round(hour.feels_like) !== Math.round(temp)
+                ? `<div class="hourly-feels">Feels ${this.formatUnit('temperature', hour.feels_like, { short: true })}</div>`
+                : '';
+
             hourElement.innerHTML = `
                 <div class="hourly-time">${timeString}</div>
                 <div class="hourly-icon" aria-hidden="true">${icon}</div>
-                <div class="hourly-temp">${Math.round(temp)}°</div>
+                <div class="hourly-temp">${this.formatUnit('temperature', temp, { short: true })}</div>
+                ${feelsLike}
                 <div class="hourly-rain">${Math.round(precipitation)}%</div>
+                ${wind}
             `;
 
             container.appendChild(hourElement);
@@ -1174,33 +2433,136 @@ class WeatherApp {
             const minTemp = day.min_temp || day.temp?.min || day.temperature_min || day.low_temp || 0;
             const icon = this.getDailyIcon(day);
             const precipitation = day.precipitation_probability_max || day.pop || day.precip || 0;
+            const precipitationAmount = day.precipitation_sum >= 0.1
+                ? ` · ${this.formatUnit('precipitation', day.precipitation_sum)}`
+                : '';
+            const sun = day.date ? this.getSunTimes(day.date) : null;
+            const sunTimes = sun?.sunrise && sun?.sunset
+                ? `<div class="daily-sun">🌅 ${this.formatLocationTime(new Date(sun.sunrise))} · 🌇 ${this.formatLocationTime(new Date(sun.sunset))}</div>`
+                : '';
+
+            if (day.providers) {
+                dayElement.title = this.describeProviders(day.providers, day.spread?.max_temp);
+            }
 
             dayElement.innerHTML = `
                 <div class="daily-day">${dayDisplay}</div>
                 <div class="daily-icon" aria-hidden="true">${icon}</div>
                 <div class="daily-temps">
-                    <span class="daily-high">${Math.round(maxTemp)}°</span>
-                    <span class="daily-low">${Math.round(minTemp)}°</span>
+                    <span class="daily-high">${this.formatUnit('temperature', maxTemp, { short: true })}</span>
+                    <span class="daily-low">${this.formatUnit('temperature', minTemp, { short: true })}</span>
                 </div>
-                <div class="daily-rain">${Math.round(precipitation)}%</div>
+                <div class="daily-rain">${Math.round(precipitation)}%${precipitationAmount}</div>
+                ${sunTimes}
             `;
 
             container.appendChild(dayElement);
         });
     }
 
+    /**
+     * Get the location's UTC offset, estimated from longitude when no provider reported one
+     * @returns {number} Offset in seconds
+     */
+    getLocationUtcOffset() {
+        if (Number.isFinite(this.weatherData.utcOffset)) return this.weatherData.utcOffset;
+        return this.currentLocation ? Math.round(this.currentLocation.lon / 15) * 3600 : 0;
+    }
+
+    /**
+     * Get sun times for a local date, preferring the forecast's sunrise and sunset
+     * @param {string} date - Local date as YYYY-MM-DD
+     * @returns {Object|null} Astronomy.getSunTimes() result, or null without a location
+     */
+    getSunTimes(date) {
+        if (!this.currentLocation) return null;
+
+        const noon = Date.parse(`${date}T12:00:00Z`) - this.getLocationUtcOffset() * 1000;
+        const times = Astronomy.getSunTimes(noon, this.currentLocation.lat, this.currentLocation.lon);
+        const forecast = (this.weatherData.daily || []).find(day => day.date === date);
+
+        if (Number.isFinite(forecast?.sunrise) && Number.isFinite(forecast?.sunset)) {
+            return { ...times, sunrise: forecast.sunrise, sunset: forecast.sunset };
+        }
+        return times;
+    }
+
+    /**
+     * Format a duration
+     * @param {number} ms - Duration in milliseconds
+     * @param {boolean} [seconds] - Include seconds
+     * @returns {string} e.g. "12 h 20 min" or "2 min 31 s"
+     */
+    formatDuration(ms, seconds = false) {
+        const total = Math.round(Math.abs(ms) / 1000);
+        const parts = [];
+        if (total >= 3600) parts.push(`${Math.floor(total / 3600)} h`);
+        if (total >= 60) parts.push(`${Math.floor(total / 60) % 60} min`);
+        if (seconds && (total % 60 || parts.length === 0)) parts.push(`${total % 60} s`);
+        return parts.join(' ') || '0 min';
+    }
+
+    /**
+     * Update the sun and moon card from the location's coordinates
+     */
+    updateAstronomyDisplay() {
+        const container = document.getElementById('astronomy-content');
+        if (!container || !this.currentLocation) return;
+
+        const { lat, lon } = this.currentLocation;
+        const offset = this.getLocationUtcOffset() * 1000;
+        const now = Date.now();
+        const dayStart = Math.floor((now + offset) / Astronomy.DAY_MS) * Astronomy.DAY_MS - offset;
+        const dateKey = (time) => new Date(time + offset).toISOString().slice(0, 10);
+
+        const today = this.getSunTimes(dateKey(now));
+        const yesterday = Astronomy.getSunTimes(today.solarNoon - Astronomy.DAY_MS, lat, lon);
+        const computedToday = Astronomy.getSunTimes(today.solarNoon, lat, lon);
+
+        const time = (value) => value ? this.formatLocationTime(new Date(value)) : '—';
+        const range = (start, end) => start && end ? `${time(start)}–${time(end)}` : '—';
+        const rows = [];
+
+        if (today.polar) {
+            rows.push(['Sun', today.polar === 'day' ? 'Up all day (midnight sun)' : 'Below the horizon all day (polar night)']);
+        } else {
+            const dayLength = today.sunset - today.sunrise;
+            // Compare computed lengths so forecast rounding doesn't show up as change
+            const change = (computedToday.sunset - computedToday.sunrise) - (yesterday.sunset - yesterday.sunrise);
+            const trend = Number.isFinite(change)
+                ? ` (${change >= 0 ? '+' : '−'}${this.formatDuration(change, true)} vs yesterday)`
+                : '';
+
+            rows.push(['Sunrise', time(today.sunrise)]);
+            rows.push(['Sunset', time(today.sunset)]);
+            rows.push(['Day length', `${this.formatDuration(dayLength)}${trend}`]);
+        }
+
+        const { civilTwilight, goldenHour, blueHour } = today;
+        rows.push(['Civil twilight', `${range(civilTwilight.rise, computedToday.sunrise)} · ${range(computedToday.sunset, civilTwilight.set)}`]);
+        rows.push(['Golden hour', `${range(blueHour.rise, goldenHour.rise)} · ${range(goldenHour.set, blueHour.set)}`]);
+        rows.push(['Blue hour', `${range(civilTwilight.rise, blueHour.rise)} · ${range(blueHour.set, civilTwilight.set)}`]);
+
+        const moon = Astronomy.getMoonIllumination(now);
+        const moonTimes = Astronomy.getMoonTimes(dayStart, lat, lon);
+        rows.push(['Moon', `${moon.icon} ${moon.name} · ${Math.round(moon.fraction * 100)}% illuminated`]);
+        rows.push(['Moonrise', time(moonTimes.rise)]);
+        rows.push(['Moonset', time(moonTimes.set)]);
+
+        container.innerHTML = `
+            <dl class="astronomy-list">
+                ${rows.map(([label, value]) => `<div class="astronomy-row"><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+        `;
+    }
+
     /**
      * Get icon for hourly forecast item
      * @param {Object} hour - Hourly forecast data
      * @returns {string} Weather icon
      */
     getHourlyIcon(hour) {
-        if (hour.weather_code !== undefined) {
-            return this.getOpenMeteoIcon(hour.weather_code);
-        } else if (hour.weather && hour.weather.code) {
-            return this.getWeatherIcon(hour.weather.code);
-        }
-        return '⛅';
+        return hour.icon || '⛅';
     }
 
     /**
@@ -1209,168 +2571,562 @@ class WeatherApp {
      * @returns {string} Weather icon
      */
     getDailyIcon(day) {
-        if (day.weather_code !== undefined) {
-            return this.getOpenMeteoIcon(day.weather_code);
-        } else if (day.weather && day.weather.code) {
-            return this.getWeatherIcon(day.weather.code);
+        return day.icon || '⛅';
+    }
+
+    /**
+     * Format a time as the wall-clock time at the forecast location
+     * @param {Date} date - Time to format
+     * @returns {string} Time string such as "14:00"
+     */
+    formatLocationTime(date) {
+        const offset = this.weatherData.utcOffset;
+        const options = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+
+        if (offset === null || offset === undefined) {
+            return date.toLocaleTimeString([], options);
         }
-        return '⛅';
+
+        return new Date(date.getTime() + offset * 1000).toLocaleTimeString([], { ...options, timeZone: 'UTC' });
+    }
+
+    /**
+     * Describe which providers contributed to a forecast slot
+     * @param {Array<string>} providers - Contributing provider names
+     * @param {Object} [spread] - Temperature spread for the slot
+     * @returns {string} Tooltip text
+     */
+    describeProviders(providers, spread) {
+        const agreement = spread && spread.count > 1
+            ? ` · ±${this.formatUnit('temperature', spread.stdDev, { delta: true, decimals: 1 })}`
+            : '';
+        return `Sources: ${providers.join(', ')}${agreement}`;
     }
 
     /**
-     * Update air quality display
+     * Update air quality display with the index in the chosen standard and its sub-indices
      */
     updateAirQualityDisplay() {
         const airQuality = this.weatherData.airQuality;
         if (!airQuality) return;
 
-        let aqi, aqiLevel;
-
-        if (airQuality.source === 'openweathermap') {
-            aqi = airQuality.data.main.aqi;
-            aqiLevel = CONFIG.AQI_LEVELS[aqi - 1]; // OpenWeatherMap uses 1-5 scale
-        } else if (airQuality.source === 'open-meteo') {
-            aqi = airQuality.data.us_aqi;
-            aqiLevel = this.getAQILevel(aqi);
-        }
+        const result = AirQuality.calculate(airQuality.pollutants, this.settings.AQI_STANDARD);
+        const standard = AirQuality.STANDARDS[this.settings.AQI_STANDARD];
 
-        this.updateElement('aqi-value', aqi || '--');
-        this.updateElement('aqi-label', aqiLevel?.label || 'Unknown');
-        this.updateElement('aqi-advice', aqiLevel?.advice || 'Air quality data unavailable');
+        this.updateElement('aqi-value', result ? result.aqi : '--');
+        this.updateElement('aqi-label', result?.level.label || 'Unknown');
+        this.updateElement('aqi-advice', result?.level.advice || 'Air quality data unavailable');
+        this.updateElement('aqi-standard', result
+            ? `${standard.name} · Dominant pollutant: ${AirQuality.POLLUTANTS[result.dominant].label}`
+            : `Not enough pollutant data for ${standard.name}`);
 
         // Update AQI card color
         const aqiCard = document.querySelector('.aqi-card');
-        if (aqiCard && aqiLevel) {
-            aqiCard.style.setProperty('--aqi-color', aqiLevel.color);
+        if (aqiCard && result) {
+            aqiCard.style.setProperty('--aqi-color', result.level.color);
         }
+
+        const list = document.getElementById('aqi-pollutants');
+        if (!list) return;
+
+        list.innerHTML = Object.entries(AirQuality.POLLUTANTS)
+            .filter(([key]) => Number.isFinite(airQuality.pollutants?.[key]))
+            .map(([key, pollutant]) => {
+                const index = result?.subIndices[key];
+                const level = index !== undefined ? AirQuality.getLevel(this.settings.AQI_STANDARD, index) : null;
+                const dominant = key === result?.dominant;
+
+                return `
+                    <li class="aqi-pollutant${dominant ? ' dominant' : ''}"${level ? ` style="--pollutant-color: ${level.color}"` : ''}>
+                        <span class="aqi-pollutant-name">${pollutant.label}</span>
+                        <span class="aqi-pollutant-concentration">${Math.round(airQuality.pollutants[key])} µg/m³</span>
+                        <span class="aqi-pollutant-index" title="${level ? level.label : 'Not part of this index'}">${index ?? '—'}</span>
+                    </li>
+                `;
+            }).join('');
+
+        this.updateAirQualityForecast();
     }
 
     /**
-     * Get AQI level information based on value
-     * @param {number} aqi - AQI value
-     * @returns {Object} AQI level information
+     * Render the hourly air quality strip and the cleanest window in it
      */
-    getAQILevel(aqi) {
-        if (aqi <= 50) return { label: 'Good', color: '#00e400', advice: 'Air quality is great! Perfect for outdoor activities.' };
-        if (aqi <= 100) return { label: 'Moderate', color: '#ffff00', advice: 'Air quality is acceptable for most people.' };
-        if (aqi <= 150) return { label: 'Unhealthy for Sensitive Groups', color: '#ff7e00', advice: 'Sensitive individuals should limit outdoor activities.' };
-        if (aqi <= 200) return { label: 'Unhealthy', color: '#ff0000', advice: 'Everyone should limit outdoor activities.' };
-        if (aqi <= 300) return { label: 'Very Unhealthy', color: '#8f3f97', advice: 'Avoid outdoor activities. Keep windows closed.' };
-        return { label: 'Hazardous', color: '#7e0023', advice: 'Emergency conditions. Stay indoors.' };
+    updateAirQualityForecast() {
+        const container = document.getElementById('aqi-forecast');
+        const strip = document.getElementById('aqi-forecast-strip');
+        if (!container || !strip) return;
+
+        const hour = 3600000;
+        const now = Math.floor(Date.now() / hour) * hour;
+        const end = now + CONFIG.APP.AQI_FORECAST_HOURS * hour;
+        const offset = (this.weatherData.utcOffset || 0) * 1000;
+
+        const hours = (this.weatherData.airQuality?.hourly || [])
+            .filter(point => point.time >= now && point.time < end)
+            .map(point => ({ time: point.time, result: AirQuality.calculate(point.pollutants, this.settings.AQI_STANDARD) }))
+            .filter(point => point.result);
+
+        container.hidden = hours.length === 0;
+        if (hours.length === 0) return;
+
+        const cleanest = AirQuality.findCleanestWindow(hours, this.settings.AQI_STANDARD, this.weatherData.utcOffset || 0);
+        const peak = Math.max(...hours.map(point => point.result.aqi));
+
+        strip.innerHTML = hours.map(({ time, result }) => {
+            const localHour = new Date(time + offset).getUTCHours();
+            const label = localHour === 0
+                ? new Date(time + offset).toLocaleDateString([], { weekday: 'short', timeZone: 'UTC' })
+                : String(localHour).padStart(2, '0');
+            const height = Math.max(10, Math.round(result.aqi / peak * 100));
+            const inWindow = cleanest && time >= cleanest.start && time < cleanest.end;
+            const pollutant = AirQuality.POLLUTANTS[result.dominant].label;
+
+            return `
+                <li class="aqi-forecast-hour${inWindow ? ' cleanest' : ''}" title="${this.formatLocationTime(new Date(time))} · ${result.aqi} ${result.level.label} · ${pollutant}">
+                    <span class="aqi-forecast-bar" style="height: ${height}%; background: ${result.level.color}"></span>
+                    <span class="aqi-forecast-time">${label}</span>
+                </li>
+            `;
+        }).join('');
+
+        this.updateElement('aqi-cleanest', cleanest
+            ? `Cleanest air: ${this.formatLocationTime(new Date(cleanest.start))}–${this.formatLocationTime(new Date(cleanest.end))} (${cleanest.level.label}, average ${cleanest.aqi})`
+            : '');
     }
 
     /**
-     * Update health and wellness tips based on current conditions
+     * Get the pollen level for a species count
+     * @param {string} species - Species key from CONFIG.POLLEN.SPECIES
+     * @param {number|null} count - Grains per m³
+     * @returns {number|null} Index into CONFIG.POLLEN.LEVELS, or null without data
      */
-    updateHealthTips() {
-        const weather = this.weatherData.current;
-        const airQuality = this.weatherData.airQuality;
+    getPollenLevel(species, count) {
+        if (!Number.isFinite(count)) return null;
+        if (count < 1) return 0;
 
-        if (!weather) return;
+        const thresholds = CONFIG.POLLEN.THRESHOLDS[CONFIG.POLLEN.SPECIES[species].group];
+        const band = thresholds.findIndex(max => count <= max);
+        return band === -1 ? thresholds.length + 1 : band + 1;
+    }
 
-        const tips = [];
+    /**
+     * Get the highest pollen level across species for each forecast hour
+     * @returns {Array} Points as { value, time }, empty without pollen data
+     */
+    getPollenSeries() {
+        const hourly = this.weatherData.pollen?.hourly || [];
+
+        return hourly.map(point => {
+            const levels = Object.keys(CONFIG.POLLEN.SPECIES)
+                .map(species => this.getPollenLevel(species, point[species]))
+                .filter(level => level !== null);
+            return { time: point.time, value: levels.length > 0 ? Math.max(...levels) : null };
+        }).filter(point => point.value !== null);
+    }
 
-        // UV Index tips
-        const uvIndex = weather.uvIndex || 0;
-        if (uvIndex >= 3) {
-            tips.push(`☀️ UV Index is ${uvIndex}. Wear sunscreen and protective clothing.`);
-        }
+    /**
+     * Update the pollen card with current levels and a daily outlook per species
+     */
+    updatePollenDisplay() {
+        const container = document.getElementById('pollen-content');
+        if (!container) return;
 
-        // Temperature tips
-        if (weather.temperature > 30) {
-            tips.push('🌡️ High temperature! Stay hydrated and avoid prolonged sun exposure.');
-        } else if (weather.temperature < 0) {
-            tips.push('❄️ Freezing temperatures! Dress warmly and watch for icy conditions.');
-        }
+        const hourly = this.weatherData.pollen?.hourly || [];
+        const species = Object.keys(CONFIG.POLLEN.SPECIES)
+            .filter(key => hourly.some(point => Number.isFinite(point[key])));
 
-        // Humidity tips
-        if (weather.humidity > 70) {
-            tips.push('💧 High humidity may make it feel warmer. Stay cool and hydrated.');
-        } else if (weather.humidity < 30) {
-            tips.push('🏜️ Low humidity may cause dry skin. Use moisturizer and stay hydrated.');
+        if (species.length === 0) {
+            container.innerHTML = `
+                <p class="pollen-unavailable">No pollen forecast is available for this location. Pollen data currently covers Europe only.</p>
+            `;
+            return;
         }
 
-        // Air quality tips
-        if (airQuality && airQuality.data) {
-            const aqi = airQuality.source === 'openweathermap' ? airQuality.data.main.aqi : airQuality.data.us_aqi;
-            if (aqi > 100) {
-                tips.push('😷 Poor air quality. Consider wearing a mask outdoors.');
-            }
-        }
+        // Group forecast hours by local day, starting with the current hour
+        const hour = 3600000;
+        const now = Math.floor(Date.now() / hour) * hour;
+        const offset = (this.weatherData.utcOffset || 0) * 1000;
+        const days = new Map();
+        hourly.filter(point => point.time >= now).forEach(point => {
+            const key = new Date(point.time + offset).toISOString().slice(0, 10);
+            if (!days.has(key)) days.set(key, []);
+            days.get(key).push(point);
+        });
+        const current = hourly.find(point => point.time >= now);
+
+        const cell = (key, count) => {
+            const level = this.getPollenLevel(key, count);
+            if (level === null) return '<td class="pollen-level">—</td>';
+            const { label, color } = CONFIG.POLLEN.LEVELS[level];
+            const grains = `${Math.round(count)} grains/m³`;
+            return `<td class="pollen-level" style="--pollen-color: ${color}" title="${grains}"><span>${label}</span></td>`;
+        };
 
-        // Wind tips
-        if (weather.windSpeed > 25) {
-            tips.push('💨 Strong winds. Secure loose objects and be cautious when driving.');
-        }
+        const dayHeaders = [...days.keys()].map((key, index) => {
+            const label = index === 0 ? 'Today' : new Date(`${key}T00:00:00Z`).toLocaleDateString([], { weekday: 'short', timeZone: 'UTC' });
+            return `<th scope="col">${label}</th>`;
+        }).join('');
+
+        const rows = species.map(key => {
+            const { label, icon } = CONFIG.POLLEN.SPECIES[key];
+            const peaks = [...days.values()].map(points => {
+                const counts = points.map(point => point[key]).filter(Number.isFinite);
+                return cell(key, counts.length > 0 ? Math.max(...counts) : null);
+            }).join('');
+
+            return `<tr><th scope="row">${icon} ${label}</th>${cell(key, current?.[key])}${peaks}</tr>`;
+        }).join('');
+
+        container.innerHTML = `
+            <table class="pollen-table">
+                <thead><tr><th scope="col">Species</th><th scope="col">Now</th>${dayHeaders}</tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="pollen-note">Daily columns show each day's peak.</p>
+        `;
+    }
+
+    /**
+     * Update health and wellness tips from CONFIG.HEALTH_RULES for the chosen profile
+     */
+    updateHealthTips() {
+        const weather = this.weatherData.current;
+        if (!weather) return;
+
+        const profile = CONFIG.HEALTH_PROFILES[this.settings.HEALTH_PROFILE] ? this.settings.HEALTH_PROFILE : 'general';
+        const fired = HealthRules.evaluateAll(CONFIG.HEALTH_RULES, profile, {
+            current: weather,
+            hourly: this.weatherData.hourly,
+            aqi: this.getUsAqi(),
+            pollen: this.getPollenSeries(),
+            utcOffset: this.weatherData.utcOffset
+        });
+
+        const tips = fired.map(tip => {
+            const time = this.formatLocationTime(new Date(tip.time));
+            const message = tip.message
+                .replace('{value}', this.formatHealthValue(tip.rule.metric, tip.value))
+                .replace('{time}', time);
+
+            return `
+                <p class="health-tip" data-rule="${tip.rule.id}">
+                    ${tip.rule.icon} ${this.escapeHTML(message)}
+                    <span class="health-tip-source">${this.escapeHTML(this.describeHealthTip(tip, profile, time))}</span>
+                </p>
+            `;
+        });
 
         // Default tip if no specific conditions
         if (tips.length === 0) {
-            tips.push('🌟 Great weather conditions! Perfect day for outdoor activities.');
+            tips.push('<p class="health-tip">🌟 Great weather conditions! Perfect day for outdoor activities.</p>');
         }
 
         const tipsContainer = document.getElementById('health-tips');
         if (tipsContainer) {
-            tipsContainer.innerHTML = tips.map(tip => `<p class="health-tip">${tip}</p>`).join('');
+            tipsContainer.innerHTML = tips.join('');
+        }
+
+        const profileLabel = document.getElementById('health-profile-label');
+        if (profileLabel) {
+            profileLabel.hidden = profile === 'general';
+            profileLabel.textContent = `Tailored for: ${CONFIG.HEALTH_PROFILES[profile]}`;
         }
     }
 
     /**
-     * Update government alerts display
+     * Get the UV level for an index value from CONFIG.UV_LEVELS
+     * @param {number} uvIndex - UV index
+     * @returns {Object} Level with level name, color and advice
      */
-    updateAlertsDisplay() {
-        const alerts = this.weatherData.alerts;
-        const alertsBanner = document.getElementById('alerts-banner');
-        const alertsMessages = document.getElementById('alert-messages');
-        const alertsCardContent = document.getElementById('alerts-card-content');
-
-        console.log('Updating alerts display:', alerts);
+    getUvLevel(uvIndex) {
+        const threshold = Object.keys(CONFIG.UV_LEVELS)
+            .map(Number)
+            .filter(min => Math.round(uvIndex) >= min)
+            .pop() ?? 0;
+        return CONFIG.UV_LEVELS[threshold];
+    }
 
-        // Update the alerts card (always visible)
-        if (alertsCardContent) {
-            if (!alerts || alerts.length === 0) {
-                alertsCardContent.innerHTML = '<p class="no-alerts">No active weather alerts</p>';
-            } else {
-                alertsCardContent.innerHTML = '';
-                alerts.forEach((alert, index) => {
-                    const alertElement = document.createElement('div');
-                    alertElement.className = 'alert-card-item';
+    /**
+     * Get the hourly UV forecast as timestamps and values
+     * @returns {Array} Points as { time, uv_index } in milliseconds, sorted by time
+     */
+    getUvSeries() {
+        return (this.weatherData.hourly || [])
+            .map(point => ({ time: new Date(point.time).getTime(), uv_index: point.uv_index }))
+            .filter(point => Number.isFinite(point.uv_index));
+    }
 
-                    const properties = alert.properties || alert;
-                    const title = properties.headline || properties.event || properties.title || 'Weather Alert';
-                    let description = properties.description || properties.instruction || properties.summary || 'Check local weather services for details.';
+    /**
+     * Interpolate the UV index at a time from the hourly forecast
+     * @param {number} time - Timestamp in milliseconds
+     * @param {Array} [series] - Series from getUvSeries()
+     * @returns {number|null} UV index, or null outside the forecast
+     */
+    getUvIndexAt(time, series = this.getUvSeries()) {
+        const point = this.sampleSeries(series, time, CONFIG.ENSEMBLE.MAX_INTERPOLATION_GAP);
+        return Number.isFinite(point?.uv_index) ? Math.max(0, point.uv_index) : null;
+    }
 
-                    // Truncate long descriptions for card display
-                    if (description.length > 150) {
-                        description = description.substring(0, 150) + '...';
-                    }
+    /**
+     * Estimate how long unprotected skin takes to burn, following the UV forecast
+     * A UV index of 1 is 25 mW/m² of erythemal irradiance; skin burns once the dose
+     * reaches its minimal erythemal dose (CONFIG.SKIN_TYPES).
+     * @param {number} skinType - Fitzpatrick type
+     * @param {number} start - Start time in milliseconds
+     * @param {Array} [series] - Series from getUvSeries()
+     * @returns {number|null} Minutes until sunburn, or null if the dose isn't reached in the forecast
+     */
+    getTimeToBurn(skinType, start, series = this.getUvSeries()) {
+        const { med } = CONFIG.SKIN_TYPES[skinType];
+        const step = 5; // minutes
+        let dose = 0;
 
-                    alertElement.innerHTML = `
-                        <div class="alert-card-header">
-                            <span class="alert-card-icon">⚠️</span>
-                            <h3 class="alert-card-title">${title}</h3>
-                        </div>
-                        <p class="alert-card-description">${description}</p>
-                        ${properties.severity ? `<span class="alert-card-severity severity-${properties.severity.toLowerCase()}">${properties.severity}</span>` : ''}
-                    `;
+        for (let minutes = 0; minutes < 24 * 60; minutes += step) {
+            const uvIndex = this.getUvIndexAt(start + minutes * 60000, series);
+            if (uvIndex === null) return null;
 
-                    alertsCardContent.appendChild(alertElement);
-                });
-            }
+            dose += uvIndex * 0.025 * step * 60;
+            if (dose >= med) return minutes + step;
         }
 
-        // Update the banner alerts (for critical alerts)
-        if (!alerts || alerts.length === 0) {
-            if (alertsBanner) {
-                alertsBanner.style.display = 'none';
-            }
-            return;
-        }
+        return null;
+    }
 
-        // Only show banner for severe alerts
-        const severeAlerts = alerts.filter(alert => {
-            const severity = alert.properties?.severity?.toLowerCase();
-            return severity === 'severe' || severity === 'extreme' || severity === 'critical';
+    /**
+     * Set up the skin type select in the sun protection panel
+     */
+    setupSkinTypeSelect() {
+        const select = document.getElementById('skin-type');
+        if (!select) return;
+
+        select.innerHTML = Object.entries(CONFIG.SKIN_TYPES)
+            .map(([type, { label }]) => `<option value="${type}">${label}</option>`)
+            .join('');
+        select.value = String(this.settings.SKIN_TYPE);
+
+        select.addEventListener('change', (e) => {
+            this.settings.SKIN_TYPE = parseInt(e.target.value, 10);
+            this.saveSettings();
+            this.updateSunProtection();
         });
+    }
+
+    /**
+     * Update the sun protection panel: UV now, the UV curve, time to burn and safe windows
+     */
+    updateSunProtection() {
+        const panel = document.getElementById('sun-protection');
+        if (!panel) return;
+
+        const series = this.getUvSeries();
+        panel.hidden = series.length === 0;
+        if (series.length === 0) return;
+
+        const now = Date.now();
+        const uvNow = this.getUvIndexAt(now, series) ?? series[0].uv_index;
+        const level = this.getUvLevel(uvNow);
+        const peak = series.reduce((best, point) => point.uv_index > best.uv_index ? point : best);
+
+        this.updateElement('uv-summary', `UV ${Math.round(uvNow)} now · ${level.level}: ${level.advice}. ` +
+            `Peak ${Math.round(peak.uv_index)} at ${this.formatLocationTime(new Date(peak.time))}.`);
+
+        const curve = document.getElementById('uv-curve');
+        if (curve) curve.innerHTML = this.renderUvCurve(series);
+
+        const select = document.getElementById('skin-type');
+        if (select) select.value = String(this.settings.SKIN_TYPE);
+
+        const minutes = uvNow >= 1 ? this.getTimeToBurn(this.settings.SKIN_TYPE, now, series) : null;
+        this.updateElement('burn-time', minutes
+            ? `Unprotected, you could burn in about ${minutes} minutes if you go out now.`
+            : 'You are unlikely to burn without protection right now.');
+
+        const windows = this.getUvExposureWindows(series);
+        const list = document.getElementById('safe-windows');
+        if (list) {
+            const format = ({ start, end }) => `${this.formatLocationTime(new Date(start))}–${this.formatLocationTime(new Date(end))}`;
+            const safe = windows.filter(window => window.safe).map(format);
+            const covered = windows.filter(window => !window.safe).map(format);
+
+            list.innerHTML = [
+                safe.length > 0 ? `<li class="safe-window">✅ Safe for ${CONFIG.APP.UV_SAFE_EXPOSURE}+ minutes unprotected: ${safe.join(', ')}</li>` : '',
+                covered.length > 0 ? `<li class="cover-window">🧴 Cover up and use sunscreen: ${covered.join(', ')}</li>` : ''
+            ].join('');
+        }
+    }
+
+    /**
+     * Split the daylight hours of the UV forecast into safe and protection-needed windows
+     * An hour is safe when the user's skin type can spend CONFIG.APP.UV_SAFE_EXPOSURE minutes
+     * in that hour's UV without burning. Hours with no UV (night) are skipped.
+     * @param {Array} series - Series from getUvSeries()
+     * @returns {Array} Windows as { start, end, safe } in milliseconds
+     */
+    getUvExposureWindows(series) {
+        const hour = 3600000;
+        const { med } = CONFIG.SKIN_TYPES[this.settings.SKIN_TYPE];
+        const windows = [];
+
+        series.filter(point => point.uv_index > 0).forEach(point => {
+            const burnMinutes = med / (point.uv_index * 0.025 * 60);
+            const safe = burnMinutes >= CONFIG.APP.UV_SAFE_EXPOSURE;
+            const last = windows[windows.length - 1];
+
+            if (last && last.safe === safe && last.end === point.time) {
+                last.end = point.time + hour;
+            } else {
+                windows.push({ start: point.time, end: point.time + hour, safe });
+            }
+        });
+
+        return windows;
+    }
+
+    /**
+     * Draw the hourly UV forecast as an SVG area chart shaded by UV level
+     * @param {Array} series - Series from getUvSeries()
+     * @returns {string} SVG markup for the chart's contents
+     */
+    renderUvCurve(series) {
+        const width = 240;
+        const top = 4;
+        const base = 56;
+        const scale = Math.max(11, ...series.map(point => point.uv_index));
+        const step = width / Math.max(1, series.length - 1);
+        const y = uvIndex => (base - (uvIndex / scale) * (base - top)).toFixed(1);
+
+        const line = series.map((point, index) => `${(index * step).toFixed(1)},${y(point.uv_index)}`).join(' ');
+        const stops = Object.entries(CONFIG.UV_LEVELS)
+            .map(([min, level]) => `<stop offset="${(Number(min) / scale).toFixed(3)}" stop-color="${level.color}"/>`)
+            .join('');
+
+        const offset = (this.weatherData.utcOffset || 0) * 1000;
+        const ticks = series
+            .map((point, index) => ({ index, hour: new Date(point.time + offset).getUTCHours() }))
+            .filter(({ hour }) => hour % 6 === 0)
+            .map(({ index, hour }) => `<text x="${(index * step).toFixed(1)}" y="68" class="uv-curve-tick">${String(hour).padStart(2, '0')}</text>`)
+            .join('');
+
+        return `
+            <defs>
+                <linearGradient id="uv-gradient" gradientUnits="userSpaceOnUse" x1="0" y1="${base}" x2="0" y2="${y(scale)}">${stops}</linearGradient>
+            </defs>
+            <polygon class="uv-curve-area" points="0,${base} ${line} ${((series.length - 1) * step).toFixed(1)},${base}" fill="url(#uv-gradient)"/>
+            <polyline class="uv-curve-line" points="${line}"/>
+            ${ticks}
+        `;
+    }
+
+    /**
+     * Format a health rule reading in the user's units
+     * @param {string} metric - Metric key from WatchRules.METRICS
+     * @param {number} value - Value in the base unit
+     * @returns {string} Formatted value
+     */
+    formatHealthValue(metric, value) {
+        const { kind, suffix, format } = WatchRules.METRICS[metric];
+        if (format) return format(value);
+        return kind ? this.formatUnit(kind, value) : `${Math.round(value)}${suffix}`;
+    }
+
+    /**
+     * Explain which rule and data produced a health tip
+     * @param {Object} tip - Fired rule from HealthRules.evaluate()
+     * @param {string} profile - Active profile key
+     * @param {string} time - Formatted time of the reading
+     * @returns {string} e.g. "UV exposure: UV index at or above 2 (Athletes) · forecast peak 8 at 13:00, next 12 h"
+     */
+    describeHealthTip({ rule, threshold, value }, profile, time) {
+        const metric = WatchRules.METRICS[rule.metric];
+        const tailored = HealthRules.isTailored(rule, profile) ? ` (${CONFIG.HEALTH_PROFILES[profile]})` : '';
+        const condition = `${metric.label} ${WatchRules.OPERATORS[rule.operator].label} ${this.formatHealthValue(rule.metric, threshold)}${tailored}`;
+        const reading = this.formatHealthValue(rule.metric, value);
+
+        let data;
+        if (rule.source === 'hourly' || rule.source === 'pollen') {
+            data = `forecast ${rule.aggregate === 'min' ? 'low' : 'peak'} ${reading} at ${time}, next ${rule.hours} h`;
+        } else if (rule.source === 'airQuality') {
+            data = `air quality now ${reading}`;
+        } else {
+            data = `current ${reading}`;
+        }
+
+        return `${rule.name}: ${condition} · ${data}`;
+    }
+
+    /**
+     * Update government alerts display
+     */
+    updateAlertsDisplay() {
+        // Snapshots shown offline can hold alerts that have since expired
+        const alerts = (this.weatherData.alerts || []).filter(alert => !this.isAlertExpired(alert));
+        const personalAlerts = this.weatherData.personalAlerts || [];
+        const alertsBanner = document.getElementById('alerts-banner');
+        const alertsMessages = document.getElementById('alert-messages');
+        const alertsCardContent = document.getElementById('alerts-card-content');
+
+        console.log('Updating alerts display:', alerts);
+
+        // Update the alerts card (always visible)
+        if (alertsCardContent) {
+            if (alerts.length === 0 && personalAlerts.length === 0) {
+                alertsCardContent.innerHTML = '<p class="no-alerts">No active weather alerts</p>';
+            } else {
+                alertsCardContent.innerHTML = '';
+                alerts.forEach((alert, index) => {
+                    const alertElement = document.createElement('div');
+                    const alertId = this.getAlertId(alert);
+                    const acknowledged = this.isAlertAcknowledged(alert);
+                    alertElement.className = `alert-card-item${acknowledged ? ' acknowledged' : ''}`;
+                    alertElement.dataset.alertId = alertId;
+
+                    const properties = alert.properties || alert;
+                    const title = properties.headline || properties.event || properties.title || 'Weather Alert';
+                    let description = properties.description || properties.instruction || properties.summary || 'Check local weather services for details.';
+
+                    // Truncate long descriptions for card display
+                    if (description.length > 150) {
+                        description = description.substring(0, 150) + '...';
+                    }
+
+                    alertElement.innerHTML = `
+                        <div class="alert-card-header">
+                            <span class="alert-card-icon">⚠️</span>
+                            <h3 class="alert-card-title">${this.escapeHTML(title)}</h3>
+                        </div>
+                        ${this.renderAlertArea(alert)}
+                        <p class="alert-card-description">${this.escapeHTML(description)}</p>
+                        <div class="alert-card-footer">
+                            ${properties.severity ? `<span class="alert-card-severity severity-${properties.severity.toLowerCase()}">${properties.severity}</span>` : ''}
+                            <button type="button" class="neumorphic-btn alert-ack-btn" aria-pressed="${acknowledged}">
+                                ${acknowledged ? '✓ Acknowledged' : 'Acknowledge'}
+                            </button>
+                        </div>
+                    `;
+
+                    alertElement.querySelector('.alert-ack-btn').addEventListener('click', () => {
+                        this.acknowledgeAlerts([alertId], !acknowledged);
+                    });
+
+                    alertsCardContent.appendChild(alertElement);
+                });
+
+                personalAlerts.forEach(match => alertsCardContent.appendChild(this.renderPersonalAlert(match)));
+            }
+        }
+
+        // Update the banner alerts (for critical alerts)
+        if (!alerts || alerts.length === 0) {
+            if (alertsBanner) {
+                alertsBanner.style.display = 'none';
+            }
+            return;
+        }
+
+        // Only show banner for unacknowledged severe alerts that cover the location itself
+        const severeAlerts = alerts.filter(alert =>
+            this.isSevereAlert(alert) && alert.match?.relation !== 'nearby' && !this.isAlertAcknowledged(alert)
+        );
 
         if (severeAlerts.length > 0 && alertsBanner && alertsMessages) {
             alertsMessages.innerHTML = '';
@@ -1389,8 +3145,8 @@ class WeatherApp {
                 }
 
                 alertElement.innerHTML = `
-                    <h3 class="alert-headline">${title}</h3>
-                    <p class="alert-description">${description}</p>
+                    <h3 class="alert-headline">${this.escapeHTML(title)}</h3>
+                    <p class="alert-description">${this.escapeHTML(description)}</p>
                     ${properties.severity ? `<span class="alert-severity">Severity: ${properties.severity}</span>` : ''}
                 `;
 
@@ -1404,8 +3160,10 @@ class WeatherApp {
             if (closeBtn) {
                 closeBtn.replaceWith(closeBtn.cloneNode(true));
                 const newCloseBtn = alertsBanner.querySelector('.alert-close');
+                // Closing the banner acknowledges its alerts so the next refresh doesn't bring it back
                 newCloseBtn.addEventListener('click', () => {
                     alertsBanner.style.display = 'none';
+                    this.acknowledgeAlerts(severeAlerts.map(alert => this.getAlertId(alert)));
                 });
             }
         } else if (alertsBanner) {
@@ -1413,6 +3171,440 @@ class WeatherApp {
         }
     }
 
+    /**
+     * Get the identifier an alert is tracked by (the one CAP/NOAA references point at)
+     * @param {Object} alert - Alert feature
+     * @returns {string} Alert ID
+     */
+    getAlertId(alert) {
+        return alert.properties?.id || alert.id;
+    }
+
+    /**
+     * Check whether an alert message has passed its expiry time
+     * @param {Object} alert - Alert feature
+     * @param {number} [now] - Current time in milliseconds
+     * @returns {boolean} True if expired
+     */
+    isAlertExpired(alert, now = Date.now()) {
+        const expires = alert.properties?.expires;
+        return Boolean(expires) && new Date(expires).getTime() <= now;
+    }
+
+    /**
+     * Get an alert's CAP severity in lower case ('critical' from older feeds counts as extreme)
+     * @param {Object} alert - Alert feature
+     * @returns {string} extreme, severe, moderate, minor or unknown
+     */
+    getAlertSeverity(alert) {
+        const severity = String(alert.properties?.severity || 'unknown').toLowerCase();
+        return severity === 'critical' ? 'extreme' : severity;
+    }
+
+    /**
+     * Check whether an alert is severe enough for the banner
+     * @param {Object} alert - Alert feature
+     * @returns {boolean} True for severe and extreme alerts
+     */
+    isSevereAlert(alert) {
+        return ['severe', 'extreme'].includes(this.getAlertSeverity(alert));
+    }
+
+    /**
+     * Rank a CAP severity so updates can be compared with the message they replace
+     * @param {string} severity - Extreme, Severe, Moderate, Minor or Unknown
+     * @returns {number} Rank, higher is more severe
+     */
+    getSeverityRank(severity) {
+        const ranks = { minor: 1, moderate: 2, severe: 3, extreme: 4 };
+        return ranks[String(severity).toLowerCase()] || 0;
+    }
+
+    /**
+     * Check whether the user has acknowledged an alert
+     * @param {Object} alert - Alert feature
+     * @returns {boolean} True if acknowledged
+     */
+    isAlertAcknowledged(alert) {
+        return Boolean(this.alertRecords.get(this.getAlertId(alert))?.acknowledgedAt);
+    }
+
+    /**
+     * Record the latest alerts for a location in the alert store
+     * New messages are added, messages replaced by an Update or Cancel (via references) are marked
+     * as such, and alerts that expired or stopped being issued are closed. An update keeps the
+     * acknowledgment and notification state of the message it replaces unless it raises the severity.
+     * @param {Object} location - Location the alerts were fetched for
+     * @param {Array} alerts - Alerts from the providers
+     * @param {boolean} complete - Whether every alert provider answered; missing alerts only end then
+     * @returns {Promise<Array>} Alerts still in force, without duplicates or superseded messages
+     */
+    async syncAlertStore(location, alerts, complete) {
+        const now = Date.now();
+        const locationKey = this.getLocationKey(location);
+        const changed = new Map();
+        const getRecord = id => changed.get(id) || this.alertRecords.get(id);
+        const save = record => changed.set(record.id, record);
+        const addLocation = record => [...new Set([...(record?.locationKeys || []), locationKey])];
+
+        // The same alert can come from several providers or be listed next to its own update
+        const incoming = new Map();
+        alerts.forEach(alert => {
+            if (!incoming.has(this.getAlertId(alert))) incoming.set(this.getAlertId(alert), alert);
+        });
+        const supersededIds = new Set([...incoming.values()].flatMap(alert =>
+            (alert.properties?.references || []).map(reference => reference.identifier)
+        ));
+
+        incoming.forEach((alert, id) => {
+            const properties = alert.properties || {};
+            const previous = getRecord(id);
+            let status = previous?.supersededBy ? previous.status : 'active';
+            if (supersededIds.has(id)) status = 'updated';
+            if (/^cancel$/i.test(properties.messageType || '')) status = 'cancelled';
+
+            save({
+                id,
+                alert,
+                locationKeys: addLocation(previous),
+                status,
+                messageType: properties.messageType || 'Alert',
+                expires: properties.expires ? new Date(properties.expires).getTime() : null,
+                firstSeen: previous?.firstSeen || now,
+                lastSeen: now,
+                supersededBy: previous?.supersededBy || null,
+                acknowledgedAt: previous?.acknowledgedAt || null,
+                notifiedAt: previous?.notifiedAt || null
+            });
+        });
+
+        incoming.forEach((alert, id) => {
+            const record = getRecord(id);
+            const cancel = record.status === 'cancelled';
+
+            (alert.properties?.references || []).forEach(reference => {
+                const replaced = getRecord(reference.identifier);
+                if (!replaced || replaced.id === id) return;
+
+                save({ ...replaced, status: cancel ? 'cancelled' : 'updated', supersededBy: id, locationKeys: addLocation(replaced) });
+
+                const escalated = this.getSeverityRank(alert.properties?.severity) >
+                    this.getSeverityRank(replaced.alert.properties?.severity);
+                if (!escalated) {
+                    const current = getRecord(id);
+                    save({
+                        ...current,
+                        acknowledgedAt: current.acknowledgedAt || replaced.acknowledgedAt || null,
+                        notifiedAt: current.notifiedAt || replaced.notifiedAt || null
+                    });
+                }
+            });
+        });
+
+        // Close alerts for this location that expired or are no longer being issued
+        this.alertRecords.forEach(record => {
+            if (changed.has(record.id) || record.status !== 'active') return;
+
+            if (record.expires && record.expires <= now) {
+                save({ ...record, status: 'expired' });
+            } else if (complete && record.locationKeys.includes(locationKey)) {
+                save({ ...record, status: 'ended', endedAt: now });
+            }
+        });
+
+        await this.writeAlertRecords([...changed.values()]);
+
+        return [...incoming.entries()]
+            .filter(([id, alert]) => getRecord(id).status === 'active' && !this.isAlertExpired(alert, now))
+            .map(([, alert]) => alert);
+    }
+
+    /**
+     * Acknowledge alerts so they stop raising the banner, or clear the acknowledgment
+     * @param {Array<string>} ids - Alert IDs
+     * @param {boolean} [acknowledged] - False to clear the acknowledgment
+     */
+    async acknowledgeAlerts(ids, acknowledged = true) {
+        const records = ids
+            .map(id => this.alertRecords.get(id))
+            .filter(Boolean)
+            .map(record => ({ ...record, acknowledgedAt: acknowledged ? Date.now() : null }));
+
+        await this.writeAlertRecords(records);
+        this.updateAlertsDisplay();
+    }
+
+    /**
+     * Notify about alerts that weren't on screen before this refresh
+     * Skipped while the dashboard is in front of the user, who already sees the banner.
+     * @param {Array} previousAlerts - Alerts shown before the refresh
+     * @param {Array} alerts - Alerts after the refresh
+     */
+    async notifyNewAlerts(previousAlerts, alerts) {
+        if (!this.settings.ALERT_NOTIFICATIONS || this.getNotificationPermission() !== 'granted') return;
+        if (document.visibilityState === 'visible' && document.hasFocus()) return;
+
+        const previousIds = new Set(previousAlerts.map(alert => this.getAlertId(alert)));
+        const newAlerts = alerts.filter(alert => {
+            const record = this.alertRecords.get(this.getAlertId(alert));
+            return !previousIds.has(this.getAlertId(alert)) && !record?.notifiedAt && !record?.acknowledgedAt &&
+                Geometry.isNotifiable(alert) && this.shouldNotifyAlert(alert);
+        });
+        if (newAlerts.length === 0) return;
+
+        const notified = [];
+        for (const alert of newAlerts) {
+            if (await this.showAlertNotification(alert)) {
+                notified.push({ ...this.alertRecords.get(this.getAlertId(alert)), notifiedAt: Date.now() });
+            }
+        }
+
+        await this.writeAlertRecords(notified.filter(record => record.id));
+    }
+
+    /**
+     * Check an alert against the notification severities and quiet hours
+     * @param {Object} alert - Alert feature
+     * @param {Date} [now] - Current time
+     * @returns {boolean} True if it should notify
+     */
+    shouldNotifyAlert(alert, now = new Date()) {
+        const severity = this.getAlertSeverity(alert);
+        if (!this.settings.NOTIFY_SEVERITIES.includes(severity)) return false;
+
+        return severity === 'extreme' || !this.isQuietHours(now);
+    }
+
+    /**
+     * Check whether a time falls inside the quiet hours
+     * @param {Date} [now] - Time to check
+     * @returns {boolean} True during quiet hours
+     */
+    isQuietHours(now = new Date()) {
+        if (!this.settings.QUIET_HOURS_ENABLED) return false;
+
+        const toMinutes = time => {
+            const [hours, minutes] = time.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const start = toMinutes(this.settings.QUIET_HOURS_START);
+        const end = toMinutes(this.settings.QUIET_HOURS_END);
+        const current = now.getHours() * 60 + now.getMinutes();
+
+        // Ranges such as 22:00-07:00 wrap past midnight
+        return start <= end
+            ? current >= start && current < end
+            : current >= start || current < end;
+    }
+
+    /**
+     * Show a notification for an alert, through the service worker when there is one
+     * @param {Object} alert - Alert feature
+     * @returns {Promise<boolean>} True if the notification was shown
+     */
+    async showAlertNotification(alert) {
+        const properties = alert.properties || {};
+        const alertId = this.getAlertId(alert);
+        const title = `${properties.severity ? `${properties.severity}: ` : ''}${properties.event || 'Weather alert'}`;
+        const options = {
+            body: [properties.headline, this.currentLocation?.name].filter(Boolean).join('\n'),
+            tag: alertId,
+            icon: 'images/favicon.svg',
+            requireInteraction: this.getAlertSeverity(alert) === 'extreme',
+            data: { alertId, url: `./?alert=${encodeURIComponent(alertId)}` }
+        };
+
+        try {
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+                return true;
+            }
+
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                this.focusAlert(alertId);
+            };
+            return true;
+        } catch (error) {
+            console.warn('Could not show alert notification:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Bring an alert card into view and highlight it
+     * @param {string} alertId - Alert ID
+     */
+    focusAlert(alertId) {
+        const item = [...document.querySelectorAll('.alert-card-item')].find(element => element.dataset.alertId === alertId);
+        if (!item) {
+            this.showToast('That alert is no longer active', 'error');
+            return;
+        }
+
+        item.tabIndex = -1;
+        item.scrollIntoView({ behavior: this.settings.REDUCE_MOTION ? 'auto' : 'smooth', block: 'center' });
+        item.focus({ preventScroll: true });
+        item.classList.add('highlighted');
+        setTimeout(() => item.classList.remove('highlighted'), 3000);
+    }
+
+    /**
+     * Focus the alert named in the URL when the app was opened from a notification
+     */
+    focusAlertFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const alertId = params.get('alert');
+        if (!alertId) return;
+
+        params.delete('alert');
+        const query = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        this.focusAlert(alertId);
+    }
+
+    /**
+     * Open the alert history for the current location
+     */
+    openAlertHistoryModal() {
+        const modal = document.getElementById('alert-history-modal');
+        if (!modal) return;
+
+        this.renderAlertHistory();
+        modal.style.display = 'flex';
+        modal.querySelector('.modal-close')?.focus();
+    }
+
+    /**
+     * Render every stored alert for the current location, newest first
+     */
+    renderAlertHistory() {
+        const list = document.getElementById('alert-history-list');
+        const locationLabel = document.getElementById('alert-history-location');
+        if (!list || !this.currentLocation) return;
+
+        const locationKey = this.getLocationKey(this.currentLocation);
+        const records = [...this.alertRecords.values()]
+            .filter(record => record.locationKeys.includes(locationKey))
+            .sort((a, b) => b.firstSeen - a.firstSeen);
+
+        const statusLabels = {
+            active: 'Active',
+            updated: 'Updated',
+            cancelled: 'Cancelled',
+            expired: 'Expired',
+            ended: 'Ended'
+        };
+        const formatTime = timestamp => new Date(timestamp).toLocaleString([], {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+
+        if (locationLabel) {
+            locationLabel.textContent = `${this.currentLocation.name} · last ${Math.round(CONFIG.APP.ALERT_HISTORY_RETENTION / 86400000)} days`;
+        }
+
+        list.innerHTML = records.length === 0
+            ? '<li class="no-alerts">No alerts recorded for this location yet</li>'
+            : records.map(record => {
+                const properties = record.alert.properties || {};
+                const title = properties.headline || properties.event || 'Weather Alert';
+                const expires = record.expires ? ` · expires ${formatTime(record.expires)}` : '';
+                const replacedBy = record.supersededBy ? this.alertRecords.get(record.supersededBy) : null;
+
+                return `
+                    <li class="alert-history-item neumorphic-card status-${record.status}">
+                        <div class="alert-history-header">
+                            <span class="alert-history-title">${this.escapeHTML(title)}</span>
+                            <span class="alert-history-status">${statusLabels[record.status]}</span>
+                        </div>
+                        <p class="alert-history-meta">
+                            ${properties.severity ? `${this.escapeHTML(properties.severity)} · ` : ''}first seen ${formatTime(record.firstSeen)}${expires}
+                        </p>
+                        ${replacedBy ? `<p class="alert-history-meta">Replaced by: ${this.escapeHTML(replacedBy.alert.properties?.headline || replacedBy.alert.properties?.event || replacedBy.id)}</p>` : ''}
+                        ${record.acknowledgedAt ? `<p class="alert-history-meta">Acknowledged ${formatTime(record.acknowledgedAt)}</p>` : ''}
+                    </li>
+                `;
+            }).join('');
+    }
+
+    /**
+     * Build the alerts card entry for a watch rule that fired
+     * @param {Object} match - Result of WatchRules.evaluate()
+     * @returns {HTMLElement} Alert card item
+     */
+    renderPersonalAlert({ rule, matches }) {
+        const element = document.createElement('div');
+        element.className = 'alert-card-item personal';
+        element.dataset.ruleId = rule.id;
+
+        const details = matches.map(({ condition, value, time }) => {
+            const reading = WatchRules.formatValue(condition, Math.round(value * 10) / 10);
+            const when = WatchRules.METRICS[condition.metric].source === 'daily'
+                ? new Date(time + (this.weatherData.utcOffset || 0) * 1000).toLocaleDateString([], { weekday: 'short', timeZone: 'UTC' })
+                : this.formatLocationTime(new Date(time));
+            return `<li>${this.escapeHTML(WatchRules.METRICS[condition.metric].label)} ${this.escapeHTML(reading)} · ${this.escapeHTML(when)}</li>`;
+        }).join('');
+
+        element.innerHTML = `
+            <div class="alert-card-header">
+                <span class="alert-card-icon">🔔</span>
+                <h3 class="alert-card-title">${this.escapeHTML(rule.name)}</h3>
+            </div>
+            <p class="alert-card-description">${this.escapeHTML(WatchRules.describe(rule))}</p>
+            <ul class="personal-alert-details">${details}</ul>
+            <span class="alert-card-severity personal-alert-badge">Personal alert</span>
+        `;
+        return element;
+    }
+
+    /**
+     * Describe where an alert's area is relative to the current location
+     * @param {Object} alert - Alert feature with a match from Geometry.matchAlert()
+     * @returns {string} HTML for the area line and, when known, a collapsible outline
+     */
+    renderAlertArea(alert) {
+        const match = alert.match;
+        if (!match) return '';
+
+        const areaDesc = alert.properties?.areaDesc;
+        const labels = {
+            inside: match.geometry || !areaDesc
+                ? 'Your location is inside the alert area'
+                : `Issued for ${areaDesc}, which includes your location`,
+            nearby: `Nearby · ${this.formatUnit('distance', match.distance, { decimals: 0 })} from the alert area`
+        };
+
+        const outline = match.geometry && this.currentLocation
+            ? Geometry.toSvgOutline(match.geometry, this.currentLocation)
+            : null;
+        const outlineHtml = outline ? `
+            <details class="alert-card-outline">
+                <summary>Show affected area</summary>
+                <svg viewBox="0 0 ${outline.size} ${outline.size}" width="${outline.size}" height="${outline.size}" role="img" aria-label="Outline of the alert area${areaDesc ? ` (${this.escapeHTML(areaDesc)})` : ''} with your location marked">
+                    <path class="alert-area-shape" d="${outline.path}" fill-rule="evenodd"></path>
+                    <circle class="alert-area-marker" cx="${outline.marker.x}" cy="${outline.marker.y}" r="3.5"></circle>
+                </svg>
+            </details>
+        ` : '';
+
+        return `
+            <p class="alert-card-area alert-area-${match.relation}">📍 ${this.escapeHTML(labels[match.relation])}</p>
+            ${outlineHtml}
+        `;
+    }
+
+    /**
+     * Count alerts that apply at a location rather than just near it
+     * @param {Array} alerts - Alert features
+     * @returns {number} Alert count
+     */
+    countLocalAlerts(alerts) {
+        return (alerts || []).filter(alert => alert.match?.relation !== 'nearby').length;
+    }
+
     /**
      * Update location display
      */
@@ -1421,19 +3613,62 @@ class WeatherApp {
         if (locationElement && this.currentLocation) {
             locationElement.textContent = this.currentLocation.name;
         }
+
+        this.renderSavedLocations();
     }
 
     /**
      * Update last updated timestamp
+     * @param {number} [timestamp] - When the displayed data was fetched (defaults to now)
      */
-    updateLastUpdated() {
+    updateLastUpdated(timestamp = Date.now()) {
+        this.lastUpdatedAt = timestamp;
+
         const lastUpdatedElement = document.getElementById('last-updated');
         if (lastUpdatedElement) {
-            const now = new Date();
-            lastUpdatedElement.textContent = `Last updated: ${now.toLocaleTimeString()}`;
+            const updated = new Date(timestamp);
+            lastUpdatedElement.textContent = `Last updated: ${updated.toLocaleTimeString()}`;
         }
     }
 
+    /**
+     * Show or hide the "as of" badge for data that may be out of date
+     * @param {boolean} stale - Whether the dashboard is showing stored rather than live data
+     */
+    updateStalenessBadge(stale) {
+        const badge = document.getElementById('staleness-badge');
+        if (!badge) return;
+
+        if (!stale || !this.lastUpdatedAt) {
+            badge.hidden = true;
+            return;
+        }
+
+        const updated = new Date(this.lastUpdatedAt);
+        const sameDay = updated.toDateString() === new Date().toDateString();
+        const time = updated.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const asOf = sameDay ? time : `${updated.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+
+        badge.textContent = `${navigator.onLine ? 'Cached' : 'Offline'} · as of ${asOf} (${this.formatAge(Date.now() - this.lastUpdatedAt)} ago)`;
+        badge.hidden = false;
+    }
+
+    /**
+     * Format a duration as a short age such as "5 min" or "3 h"
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted age
+     */
+    formatAge(ms) {
+        const minutes = Math.max(0, Math.round(ms / 60000));
+        if (minutes < 1) return 'under a minute';
+        if (minutes < 60) return `${minutes} min`;
+
+        const hours = Math.round(minutes / 60);
+        if (hours < 48) return `${hours} h`;
+
+        return `${Math.round(hours / 24)} days`;
+    }
+
     /**
      * Set up auto-refresh timer
      */
@@ -1499,26 +3734,20 @@ class WeatherApp {
     }
 
     /**
-     * Save observation to local storage
+     * Save observation to IndexedDB, or localStorage when IndexedDB is unavailable
      * @param {Object} observation - Observation data
      */
     async saveObservation(observation) {
         try {
-            if (!this.useLocalStorage) {
-                // Use IndexedDB
+            if (!this.useLocalStorage && this.db) {
                 await this.saveToIndexedDB(observation);
             } else {
-                // Use localStorage as fallback
-                const observations = this.getStoredObservations();
+                const observations = this.getLocalObservations();
                 observations.unshift(observation);
-
-                // Limit stored observations
-                if (observations.length > CONFIG.APP.MAX_OBSERVATIONS) {
-                    observations.splice(CONFIG.APP.MAX_OBSERVATIONS);
-                }
-
                 localStorage.setItem('weather-observations', JSON.stringify(observations));
             }
+
+            await this.applyObservationRetention();
         } catch (error) {
             console.error('Error saving observation:', error);
             throw error;
@@ -1538,10 +3767,30 @@ class WeatherApp {
     }
 
     /**
-     * Get stored observations
+     * Get stored observations, newest first
+     * @returns {Promise<Array>} Array of observations
+     */
+    async getStoredObservations() {
+        if (this.useLocalStorage || !this.db) {
+            return this.getLocalObservations();
+        }
+
+        try {
+            const transaction = this.db.transaction('observations', 'readonly');
+            const index = transaction.objectStore('observations').index('timestamp');
+            const observations = await this.idbRequest(index.getAll());
+            return observations.reverse();
+        } catch (error) {
+            console.error('Error reading observations from IndexedDB:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get observations kept in localStorage
      * @returns {Array} Array of observations
      */
-    getStoredObservations() {
+    getLocalObservations() {
         try {
             const stored = localStorage.getItem('weather-observations');
             return stored ? JSON.parse(stored) : [];
@@ -1551,6 +3800,52 @@ class WeatherApp {
         }
     }
 
+    /**
+     * Drop observations older than the retention period or beyond the item limit
+     */
+    async applyObservationRetention() {
+        const { MAX_ITEMS } = CONFIG.APP.OBSERVATION_RETENTION;
+        const maxAgeDays = Number(this.settings.OBSERVATION_RETENTION_DAYS);
+        const cutoff = maxAgeDays > 0
+            ? new Date(Date.now() - maxAgeDays * 86400000).toISOString()
+            : null;
+
+        if (this.useLocalStorage || !this.db) {
+            const observations = this.getLocalObservations();
+            const kept = observations
+                .filter(obs => !cutoff || obs.timestamp >= cutoff)
+                .slice(0, MAX_ITEMS);
+
+            if (kept.length !== observations.length) {
+                localStorage.setItem('weather-observations', JSON.stringify(kept));
+            }
+            return;
+        }
+
+        const transaction = this.db.transaction('observations', 'readwrite');
+        const index = transaction.objectStore('observations').index('timestamp');
+        const countRequest = index.count();
+
+        countRequest.onsuccess = () => {
+            let remaining = countRequest.result;
+
+            // Walk oldest first, deleting until what's left is in policy
+            index.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+
+                const expired = cutoff && cursor.key < cutoff;
+                if (!expired && remaining <= MAX_ITEMS) return;
+
+                cursor.delete();
+                remaining--;
+                cursor.continue();
+            };
+        };
+
+        await this.idbTransactionDone(transaction);
+    }
+
     /**
      * Display observations in the UI
      * @param {Array} observations - Array of observations
@@ -1624,16 +3919,32 @@ class WeatherApp {
             modal.style.display = 'flex';
 
             // Load current settings
-            const tempUnit = document.getElementById('temp-unit');
-            const windUnit = document.getElementById('wind-unit');
+            Object.entries(this.getUnitSelects()).forEach(([id, key]) => {
+                const select = document.getElementById(id);
+                if (select) select.value = this.settings[key];
+            });
+
+            const observationRetention = document.getElementById('observation-retention');
             const reduceMotion = document.getElementById('reduce-motion');
             const autoRefresh = document.getElementById('auto-refresh');
 
-            if (tempUnit) tempUnit.value = this.settings.TEMPERATURE_UNIT;
-            if (windUnit) windUnit.value = this.settings.WIND_UNIT;
+            const aqiStandard = document.getElementById('aqi-standard-select');
+            if (aqiStandard) aqiStandard.value = this.settings.AQI_STANDARD;
+
+            const healthProfile = document.getElementById('health-profile');
+            if (healthProfile) {
+                healthProfile.innerHTML = Object.entries(CONFIG.HEALTH_PROFILES)
+                    .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                    .join('');
+                healthProfile.value = this.settings.HEALTH_PROFILE;
+            }
+
+            if (observationRetention) observationRetention.value = String(this.settings.OBSERVATION_RETENTION_DAYS);
             if (reduceMotion) reduceMotion.checked = this.settings.REDUCE_MOTION;
             if (autoRefresh) autoRefresh.checked = this.settings.AUTO_REFRESH;
 
+            this.loadNotificationSettings();
+
             // Set up settings change handlers
             this.setupSettingsHandlers();
 
@@ -1647,26 +3958,46 @@ class WeatherApp {
      * Set up settings change handlers
      */
     setupSettingsHandlers() {
-        const tempUnit = document.getElementById('temp-unit');
-        const windUnit = document.getElementById('wind-unit');
+        // openSettings() runs this on every open; only attach the listeners once
+        if (this.settingsHandlersReady) return;
+        this.settingsHandlersReady = true;
+
+        const observationRetention = document.getElementById('observation-retention');
         const reduceMotion = document.getElementById('reduce-motion');
         const autoRefresh = document.getElementById('auto-refresh');
 
-        if (tempUnit) {
-            tempUnit.addEventListener('change', (e) => {
-                this.settings.TEMPERATURE_UNIT = e.target.value;
-                this.updateWeatherDisplay();
-                this.saveSettings();
-            });
-        }
+        Object.entries(this.getUnitSelects()).forEach(([id, key]) => {
+            const select = document.getElementById(id);
+            if (!select) return;
 
-        if (windUnit) {
-            windUnit.addEventListener('change', (e) => {
-                this.settings.WIND_UNIT = e.target.value;
-                this.updateWeatherDisplay();
+            select.addEventListener('change', (e) => {
+                this.settings[key] = e.target.value;
+                // Every card formats values in the chosen units, so redraw them all
+                this.renderWeatherData();
                 this.saveSettings();
             });
-        }
+        });
+
+        document.getElementById('aqi-standard-select')?.addEventListener('change', (e) => {
+            this.settings.AQI_STANDARD = e.target.value;
+            this.updateAirQualityDisplay();
+            this.saveSettings();
+        });
+
+        document.getElementById('health-profile')?.addEventListener('change', (e) => {
+            this.settings.HEALTH_PROFILE = e.target.value;
+            this.updateHealthTips();
+            this.saveSettings();
+        });
+
+        if (observationRetention) {
+            observationRetention.addEventListener('change', async (e) => {
+                this.settings.OBSERVATION_RETENTION_DAYS = parseInt(e.target.value, 10);
+                this.saveSettings();
+                await this.applyObservationRetention();
+                await this.loadObservations();
+            });
+        }
 
         if (reduceMotion) {
             reduceMotion.addEventListener('change', (e) => {
@@ -1683,6 +4014,112 @@ class WeatherApp {
                 this.saveSettings();
             });
         }
+
+        this.setupNotificationSettings();
+    }
+
+    /**
+     * Fill the alert notification controls from the current settings
+     */
+    loadNotificationSettings() {
+        const enabled = document.getElementById('alert-notifications');
+        const quietHours = document.getElementById('quiet-hours');
+        const quietStart = document.getElementById('quiet-hours-start');
+        const quietEnd = document.getElementById('quiet-hours-end');
+
+        if (enabled) enabled.checked = this.settings.ALERT_NOTIFICATIONS && this.getNotificationPermission() === 'granted';
+        if (quietHours) quietHours.checked = this.settings.QUIET_HOURS_ENABLED;
+        if (quietStart) quietStart.value = this.settings.QUIET_HOURS_START;
+        if (quietEnd) quietEnd.value = this.settings.QUIET_HOURS_END;
+
+        document.querySelectorAll('input[name="notify-severity"]').forEach(checkbox => {
+            checkbox.checked = this.settings.NOTIFY_SEVERITIES.includes(checkbox.value);
+        });
+
+        this.updateNotificationStatus();
+    }
+
+    /**
+     * Set up change handlers for the alert notification controls
+     */
+    setupNotificationSettings() {
+        const enabled = document.getElementById('alert-notifications');
+        const quietHours = document.getElementById('quiet-hours');
+
+        if (enabled) {
+            enabled.addEventListener('change', async (e) => {
+                // Permission is only requested once the user opts in
+                if (e.target.checked && await this.requestNotificationPermission() !== 'granted') {
+                    e.target.checked = false;
+                    this.showError('Notifications are blocked. Allow them for this site in your browser settings.');
+                }
+
+                this.settings.ALERT_NOTIFICATIONS = e.target.checked;
+                this.saveSettings();
+                this.updateNotificationStatus();
+            });
+        }
+
+        document.querySelectorAll('input[name="notify-severity"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                this.settings.NOTIFY_SEVERITIES = [...document.querySelectorAll('input[name="notify-severity"]:checked')]
+                    .map(input => input.value);
+                this.saveSettings();
+            });
+        });
+
+        if (quietHours) {
+            quietHours.addEventListener('change', (e) => {
+                this.settings.QUIET_HOURS_ENABLED = e.target.checked;
+                this.saveSettings();
+            });
+        }
+
+        [['quiet-hours-start', 'QUIET_HOURS_START'], ['quiet-hours-end', 'QUIET_HOURS_END']].forEach(([id, key]) => {
+            document.getElementById(id)?.addEventListener('change', (e) => {
+                if (!e.target.value) return;
+                this.settings[key] = e.target.value;
+                this.saveSettings();
+            });
+        });
+    }
+
+    /**
+     * Get the browser's notification permission
+     * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+     */
+    getNotificationPermission() {
+        return 'Notification' in window ? Notification.permission : 'unsupported';
+    }
+
+    /**
+     * Ask for permission to show notifications
+     * @returns {Promise<string>} Resulting permission
+     */
+    async requestNotificationPermission() {
+        const permission = this.getNotificationPermission();
+        if (permission !== 'default') return permission;
+
+        try {
+            return await Notification.requestPermission();
+        } catch (error) {
+            console.warn('Notification permission request failed:', error);
+            return 'denied';
+        }
+    }
+
+    /**
+     * Explain why notifications can't be switched on, if they can't
+     */
+    updateNotificationStatus() {
+        const status = document.getElementById('notification-status');
+        if (!status) return;
+
+        const messages = {
+            unsupported: 'This browser does not support notifications.',
+            denied: 'Notifications are blocked for this site in your browser settings.'
+        };
+        status.textContent = messages[this.getNotificationPermission()] || '';
     }
 
     /**
@@ -1784,16 +4221,44 @@ class WeatherApp {
     }
 
     /**
-     * Get wind unit based on settings
-     * @returns {string} Wind unit
+     * Unit select elements in the settings modal and the settings they control
+     * @returns {Object} Map of element ID to settings key
      */
-    getWindUnit() {
-        const units = {
-            kmh: 'km/h',
-            mph: 'mph',
-            ms: 'm/s'
+    getUnitSelects() {
+        return {
+            'temp-unit': 'TEMPERATURE_UNIT',
+            'wind-unit': 'WIND_UNIT',
+            'pressure-unit': 'PRESSURE_UNIT',
+            'distance-unit': 'DISTANCE_UNIT',
+            'precipitation-unit': 'PRECIPITATION_UNIT'
         };
-        return units[this.settings.WIND_UNIT] || 'km/h';
+    }
+
+    /**
+     * Format a metric value in the unit chosen in settings
+     * @param {string} kind - 'temperature', 'wind', 'pressure', 'distance' or 'precipitation'
+     * @param {number} value - Value in the base metric unit
+     * @param {Object} [options] - Options passed to Units.format()
+     * @returns {string} Formatted value
+     */
+    formatUnit(kind, value, options) {
+        return Units.format(kind, value, this.getUnitSetting(kind), options);
+    }
+
+    /**
+     * Get the unit the user picked for a kind of quantity
+     * @param {string} kind - 'temperature', 'wind', 'pressure', 'distance' or 'precipitation'
+     * @returns {string} Unit key
+     */
+    getUnitSetting(kind) {
+        const settingKeys = {
+            temperature: 'TEMPERATURE_UNIT',
+            wind: 'WIND_UNIT',
+            pressure: 'PRESSURE_UNIT',
+            distance: 'DISTANCE_UNIT',
+            precipitation: 'PRECIPITATION_UNIT'
+        };
+        return this.settings[settingKeys[kind]];
     }
 
     /**
@@ -1822,6 +4287,426 @@ class WeatherApp {
         }
     }
 
+    /**
+     * Set up the saved locations menu, favorite toggle and manager modal
+     */
+    setupSavedLocations() {
+        const favoritesBtn = document.querySelector('.favorites-btn');
+        const favoritesMenu = document.getElementById('favorites-menu');
+        const favoriteToggle = document.getElementById('favorite-toggle');
+        const manageBtn = document.getElementById('manage-locations-btn');
+        const locationsModal = document.getElementById('locations-modal');
+        const locationsList = document.getElementById('saved-locations-list');
+        const saveCurrentBtn = document.getElementById('save-current-location');
+
+        if (favoritesBtn) {
+            favoritesBtn.addEventListener('click', () => this.toggleFavoritesMenu());
+        }
+
+        if (favoritesMenu) {
+            favoritesMenu.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-location-id]');
+                if (item) this.switchToSavedLocation(item.dataset.locationId);
+            });
+
+            favoritesMenu.addEventListener('keydown', (e) => {
+                const items = [...favoritesMenu.querySelectorAll('[role="menuitem"]')];
+                const index = items.indexOf(document.activeElement);
+
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    const step = e.key === 'ArrowDown' ? 1 : -1;
+                    items[(index + step + items.length) % items.length]?.focus();
+                } else if (e.key === 'Escape') {
+                    this.toggleFavoritesMenu(false);
+                    favoritesBtn?.focus();
+                }
+            });
+
+            // Close when clicking anywhere else
+            document.addEventListener('click', (e) => {
+                if (!favoritesMenu.hidden && !e.target.closest('.favorites')) {
+                    this.toggleFavoritesMenu(false);
+                }
+            });
+        }
+
+        if (favoriteToggle) {
+            favoriteToggle.addEventListener('click', () => this.toggleCurrentLocationSaved());
+        }
+
+        if (manageBtn) {
+            manageBtn.addEventListener('click', () => {
+                this.toggleFavoritesMenu(false);
+                this.openLocationsModal();
+            });
+        }
+
+        if (locationsModal) {
+            locationsModal.querySelector('.modal-close')?.addEventListener('click', () => this.closeModal('locations-modal'));
+        }
+
+        if (locationsList) {
+            locationsList.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-location-id]');
+                const button = e.target.closest('button');
+                if (!item || !button) return;
+
+                const id = item.dataset.locationId;
+                if (button.dataset.move) {
+                    this.moveSavedLocation(id, parseInt(button.dataset.move, 10));
+                    locationsList.querySelector(`[data-location-id="${id}"] [data-move="${button.dataset.move}"]`)?.focus();
+                } else if (button.classList.contains('saved-location-delete')) {
+                    this.removeSavedLocation(id);
+                }
+            });
+
+            locationsList.addEventListener('change', (e) => {
+                const item = e.target.closest('[data-location-id]');
+                if (item && e.target.classList.contains('saved-location-name')) {
+                    this.renameSavedLocation(item.dataset.locationId, e.target.value);
+                }
+            });
+        }
+
+        if (saveCurrentBtn) {
+            saveCurrentBtn.addEventListener('click', () => this.addSavedLocation(this.currentLocation));
+        }
+
+        this.renderSavedLocations();
+    }
+
+    /**
+     * Get the saved locations list from localStorage
+     * @returns {Array} Saved locations as { id, name, lat, lon, country }
+     */
+    getSavedLocations() {
+        try {
+            const saved = localStorage.getItem('weather-app-saved-locations');
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.error('Error reading saved locations:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Persist the saved locations list and refresh the UI
+     * @param {Array} locations - Saved locations in display order
+     */
+    storeSavedLocations(locations) {
+        try {
+            localStorage.setItem('weather-app-saved-locations', JSON.stringify(locations));
+        } catch (error) {
+            console.error('Error saving locations:', error);
+        }
+
+        this.renderSavedLocations();
+    }
+
+    /**
+     * Add a location to the saved list
+     * @param {Object} location - Location with lat, lon, name and country
+     */
+    addSavedLocation(location) {
+        if (!location) return;
+
+        const locations = this.getSavedLocations();
+        const id = this.getLocationKey(location);
+
+        if (locations.some(saved => saved.id === id)) {
+            this.showToast(`${location.name} is already saved`, 'info');
+            return;
+        }
+
+        locations.push({
+            id, name: location.name, lat: location.lat, lon: location.lon, country: location.country, regions: location.regions || []
+        });
+        this.storeSavedLocations(locations);
+        this.showToast(`Saved ${location.name}`);
+
+        if (id === this.getLocationKey(this.currentLocation)) {
+            this.updateCurrentLocationSummary();
+        } else {
+            this.refreshLocationSummaries([locations[locations.length - 1]]);
+        }
+    }
+
+    /**
+     * Rename a saved location
+     * @param {string} id - Saved location ID
+     * @param {string} name - New display name
+     */
+    renameSavedLocation(id, name) {
+        const trimmed = name.trim();
+        const locations = this.getSavedLocations();
+        const location = locations.find(saved => saved.id === id);
+        if (!location || !trimmed) {
+            this.renderSavedLocations();
+            return;
+        }
+
+        location.name = trimmed;
+        this.storeSavedLocations(locations);
+
+        // Keep the dashboard heading in step when renaming the location on screen
+        if (this.currentLocation && id === this.getLocationKey(this.currentLocation)) {
+            this.currentLocation.name = trimmed;
+            this.saveLocation(this.currentLocation);
+            this.updateLocationDisplay();
+        }
+    }
+
+    /**
+     * Move a saved location up or down the list
+     * @param {string} id - Saved location ID
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveSavedLocation(id, offset) {
+        const locations = this.getSavedLocations();
+        const index = locations.findIndex(saved => saved.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= locations.length) return;
+
+        [locations[index], locations[target]] = [locations[target], locations[index]];
+        this.storeSavedLocations(locations);
+    }
+
+    /**
+     * Delete a saved location
+     * @param {string} id - Saved location ID
+     */
+    removeSavedLocation(id) {
+        const locations = this.getSavedLocations();
+        const location = locations.find(saved => saved.id === id);
+        if (!location) return;
+
+        this.storeSavedLocations(locations.filter(saved => saved.id !== id));
+        this.locationSummaries.delete(id);
+        this.showToast(`Removed ${location.name}`, 'info');
+    }
+
+    /**
+     * Save or unsave the location currently on screen
+     */
+    toggleCurrentLocationSaved() {
+        if (!this.currentLocation) return;
+
+        const id = this.getLocationKey(this.currentLocation);
+        if (this.getSavedLocations().some(saved => saved.id === id)) {
+            this.removeSavedLocation(id);
+        } else {
+            this.addSavedLocation(this.currentLocation);
+        }
+    }
+
+    /**
+     * Load the dashboard for a saved location
+     * @param {string} id - Saved location ID
+     */
+    async switchToSavedLocation(id) {
+        const location = this.getSavedLocations().find(saved => saved.id === id);
+        if (!location) return;
+
+        this.toggleFavoritesMenu(false);
+        this.currentLocation = {
+            lat: location.lat, lon: location.lon, name: location.name, country: location.country, regions: location.regions || []
+        };
+        this.saveLocation(this.currentLocation);
+        this.renderSavedLocations();
+        await this.loadWeatherData();
+    }
+
+    /**
+     * Open or close the header saved locations menu
+     * @param {boolean} [open] - Force a state; toggles when omitted
+     */
+    toggleFavoritesMenu(open) {
+        const menu = document.getElementById('favorites-menu');
+        const button = document.querySelector('.favorites-btn');
+        if (!menu) return;
+
+        const show = open ?? menu.hidden;
+        menu.hidden = !show;
+        button?.setAttribute('aria-expanded', String(show));
+
+        if (show) {
+            menu.querySelector('[role="menuitem"]')?.focus();
+        }
+    }
+
+    /**
+     * Open the saved locations manager
+     */
+    openLocationsModal() {
+        const modal = document.getElementById('locations-modal');
+        if (!modal) return;
+
+        this.renderSavedLocations();
+        modal.style.display = 'flex';
+        modal.querySelector('input, button:not(.modal-close)')?.focus();
+    }
+
+    /**
+     * Render the header menu, manager list and favorite toggle from the saved list
+     */
+    renderSavedLocations() {
+        const locations = this.getSavedLocations();
+        const currentId = this.currentLocation ? this.getLocationKey(this.currentLocation) : null;
+
+        const favoriteToggle = document.getElementById('favorite-toggle');
+        if (favoriteToggle) {
+            const saved = locations.some(location => location.id === currentId);
+            favoriteToggle.setAttribute('aria-pressed', String(saved));
+            favoriteToggle.setAttribute('aria-label', saved ? 'Remove from saved locations' : 'Save this location');
+            favoriteToggle.title = saved ? 'Saved location' : 'Save location';
+            favoriteToggle.querySelector('span').textContent = saved ? '★' : '☆';
+        }
+
+        const favoritesList = document.getElementById('favorites-list');
+        if (favoritesList) {
+            favoritesList.innerHTML = locations.length === 0
+                ? '<p class="favorites-empty">No saved locations yet. Use ☆ next to the location name to save one.</p>'
+                : locations.map(location => `
+                    <button class="favorite-item" role="menuitem" data-location-id="${this.escapeHTML(location.id)}"${location.id === currentId ? ' aria-current="true"' : ''}>
+                        ${this.renderLocationSummary(location)}
+                    </button>
+                `).join('');
+        }
+
+        const savedList = document.getElementById('saved-locations-list');
+        if (savedList) {
+            savedList.innerHTML = locations.length === 0
+                ? '<li class="favorites-empty">No saved locations yet.</li>'
+                : locations.map((location, index) => `
+                    <li class="saved-location-item neumorphic-card" data-location-id="${this.escapeHTML(location.id)}">
+                        <input type="text" class="saved-location-name neumorphic-input" value="${this.escapeHTML(location.name)}" aria-label="Name for saved location ${index + 1}">
+                        <button type="button" class="neumorphic-btn" data-move="-1" aria-label="Move ${this.escapeHTML(location.name)} up"${index === 0 ? ' disabled' : ''}>↑</button>
+                        <button type="button" class="neumorphic-btn" data-move="1" aria-label="Move ${this.escapeHTML(location.name)} down"${index === locations.length - 1 ? ' disabled' : ''}>↓</button>
+                        <button type="button" class="neumorphic-btn saved-location-delete" aria-label="Delete ${this.escapeHTML(location.name)}">&times;</button>
+                    </li>
+                `).join('');
+        }
+    }
+
+    /**
+     * Render the compact summary shown for a saved location
+     * @param {Object} location - Saved location
+     * @returns {string} HTML for the summary
+     */
+    renderLocationSummary(location) {
+        const summary = this.locationSummaries.get(location.id);
+        const alerts = summary?.alertCount
+            ? `<span class="favorite-alerts" title="${summary.alertCount} active alert${summary.alertCount === 1 ? '' : 's'}">⚠️ ${summary.alertCount}</span>`
+            : '';
+
+        return `
+            <span class="favorite-icon" aria-hidden="true">${summary?.icon || '·'}</span>
+            <span class="favorite-name">${this.escapeHTML(location.name)}</span>
+            <span class="favorite-temp">${summary ? this.formatUnit('temperature', summary.temperature, { short: true }) : '--'}</span>
+            ${alerts}
+        `;
+    }
+
+    /**
+     * Record the dashboard's own data as the summary for the current location
+     */
+    updateCurrentLocationSummary() {
+        const current = this.weatherData.current;
+        if (!current || !this.currentLocation) return;
+
+        this.locationSummaries.set(this.getLocationKey(this.currentLocation), {
+            temperature: current.temperature,
+            icon: Conditions.getIcon(current.condition, current.isDay),
+            alertCount: this.countLocalAlerts(this.weatherData.alerts),
+            updatedAt: Date.now()
+        });
+        this.renderSavedLocations();
+    }
+
+    /**
+     * Start keeping saved location summaries warm in the background
+     */
+    startLocationSummaries() {
+        if (this.summaryTimer) {
+            clearInterval(this.summaryTimer);
+        }
+
+        this.refreshLocationSummaries();
+        this.summaryTimer = setInterval(() => this.refreshLocationSummaries(), CONFIG.APP.LOCATION_SUMMARY_INTERVAL);
+    }
+
+    /**
+     * Refresh summaries for saved locations other than the one on screen
+     * Locations are fetched one at a time so the background work never competes with the dashboard.
+     * @param {Array} [locations] - Locations to refresh (defaults to all saved locations)
+     */
+    async refreshLocationSummaries(locations = this.getSavedLocations()) {
+        for (const location of locations) {
+            if (this.currentLocation && location.id === this.getLocationKey(this.currentLocation)) continue;
+
+            const summary = await this.fetchLocationSummary(location);
+            if (summary) {
+                this.locationSummaries.set(location.id, summary);
+                this.renderSavedLocations();
+            }
+        }
+    }
+
+    /**
+     * Fetch a compact summary (temperature, icon, alert count) for a location
+     * Uses the highest-priority provider that answers instead of the full ensemble.
+     * @param {Object} location - Location with lat, lon and country
+     * @returns {Promise<Object|null>} Summary, or null if no provider answered
+     */
+    async fetchLocationSummary(location) {
+        let current = null;
+
+        for (const adapter of WeatherProviders.getEnabled(location, 'current')) {
+            try {
+                current = adapter.normalizeCurrent(await adapter.fetch(location, this), this);
+                if (current) break;
+            } catch (error) {
+                console.warn(`${adapter.name} summary for ${location.name} failed:`, error);
+            }
+        }
+
+        if (!current) return null;
+
+        const alertResults = await Promise.allSettled(
+            WeatherProviders.getEnabled(location, 'alerts').map(async adapter =>
+                adapter.normalizeAlerts(await adapter.fetch(location, this), this)
+            )
+        );
+        const alerts = await this.syncAlertStore(
+            location,
+            alertResults.filter(result => result.status === 'fulfilled').flatMap(result => result.value || []),
+            alertResults.every(result => result.status === 'fulfilled')
+        );
+
+        return {
+            temperature: current.temperature,
+            icon: Conditions.getIcon(current.condition, current.isDay),
+            alertCount: this.countLocalAlerts(alerts),
+            updatedAt: Date.now()
+        };
+    }
+
+    /**
+     * Escape text for safe use in HTML markup
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * Save settings to localStorage
      */
@@ -1863,14 +4748,245 @@ class WeatherApp {
         ]);
     }
 
+    /**
+     * Build the response cache key from provider, endpoint and rounded coordinates
+     * @param {Object} options - { provider, endpoint, lat, lon }
+     * @returns {string} Cache key
+     */
+    getCacheKey({ provider, endpoint, lat, lon }) {
+        return `${provider}:${endpoint}:${this.getLocationKey({ lat, lon })}`;
+    }
+
+    /**
+     * Build a storage key for a location from its rounded coordinates
+     * @param {Object} location - Location with lat and lon
+     * @returns {string} Location key
+     */
+    getLocationKey({ lat, lon }) {
+        // Two decimals (~1 km) so nearby lookups of the same place share an entry
+        return `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+    }
+
+    /**
+     * Get how long a response of the given endpoint type stays fresh
+     * @param {string} type - Endpoint type, e.g. 'current', 'hourly', 'daily', 'alerts'
+     * @returns {number} TTL in milliseconds
+     */
+    getCacheTtl(type) {
+        return CONFIG.APP.CACHE_TTL[type] ?? CONFIG.APP.CACHE_DURATION;
+    }
+
+    /**
+     * Fetch JSON through the response cache with stale-while-revalidate
+     * Fresh entries are returned as-is; expired entries within CONFIG.APP.CACHE_STALE_WINDOW are
+     * returned immediately while a background request refreshes them.
+     * @param {string} url - URL to fetch
+     * @param {Object} options - { provider, endpoint, lat, lon, type, responseType }
+     *   type defaults to endpoint; responseType 'text' returns the body unparsed (e.g. XML)
+     * @returns {Promise<Object|string>} Parsed response body
+     */
+    async fetchCached(url, options) {
+        const key = this.getCacheKey(options);
+        const type = options.type || options.endpoint;
+        const entry = await this.readCacheEntry(key);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+        if (entry) {
+            if (age < this.getCacheTtl(type)) {
+                return entry.data;
+            }
+
+            if (age < CONFIG.APP.CACHE_STALE_WINDOW) {
+                this.revalidateCacheEntry(key, url, options);
+                return entry.data;
+            }
+        }
+
+        try {
+            return await this.fetchAndCache(key, url, options);
+        } catch (error) {
+            // Better an old answer than none when the network is down
+            if (entry) {
+                console.warn(`Serving stale ${key} after fetch error:`, error);
+                return entry.data;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch a URL and store the parsed body, sharing in-flight requests for the same key
+     * @param {string} key - Cache key
+     * @param {string} url - URL to fetch
+     * @param {Object} [options] - Cache options passed to fetchCached()
+     * @returns {Promise<Object|string>} Parsed response body
+     */
+    fetchAndCache(key, url, options = {}) {
+        if (this.pendingRequests.has(key)) {
+            return this.pendingRequests.get(key);
+        }
+
+        const request = (async () => {
+            const response = await this.fetchWithTimeout(url);
+            if (!response.ok) {
+                throw new Error(`${url} responded with ${response.status}`);
+            }
+
+            const data = options.responseType === 'text' ? await response.text() : await response.json();
+            await this.writeCacheEntry({ key, url, data, storedAt: Date.now() });
+            return data;
+        })().finally(() => this.pendingRequests.delete(key));
+
+        this.pendingRequests.set(key, request);
+        return request;
+    }
+
+    /**
+     * Refresh an expired cache entry in the background
+     * @param {string} key - Cache key
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Cache options passed to fetchCached()
+     */
+    revalidateCacheEntry(key, url, options) {
+        if (this.pendingRequests.has(key)) return;
+
+        this.fetchAndCache(key, url, options)
+            .then(() => this.handleCacheRevalidated(options))
+            .catch(error => console.warn(`Revalidating ${key} failed:`, error));
+    }
+
+    /**
+     * Re-render from the cache once background revalidation brings in newer data
+     * @param {Object} options - Cache options of the revalidated entry
+     */
+    handleCacheRevalidated(options) {
+        if (['geocode', 'capDocument'].includes(options.type) || !this.currentLocation) return;
+
+        const current = { ...options, lat: this.currentLocation.lat, lon: this.currentLocation.lon };
+        if (this.getCacheKey(current) !== this.getCacheKey(options)) return;
+
+        // Several endpoints usually revalidate together; reload once they have settled
+        clearTimeout(this.revalidationTimer);
+        this.revalidationTimer = setTimeout(() => {
+            if (!this.isLoading) {
+                this.loadWeatherData({ quiet: true });
+            }
+        }, CONFIG.APP.DEBOUNCE_DELAY);
+    }
+
+    /**
+     * Read a cache entry from memory, falling back to IndexedDB
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry as { key, url, data, storedAt }
+     */
+    async readCacheEntry(key) {
+        if (this.responseCache.has(key)) {
+            return this.responseCache.get(key);
+        }
+
+        if (!this.db) return null;
+
+        try {
+            const transaction = this.db.transaction('responses', 'readonly');
+            const entry = await this.idbRequest(transaction.objectStore('responses').get(key));
+            if (entry) {
+                this.responseCache.set(key, entry);
+            }
+            return entry || null;
+        } catch (error) {
+            console.warn('Error reading response cache:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a cache entry in memory and IndexedDB
+     * @param {Object} entry - Entry as { key, url, data, storedAt }
+     */
+    async writeCacheEntry(entry) {
+        this.responseCache.set(entry.key, entry);
+
+        if (!this.db) return;
+
+        try {
+            const transaction = this.db.transaction('responses', 'readwrite');
+            transaction.objectStore('responses').put(entry);
+            await this.idbTransactionDone(transaction);
+        } catch (error) {
+            console.warn('Error writing response cache:', error);
+        }
+    }
+
+    /**
+     * Delete cached responses too old to be served even as stale data
+     */
+    async pruneResponseCache() {
+        const cutoff = Date.now() - CONFIG.APP.CACHE_STALE_WINDOW;
+        const transaction = this.db.transaction('responses', 'readwrite');
+        const index = transaction.objectStore('responses').index('storedAt');
+        const request = index.openCursor(IDBKeyRange.upperBound(cutoff));
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+
+        await this.idbTransactionDone(transaction);
+    }
+
+    /**
+     * Load the alert store into memory, dropping alerts older than the history retention
+     */
+    async loadAlertRecords() {
+        const cutoff = Date.now() - CONFIG.APP.ALERT_HISTORY_RETENTION;
+        const transaction = this.db.transaction('alerts', 'readwrite');
+        const store = transaction.objectStore('alerts');
+        const request = store.openCursor();
+
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            if (cursor.value.lastSeen < cutoff) {
+                cursor.delete();
+            } else {
+                this.alertRecords.set(cursor.value.id, cursor.value);
+            }
+            cursor.continue();
+        };
+
+        await this.idbTransactionDone(transaction);
+    }
+
+    /**
+     * Store alert records in memory and IndexedDB
+     * @param {Array} records - Alert records
+     */
+    async writeAlertRecords(records) {
+        records.forEach(record => this.alertRecords.set(record.id, record));
+        if (!this.db || records.length === 0) return;
+
+        try {
+            const transaction = this.db.transaction('alerts', 'readwrite');
+            const store = transaction.objectStore('alerts');
+            records.forEach(record => store.put(record));
+            await this.idbTransactionDone(transaction);
+        } catch (error) {
+            console.warn('Error saving alert history:', error);
+        }
+    }
+
     /**
      * Save observation to IndexedDB
      * @param {Object} observation - Observation data
      */
     async saveToIndexedDB(observation) {
-        // IndexedDB implementation would go here
-        // For now, fall back to localStorage
-        return this.saveObservation(observation);
+        const transaction = this.db.transaction('observations', 'readwrite');
+        transaction.objectStore('observations').put(observation);
+        await this.idbTransactionDone(transaction);
     }
 }
 
@@ -1905,6 +5021,7 @@ window.addEventListener('online', () => {
 window.addEventListener('offline', () => {
     if (window.weatherApp) {
         window.weatherApp.showToast('Connection lost - using cached data', 'info');
+        window.weatherApp.updateStalenessBadge(true);
     }
 });
 
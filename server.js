@@ -0,0 +1,127 @@
+/**
+ * IndraCast - Local development server
+ * Serves the static app and runs the API proxy handlers in api/ under /api.
+ *
+ * Usage: node server.js   (PORT, provider keys and *_BASE_URL overrides come from the environment or .env)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { findRoute } = require('./api/_lib/routes');
+
+const ROOT = __dirname;
+const PORT = parseInt(process.env.PORT, 10) || 8000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Load KEY=value pairs from .env without overriding the real environment
+ */
+function loadEnvFile() {
+    const envPath = path.join(ROOT, '.env');
+    if (!fs.existsSync(envPath)) return;
+
+    fs.readFileSync(envPath, 'utf8').split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*([A-Z0-9_]+)\s*=\s*(.*?)\s*$/i);
+        if (match && process.env[match[1]] === undefined) {
+            process.env[match[1]] = match[2].replace(/^(['"])(.*)\1$/, '$2');
+        }
+    });
+}
+
+/**
+ * Resolve a path inside a directory, refusing anything that escapes it
+ * @param {string} base - Base directory
+ * @param {string} relative - Requested path
+ * @returns {string|null} Absolute path, or null if outside base
+ */
+function resolveInside(base, relative) {
+    const resolved = path.resolve(base, '.' + path.posix.normalize('/' + relative));
+    return resolved.startsWith(base + path.sep) || resolved === base ? resolved : null;
+}
+
+/**
+ * Serve a static file from the project root
+ * @param {string} pathname - Request path
+ * @param {http.ServerResponse} res - Response
+ */
+function serveStatic(pathname, res) {
+    let file = resolveInside(ROOT, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+
+    // Keep server code, dotfiles and dependencies private
+    const relative = file ? path.relative(ROOT, file) : '';
+    if (!file || /(^|[\\/])\./.test(relative) || /^(api|netlify|node_modules)([\\/]|$)/.test(relative) || relative === 'server.js') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        file = path.join(file, 'index.html');
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(content);
+    });
+}
+
+/**
+ * Create the development server
+ * @returns {http.Server} Server instance
+ */
+function createServer() {
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname.startsWith('/api/')) {
+            const handler = findRoute(pathname);
+            if (!handler) {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: 'Unknown API route' }));
+                return;
+            }
+
+            try {
+                await handler(req, res);
+            } catch (error) {
+                console.error(`Error in ${pathname}:`, error);
+                if (!res.headersSent) {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                }
+                res.end(JSON.stringify({ error: 'Internal error' }));
+            }
+            return;
+        }
+
+        serveStatic(pathname, res);
+    });
+}
+
+if (require.main === module) {
+    loadEnvFile();
+    createServer().listen(PORT, () => {
+        console.log(`IndraCast running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,94 @@
+/**
+ * IndraCast - Service worker
+ * Precaches the app shell so the dashboard opens offline and shows alert notifications so they
+ * arrive from a backgrounded tab. API responses are not handled here; the app keeps its own
+ * IndexedDB response cache and per-location weather snapshots.
+ */
+
+// Bump whenever PRECACHE_URLS changes; activate deletes every other version
+const CACHE_NAME = 'indracast-shell-v2';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'config.js',
+    'units.js',
+    'aqi.js',
+    'meteo.js',
+    'conditions.js',
+    'pressure.js',
+    'wind.js',
+    'astronomy.js',
+    'geometry.js',
+    'cap.js',
+    'rules.js',
+    'health.js',
+    'providers.js',
+    'script.js',
+    'images/favicon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Focus an open dashboard (or open one) on the alert whose notification was clicked
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const { alertId, url } = event.notification.data || {};
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const client = windows.find(candidate => new URL(candidate.url).origin === self.location.origin);
+
+        if (client) {
+            await client.focus();
+            client.postMessage({ type: 'focus-alert', alertId });
+            return;
+        }
+
+        await self.clients.openWindow(url || './');
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+        return;
+    }
+
+    // Network first so deployments show up straight away; the cache only answers offline
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(async () => {
+                const cached = await caches.match(request, { ignoreSearch: true });
+                if (cached) return cached;
+                if (request.mode === 'navigate') return caches.match('index.html');
+                return Response.error();
+            })
+    );
+});
@@ -0,0 +1,174 @@
+/**
+ * Air quality index tests
+ * Concentrations are given to AirQuality in µg/m³, so the table values below are converted back
+ * from ppb/ppm with the same molar masses the module uses.
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config');
+const AirQuality = require('../aqi');
+
+/**
+ * Convert a gas concentration in ppb to µg/m³
+ * @param {string} pollutant - Pollutant key
+ * @param {number} ppb - Concentration in ppb
+ * @returns {number} Concentration in µg/m³
+ */
+function fromPpb(pollutant, ppb) {
+    return ppb * AirQuality.POLLUTANTS[pollutant].molarMass / AirQuality.MOLAR_VOLUME;
+}
+
+/**
+ * Get the US AQI for a single pollutant
+ * @param {string} pollutant - Pollutant key
+ * @param {number} value - Concentration in µg/m³
+ * @returns {number} Index value
+ */
+function usIndex(pollutant, value) {
+    return AirQuality.calculate({ [pollutant]: value }, 'us').aqi;
+}
+
+test('US PM2.5 uses the 2024 breakpoints and truncates to one decimal', () => {
+    assert.equal(usIndex('pm2_5', 0), 0);
+    assert.equal(usIndex('pm2_5', 9.0), 50);
+    assert.equal(usIndex('pm2_5', 9.09), 50);
+    assert.equal(usIndex('pm2_5', 9.1), 51);
+    assert.equal(usIndex('pm2_5', 35.4), 100);
+    assert.equal(usIndex('pm2_5', 35.5), 101);
+    assert.equal(usIndex('pm2_5', 325.4), 500);
+    assert.equal(usIndex('pm2_5', 900), 500);
+});
+
+test('US CO is looked up in ppm', () => {
+    assert.equal(usIndex('co', fromPpb('co', 4400)), 50);
+    assert.equal(usIndex('co', fromPpb('co', 4500)), 51);
+});
+
+test('US ozone uses the 8-hour table below 125 ppb', () => {
+    assert.equal(usIndex('o3', fromPpb('o3', 54)), 50);
+    assert.equal(usIndex('o3', fromPpb('o3', 55)), 51);
+    assert.equal(usIndex('o3', fromPpb('o3', 70)), 100);
+    assert.equal(usIndex('o3', fromPpb('o3', 71)), 101);
+    assert.equal(usIndex('o3', fromPpb('o3', 124)), 220);
+});
+
+test('US ozone takes the higher of the 8-hour and 1-hour sub-indices from 125 ppb', () => {
+    // 8-hour gives 221 and 1-hour 101 at 125 ppb
+    assert.equal(usIndex('o3', fromPpb('o3', 125)), 221);
+    assert.equal(usIndex('o3', fromPpb('o3', 200)), 300);
+    // Past the 8-hour table it stays at its top index until the 1-hour table goes higher
+    assert.equal(usIndex('o3', fromPpb('o3', 204)), 300);
+    assert.equal(usIndex('o3', fromPpb('o3', 404)), 300);
+    assert.equal(usIndex('o3', fromPpb('o3', 405)), 301);
+    assert.equal(usIndex('o3', fromPpb('o3', 504)), 400);
+    assert.equal(usIndex('o3', fromPpb('o3', 505)), 401);
+    assert.equal(usIndex('o3', fromPpb('o3', 604)), 500);
+    assert.equal(usIndex('o3', fromPpb('o3', 800)), 500);
+});
+
+test('reports the highest sub-index as the AQI and its pollutant as dominant', () => {
+    const result = AirQuality.calculate({ pm2_5: 12, pm10: 30, o3: fromPpb('o3', 80) }, 'us');
+
+    assert.equal(result.dominant, 'o3');
+    assert.equal(result.aqi, result.subIndices.o3);
+    assert.equal(result.level.label, CONFIG.AQI_LEVELS.us.find(level => result.aqi <= level.max).label);
+    assert.deepEqual(Object.keys(result.subIndices), ['pm2_5', 'pm10', 'o3']);
+});
+
+test('European EAQI bands include their upper limit', () => {
+    assert.equal(AirQuality.calculate({ pm2_5: 10 }, 'eu').aqi, 1);
+    assert.equal(AirQuality.calculate({ pm2_5: 10.01 }, 'eu').aqi, 2);
+    assert.equal(AirQuality.calculate({ pm2_5: 75.01 }, 'eu').aqi, 6);
+});
+
+test('India NAQI needs three pollutants including a particulate', () => {
+    assert.equal(AirQuality.calculate({ pm2_5: 40, no2: 20 }, 'in'), null);
+    assert.equal(AirQuality.calculate({ o3: 40, no2: 20, so2: 20 }, 'in'), null);
+    assert.equal(AirQuality.calculate({ pm2_5: 30, no2: 20, so2: 20 }, 'in').aqi, 50);
+});
+
+test('skips missing or invalid concentrations', () => {
+    assert.equal(AirQuality.calculate({}, 'us'), null);
+    assert.equal(AirQuality.calculate({ pm2_5: -1, pm10: NaN }, 'us'), null);
+    assert.deepEqual(Object.keys(AirQuality.calculate({ pm2_5: 5, co: null }, 'us').subIndices), ['pm2_5']);
+});
+
+test('merges hourly forecasts by timestamp, averaging each pollutant over the providers that report it', () => {
+    const hour = 3600000;
+    const merged = AirQuality.mergeHourly([
+        [{ time: 0, pollutants: { pm2_5: 10, o3: 60 } }, { time: hour, pollutants: { pm2_5: 20, o3: 80 } }],
+        [{ time: hour, pollutants: { pm2_5: 30, o3: null } }, { time: 2 * hour, pollutants: { pm2_5: 4 } }]
+    ]);
+
+    assert.deepEqual(merged.map(point => point.time), [0, hour, 2 * hour]);
+    assert.equal(merged[0].pollutants.pm2_5, 10);
+    assert.equal(merged[1].pollutants.pm2_5, 25);
+    assert.equal(merged[1].pollutants.o3, 80);
+    assert.equal(merged[2].pollutants.pm2_5, 4);
+    assert.equal(merged[2].pollutants.no2, null);
+});
+
+describe('cleanest air window', () => {
+    const hour = 3600000;
+    const start = Date.UTC(2026, 9, 19, 0);
+
+    /**
+     * Build 30 forecast hours from midnight UTC with the given indices for some hours
+     * @param {Object} overrides - Index by UTC hour
+     * @param {Array<number>} [skip] - UTC hours to leave out
+     * @returns {Array} Hours as { time, result }
+     */
+    function forecast(overrides, skip = []) {
+        return Array.from({ length: 30 }, (_, index) => index)
+            .filter(index => !skip.includes(index))
+            .map(index => ({ time: start + index * hour, result: { aqi: overrides[index] ?? 50 } }));
+    }
+
+    const { HOURS, START, END } = CONFIG.APP.CLEAN_AIR_WINDOW;
+
+    test('uses the configured window', () => {
+        assert.deepEqual({ HOURS, START, END }, { HOURS: 3, START: 6, END: 22 });
+    });
+
+    test('picks the lowest average run inside local outdoor hours', () => {
+        const hours = forecast({ 1: 5, 2: 5, 3: 5, 9: 10, 10: 10, 11: 10 });
+        const window = AirQuality.findCleanestWindow(hours, 'us', 0);
+
+        assert.equal(window.start, start + 9 * hour);
+        assert.equal(window.end, start + 12 * hour);
+        assert.equal(window.aqi, 10);
+        assert.equal(window.level.label, 'Good');
+    });
+
+    test('applies the location UTC offset to the outdoor hours', () => {
+        // At UTC-6 hours 01:00-03:59 UTC are 19:00-21:59 local, inside the window
+        const hours = forecast({ 1: 5, 2: 5, 3: 5, 9: 10, 10: 10, 11: 10 });
+        const window = AirQuality.findCleanestWindow(hours, 'us', -6 * 3600);
+
+        assert.equal(window.start, start + hour);
+        assert.equal(window.end, start + 4 * hour);
+    });
+
+    test('does not let a run end past the local end hour', () => {
+        // At UTC-6 the clean hours 03:00-05:59 UTC are 21:00-23:59 local, so only 21:00 can be used
+        const window = AirQuality.findCleanestWindow(forecast({ 3: 0, 4: 0, 5: 0 }), 'us', -6 * 3600);
+
+        assert.equal(window.start, start + hour);
+        assert.equal(window.aqi, 33);
+    });
+
+    test('skips runs with missing hours and runs starting a day out', () => {
+        const hours = forecast({ 9: 10, 10: 10, 12: 20, 13: 20, 14: 20, 25: 0, 26: 0, 27: 0 }, [10]);
+        const window = AirQuality.findCleanestWindow(hours, 'us', 6 * 3600);
+
+        assert.equal(window.start, start + 12 * hour);
+        assert.equal(window.aqi, 20);
+    });
+
+    test('returns null when no full window fits', () => {
+        assert.equal(AirQuality.findCleanestWindow([], 'us', 0), null);
+        assert.equal(AirQuality.findCleanestWindow(forecast({}).slice(0, 2), 'us', 0), null);
+    });
+});
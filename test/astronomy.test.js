@@ -0,0 +1,84 @@
+/**
+ * Sun and moon calculation tests
+ * Reference times are from published almanac tables; the formulas are accurate to about a
+ * minute for the sun, so a few minutes of tolerance is allowed.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Astronomy = require('../astronomy');
+
+const MINUTE = 60000;
+const LONDON = { lat: 51.5074, lon: -0.1278 };
+const TROMSO = { lat: 69.65, lon: 18.96 };
+
+/**
+ * Assert that a timestamp is within a few minutes of a reference time
+ * @param {number} actual - Computed timestamp
+ * @param {string} expected - Reference time as an ISO string
+ * @param {number} [minutes] - Allowed difference in minutes
+ */
+function assertNearTime(actual, expected, minutes = 3) {
+    const difference = Math.abs(actual - Date.parse(expected)) / MINUTE;
+    assert.ok(difference <= minutes, `expected ${expected}, got ${new Date(actual).toISOString()}`);
+}
+
+test('sunrise, sunset and solar noon in London at the June solstice', () => {
+    const times = Astronomy.getSunTimes(Date.UTC(2024, 5, 21, 12), LONDON.lat, LONDON.lon);
+
+    assertNearTime(times.sunrise, '2024-06-21T03:43:00Z');
+    assertNearTime(times.sunset, '2024-06-21T20:21:00Z');
+    assertNearTime(times.solarNoon, '2024-06-21T12:02:00Z');
+    assert.equal(times.polar, null);
+});
+
+test('twilight, blue and golden hours nest around sunrise and sunset', () => {
+    const times = Astronomy.getSunTimes(Date.UTC(2024, 2, 20, 12), LONDON.lat, LONDON.lon);
+
+    assert.ok(times.civilTwilight.rise < times.blueHour.rise);
+    assert.ok(times.blueHour.rise < times.sunrise);
+    assert.ok(times.sunrise < times.goldenHour.rise);
+    assert.ok(times.goldenHour.set < times.sunset);
+    assert.ok(times.sunset < times.blueHour.set);
+    assert.ok(times.blueHour.set < times.civilTwilight.set);
+});
+
+test('reports polar day and polar night instead of sunrise and sunset', () => {
+    const summer = Astronomy.getSunTimes(Date.UTC(2024, 5, 21, 12), TROMSO.lat, TROMSO.lon);
+    const winter = Astronomy.getSunTimes(Date.UTC(2024, 11, 21, 12), TROMSO.lat, TROMSO.lon);
+
+    assert.equal(summer.polar, 'day');
+    assert.equal(summer.sunrise, null);
+    assert.equal(winter.polar, 'night');
+    assert.equal(winter.sunset, null);
+    // The sun still gets within 6° of the horizon at midday
+    assert.ok(winter.civilTwilight.rise < winter.civilTwilight.set);
+});
+
+test('moon phase at the January 2024 new moon, first quarter and full moon', () => {
+    const newMoon = Astronomy.getMoonIllumination(Date.UTC(2024, 0, 11, 11, 57));
+    const firstQuarter = Astronomy.getMoonIllumination(Date.UTC(2024, 0, 18, 3, 53));
+    const fullMoon = Astronomy.getMoonIllumination(Date.UTC(2024, 0, 25, 17, 54));
+
+    assert.equal(newMoon.name, 'New Moon');
+    assert.ok(newMoon.fraction < 0.01);
+    assert.equal(firstQuarter.name, 'First Quarter');
+    assert.ok(Math.abs(firstQuarter.fraction - 0.5) < 0.02);
+    assert.equal(fullMoon.name, 'Full Moon');
+    assert.ok(fullMoon.fraction > 0.99);
+});
+
+test('moonrise and moonset are horizon crossings in the right direction', () => {
+    const start = Date.UTC(2024, 0, 25);
+    const { rise, set } = Astronomy.getMoonTimes(start, LONDON.lat, LONDON.lon);
+    const altitude = time => Astronomy.getMoonAltitude(time, LONDON.lat, LONDON.lon);
+
+    for (const time of [rise, set]) {
+        assert.ok(time >= start && time < start + 24 * 60 * MINUTE);
+    }
+    assert.ok(altitude(rise - 30 * MINUTE) < altitude(rise + 30 * MINUTE));
+    assert.ok(altitude(set - 30 * MINUTE) > altitude(set + 30 * MINUTE));
+    assert.ok(Math.abs(altitude(rise)) < 0.01);
+    assert.ok(Math.abs(altitude(set)) < 0.01);
+});
@@ -0,0 +1,73 @@
+/**
+ * CAP alert helper tests
+ * Feed and document parsing need the browser's DOMParser, so these cover the helpers that
+ * turn parsed CAP fields into alert features and decide which alerts and documents to use.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const CapAlerts = require('../cap');
+
+test('converts CAP "lat,lon" polygons to GeoJSON [lon, lat] rings', () => {
+    assert.deepEqual(
+        CapAlerts.parsePolygon(' 45.1,-75.2 45.3,-75.2 45.3,-75.0 45.1,-75.2 '),
+        [[-75.2, 45.1], [-75.2, 45.3], [-75.0, 45.3], [-75.2, 45.1]]
+    );
+    assert.equal(CapAlerts.parsePolygon('45.1,-75.2 45.3,-75.2 45.1,-75.2'), null);
+    assert.equal(CapAlerts.parsePolygon('45.1,-75.2 bad 45.3,x 45.3,-75.0'), null);
+});
+
+test('builds NOAA-shaped features with a Polygon or MultiPolygon', () => {
+    const square = '0,0 0,1 1,1 0,0';
+    const single = CapAlerts.createFeature({ id: 'a', event: 'Wind', polygons: [square] });
+    const multiple = CapAlerts.createFeature({ id: 'b', event: 'Rain', polygons: [square, square], onset: '2026-10-19T10:00:00Z' });
+    const noArea = CapAlerts.createFeature({ id: 'c', event: 'Heat', effective: '2026-10-19T08:00:00Z', geocode: { EMMA_ID: ['FR075'] } });
+
+    assert.equal(single.geometry.type, 'Polygon');
+    assert.equal(single.properties.headline, 'Wind');
+    assert.deepEqual(single.properties.references, []);
+    assert.equal('polygons' in single.properties, false);
+
+    assert.equal(multiple.geometry.type, 'MultiPolygon');
+    assert.equal(multiple.geometry.coordinates.length, 2);
+    assert.equal(multiple.properties.onset, '2026-10-19T10:00:00Z');
+
+    assert.equal(noArea.geometry, null);
+    assert.equal(noArea.properties.onset, '2026-10-19T08:00:00Z');
+    assert.deepEqual(noArea.properties.geocode, { EMMA_ID: ['FR075'] });
+});
+
+test('parses the references an update or cancellation replaces', () => {
+    assert.deepEqual(
+        CapAlerts.parseReferences('cap-pac@canada.ca,urn:oid:1,2026-10-19T10:00:00-00:00 cap-pac@canada.ca,urn:oid:2,2026-10-19T11:00:00-00:00'),
+        [
+            { sender: 'cap-pac@canada.ca', identifier: 'urn:oid:1', sent: '2026-10-19T10:00:00-00:00' },
+            { sender: 'cap-pac@canada.ca', identifier: 'urn:oid:2', sent: '2026-10-19T11:00:00-00:00' }
+        ]
+    );
+    assert.deepEqual(CapAlerts.parseReferences(null), []);
+    assert.deepEqual(CapAlerts.parseReferences('incomplete'), []);
+});
+
+test('only fetches linked documents from the source hosts', () => {
+    const hosts = ['pelmorex.com'];
+
+    assert.equal(CapAlerts.isAllowedDocument('https://pelmorex.com/alert.xml', hosts), true);
+    assert.equal(CapAlerts.isAllowedDocument('https://capcp.pelmorex.com/alert.xml', hosts), true);
+    assert.equal(CapAlerts.isAllowedDocument('https://notpelmorex.com/alert.xml', hosts), false);
+    assert.equal(CapAlerts.isAllowedDocument('https://pelmorex.com.example.org/alert.xml', hosts), false);
+    assert.equal(CapAlerts.isAllowedDocument('not a url', hosts), false);
+    assert.equal(CapAlerts.isAllowedDocument(null, hosts), false);
+});
+
+test('drops expired and cancelled alerts', () => {
+    const now = Date.UTC(2026, 9, 19, 12);
+    const alert = properties => ({ properties });
+
+    assert.equal(CapAlerts.isActive(alert({ expires: '2026-10-19T13:00:00Z' }), now), true);
+    assert.equal(CapAlerts.isActive(alert({ expires: null }), now), true);
+    assert.equal(CapAlerts.isActive(alert({ expires: '2026-10-19T11:00:00Z' }), now), false);
+    assert.equal(CapAlerts.isActive(alert({ expires: '2026-10-19T13:00:00Z', messageType: 'Cancel' }), now), false);
+    assert.equal(CapAlerts.isActive(alert({ messageType: 'Update' }), now), true);
+});
@@ -0,0 +1,50 @@
+/**
+ * Weather condition taxonomy tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config');
+const Conditions = require('../conditions');
+
+test('maps provider codes into the same conditions', () => {
+    assert.equal(Conditions.fromWmo(63), 'rain');
+    assert.equal(Conditions.fromWmo(5), 'haze');
+    assert.equal(Conditions.fromWmo(20), null);
+    assert.equal(Conditions.fromOpenWeatherMap(501), 'rain');
+    assert.equal(Conditions.fromWeatherbit(501), 'rain');
+});
+
+test('uses the night icon only where a condition has one', () => {
+    assert.equal(Conditions.getIcon('clear', false), CONFIG.WEATHER_CONDITIONS.clear.nightIcon);
+    assert.equal(Conditions.getIcon('clear'), CONFIG.WEATHER_CONDITIONS.clear.icon);
+    assert.equal(Conditions.getIcon('overcast', false), CONFIG.WEATHER_CONDITIONS.overcast.icon);
+    assert.equal(Conditions.getIcon('not-a-condition'), '⛅');
+});
+
+test('two disagreeing sources give the more severe condition', () => {
+    assert.equal(Conditions.vote(['clear', 'rain']), 'rain');
+    assert.equal(Conditions.vote(['rain', 'clear']), 'rain');
+});
+
+test('a lone severe outlier among three sources is outvoted', () => {
+    assert.equal(Conditions.vote(['clear', 'partly-cloudy', 'thunderstorm']), 'partly-cloudy');
+    assert.equal(Conditions.vote(['rain', 'rain-heavy', 'thunderstorm']), 'rain-heavy');
+});
+
+test('sources agreeing on a severe condition carry the vote', () => {
+    assert.equal(Conditions.vote(['clear', 'thunderstorm', 'thunderstorm']), 'thunderstorm');
+    assert.equal(Conditions.vote(['rain']), 'rain');
+});
+
+test('the quorum sets the share of sources needed', () => {
+    assert.equal(Conditions.vote(['clear', 'partly-cloudy', 'thunderstorm'], 1 / 3), 'thunderstorm');
+    assert.equal(Conditions.vote(['clear', 'partly-cloudy', 'thunderstorm'], 1), 'clear');
+});
+
+test('ignores unknown conditions and returns null without any', () => {
+    assert.equal(Conditions.vote([null, 'rain', 'not-a-condition']), 'rain');
+    assert.equal(Conditions.vote([null, undefined]), null);
+    assert.equal(Conditions.vote([]), null);
+});
@@ -0,0 +1,99 @@
+/**
+ * Alert area geometry tests
+ * geometry.js is a browser script that reads the global CONFIG, so it's loaded the same way here.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config');
+const Geometry = require('../geometry');
+
+const SQUARE = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]]] };
+
+test('notifies for alerts covering the location and polygons within the nearby distance', () => {
+    const polygonAlert = (relation, distance) => ({ geometry: SQUARE, match: { relation, distance, geometry: SQUARE } });
+    const zoneAlert = (relation, distance) => ({ geometry: null, match: { relation, distance, geometry: SQUARE } });
+
+    assert.equal(Geometry.isNotifiable(polygonAlert('inside', 0)), true);
+    assert.equal(Geometry.isNotifiable(zoneAlert('inside', 0)), true);
+    assert.equal(Geometry.isNotifiable({ geometry: null, match: { relation: 'inside', distance: 0, geometry: null } }), true);
+
+    assert.equal(Geometry.isNotifiable(polygonAlert('nearby', 20), 50), true);
+    assert.equal(Geometry.isNotifiable(polygonAlert('nearby', 50), 50), true);
+    assert.equal(Geometry.isNotifiable(polygonAlert('nearby', 50.1), 50), false);
+    assert.equal(Geometry.isNotifiable(polygonAlert('nearby', null), 50), false);
+
+    assert.equal(Geometry.isNotifiable(zoneAlert('nearby', 10), 50), false);
+    assert.equal(Geometry.isNotifiable({ geometry: SQUARE }), false);
+});
+
+test('contains a point inside the outer ring but not inside a hole', () => {
+    const withHole = {
+        type: 'Polygon',
+        coordinates: [SQUARE.coordinates[0], [[0.4, 0.4], [0.6, 0.4], [0.6, 0.6], [0.4, 0.6], [0.4, 0.4]]]
+    };
+
+    assert.equal(Geometry.contains(SQUARE, { lat: 0.5, lon: 0.5 }), true);
+    assert.equal(Geometry.contains(SQUARE, { lat: 1.5, lon: 0.5 }), false);
+    assert.equal(Geometry.contains(withHole, { lat: 0.2, lon: 0.2 }), true);
+    assert.equal(Geometry.contains(withHole, { lat: 0.5, lon: 0.5 }), false);
+    assert.equal(Geometry.contains(null, { lat: 0.5, lon: 0.5 }), false);
+});
+
+test('measures the distance to the nearest edge of a polygon', () => {
+    const east = Geometry.distanceTo(SQUARE, { lat: 0.5, lon: 1.5 });
+    const north = Geometry.distanceTo({ type: 'MultiPolygon', coordinates: [SQUARE.coordinates] }, { lat: 1.5, lon: 0.5 });
+
+    assert.equal(Geometry.distanceTo(SQUARE, { lat: 0.5, lon: 0.5 }), 0);
+    assert.ok(Math.abs(east - 55.66) < 0.1, `east ${east}`);
+    assert.ok(Math.abs(north - 55.29) < 0.1, `north ${north}`);
+    assert.equal(Geometry.distanceTo(null, { lat: 0, lon: 0 }), Infinity);
+});
+
+test('matches polygon alerts as inside, nearby or unrelated', () => {
+    const alert = { geometry: SQUARE, properties: {} };
+
+    assert.deepEqual(Geometry.matchAlert(alert, { lat: 0.5, lon: 0.5 }), { relation: 'inside', distance: 0, geometry: SQUARE });
+
+    const nearby = Geometry.matchAlert(alert, { lat: 0.5, lon: 1.2 }, { nearbyDistance: 50 });
+    assert.equal(nearby.relation, 'nearby');
+    assert.ok(nearby.distance > 22 && nearby.distance < 23);
+
+    assert.equal(Geometry.matchAlert(alert, { lat: 0.5, lon: 1.5 }, { nearbyDistance: 50 }), null);
+    assert.equal(Geometry.matchAlert(alert, { lat: 5, lon: 5 }, { matched: true }).relation, 'inside');
+});
+
+test('matches zone alerts on the location zones, then on fetched zone outlines', () => {
+    const alert = {
+        geometry: null,
+        properties: { affectedZones: ['https://api.weather.gov/zones/county/NYC061'], geocode: { UGC: ['NYZ072'] } }
+    };
+    const location = { lat: 0.5, lon: 1.2 };
+
+    assert.equal(Geometry.matchAlert(alert, location, { zones: ['NYZ072'] }).relation, 'inside');
+
+    const measured = Geometry.matchAlert(alert, location, { zones: ['NJC017'], zoneGeometries: { NYC061: SQUARE } });
+    assert.equal(measured.relation, 'nearby');
+    assert.equal(measured.geometry.type, 'MultiPolygon');
+
+    // No outline to measure against, so it can't be placed
+    assert.equal(Geometry.matchAlert(alert, location, { zones: ['NJC017'] }), null);
+});
+
+test('matches alerts without an area on the regions they name', () => {
+    const location = { lat: 48.85, lon: 2.35, name: 'Paris, Île-de-France', regions: ['Île-de-France', 'Paris'] };
+    const regions = Geometry.getRegionKeys(location);
+    const feedAlert = (areaDesc, geocode) => ({ geometry: null, properties: { areaDesc, geocode } });
+
+    assert.deepEqual(regions, ['ile de france', 'paris']);
+    assert.deepEqual(Geometry.getRegionKeys({ name: 'Lyon, Auvergne-Rhône-Alpes' }), ['lyon', 'auvergne rhone alpes']);
+
+    assert.deepEqual(
+        Geometry.matchAlert(feedAlert('Hauts-de-Seine; PARIS', { EMMA_ID: ['FR075'] }), location, { regions }),
+        { relation: 'inside', distance: 0, geometry: null }
+    );
+    assert.equal(Geometry.matchAlert(feedAlert('Bas-Rhin', { EMMA_ID: ['FR067'] }), location, { regions }), null);
+    assert.equal(Geometry.matchAlert(feedAlert(null, {}), location, { regions }), null);
+    assert.equal(Geometry.matchAlert(feedAlert('Paris', {}), location), null);
+});
@@ -0,0 +1,75 @@
+/**
+ * Comfort metric tests
+ * Expected values come from the published NWS heat index chart, the Environment Canada wind
+ * chill and humidex tables, and standard psychrometric tables.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Meteo = require('../meteo');
+
+/**
+ * Assert that a value is within a tolerance of the expected one
+ * @param {number} actual - Computed value
+ * @param {number} expected - Reference value
+ * @param {number} tolerance - Largest allowed difference
+ */
+function assertNear(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+const toCelsius = fahrenheit => (fahrenheit - 32) * 5 / 9;
+const toFahrenheit = celsius => celsius * 9 / 5 + 32;
+
+test('dew point', () => {
+    assertNear(Meteo.dewPoint(20, 50), 9.3, 0.1);
+    assertNear(Meteo.dewPoint(30, 100), 30, 0.01);
+    assert.equal(Meteo.dewPoint(20, 0), null);
+    assert.equal(Meteo.dewPoint(NaN, 50), null);
+});
+
+test('heat index follows the NWS chart, including its humidity adjustments', () => {
+    assertNear(toFahrenheit(Meteo.heatIndex(toCelsius(90), 70)), 106, 1);
+    assertNear(toFahrenheit(Meteo.heatIndex(toCelsius(85), 90)), 102, 1);
+    // Low humidity adjustment
+    assertNear(toFahrenheit(Meteo.heatIndex(toCelsius(100), 10)), 94, 1);
+    // Steadman's formula below 80 °F on average
+    assertNear(toFahrenheit(Meteo.heatIndex(toCelsius(80), 40)), 79.6, 0.1);
+    assert.equal(Meteo.heatIndex(toCelsius(79), 90), null);
+});
+
+test('wind chill follows the Environment Canada table', () => {
+    assertNear(Meteo.windChill(-10, 20), -18, 0.5);
+    assertNear(Meteo.windChill(-30, 50), -49, 0.5);
+    assert.equal(Meteo.windChill(11, 30), null);
+    assert.equal(Meteo.windChill(-10, 4.8), null);
+});
+
+test('humidex follows the Environment Canada table and is only reported from 25', () => {
+    // 30 °C with a 15 °C dew point
+    assertNear(Meteo.humidex(30, 40.2), 34, 0.5);
+    assert.equal(Meteo.humidex(19, 90), null);
+    assert.equal(Meteo.humidex(21, 20), null);
+});
+
+test('WBGT estimate', () => {
+    assertNear(Meteo.wbgt(30, 50), 29.3, 0.1);
+    assert.equal(Meteo.wbgt(30, null), null);
+});
+
+test('feels like picks heat index, wind chill or the air temperature', () => {
+    assert.equal(Meteo.feelsLike(toCelsius(90), 70, 10).method, 'heatIndex');
+    assert.equal(Meteo.feelsLike(-10, 70, 20).method, 'windChill');
+    assert.deepEqual(Meteo.feelsLike(15, 70, 20), { value: 15, method: 'air' });
+    assert.equal(Meteo.feelsLike(null, 70, 20), null);
+});
+
+test('calculate rounds every metric to 0.1', () => {
+    const metrics = Meteo.calculate(-10, 80, 20);
+
+    assert.equal(metrics.windChill, -17.9);
+    assert.equal(metrics.heatIndex, null);
+    assert.equal(metrics.humidex, null);
+    assert.deepEqual(metrics.feelsLike, { value: -17.9, method: 'windChill' });
+});
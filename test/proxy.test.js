@@ -0,0 +1,187 @@
+/**
+ * API proxy tests
+ * Requests go through server.js to the real handlers in api/, which are pointed at a local
+ * stub upstream with the *_BASE_URL overrides.
+ */
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const { createServer } = require('../server');
+const { resetProxyState } = require('../api/_lib/proxy');
+
+const upstreamRequests = [];
+let upstream;
+let server;
+let baseUrl;
+
+/**
+ * Start a server on a free port
+ * @param {http.Server} instance - Server to start
+ * @returns {Promise<string>} Base URL
+ */
+function listen(instance) {
+    return new Promise(resolve => {
+        instance.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${instance.address().port}`));
+    });
+}
+
+/**
+ * Request a proxy path
+ * @param {string} path - Path and query, e.g. /api/geocode?q=Paris
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Object>} { status, headers, body } with body parsed as JSON when possible
+ */
+async function request(path, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    const text = await response.text();
+    let body = text;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        // Non-JSON bodies such as XML feeds are compared as text
+    }
+    return { status: response.status, headers: response.headers, body };
+}
+
+before(async () => {
+    upstream = http.createServer((req, res) => {
+        upstreamRequests.push(new URL(req.url, 'http://upstream'));
+
+        if (req.url.startsWith('/fail')) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ message: 'upstream broke' }));
+        } else if (req.url.includes('/feeds/')) {
+            res.writeHead(200, { 'Content-Type': 'application/atom+xml' });
+            res.end('<feed></feed>');
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ path: req.url }));
+        }
+    });
+    const upstreamUrl = await listen(upstream);
+
+    Object.assign(process.env, {
+        OPENWEATHERMAP_KEY: 'owm-test-key',
+        OPENWEATHERMAP_BASE_URL: upstreamUrl,
+        WEATHERBIT_BASE_URL: `${upstreamUrl}/fail`,
+        METEOALARM_BASE_URL: upstreamUrl,
+        RATE_LIMIT_MAX: '5'
+    });
+    delete process.env.WEATHERBIT_KEY;
+    delete process.env.TRUST_PROXY;
+    delete process.env.VERCEL;
+
+    server = createServer();
+    baseUrl = await listen(server);
+});
+
+after(() => {
+    server.close();
+    upstream.close();
+});
+
+beforeEach(() => {
+    resetProxyState();
+    upstreamRequests.length = 0;
+});
+
+test('forwards to the upstream with the key injected and caches the response', async () => {
+    const first = await request('/api/weather/current?provider=openweathermap&lat=51.5&lon=-0.12');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+
+    const [sent] = upstreamRequests;
+    assert.equal(sent.pathname, '/data/2.5/weather');
+    assert.equal(sent.searchParams.get('appid'), 'owm-test-key');
+    assert.equal(sent.searchParams.get('lat'), '51.5');
+    assert.equal(sent.searchParams.get('units'), 'metric');
+
+    const second = await request('/api/weather/current?provider=openweathermap&lat=51.5&lon=-0.12');
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(second.body, first.body);
+    assert.equal(upstreamRequests.length, 1);
+});
+
+test('rejects invalid requests before reaching the upstream', async () => {
+    assert.equal((await request('/api/weather/current?provider=openweathermap&lat=91&lon=0')).status, 400);
+    assert.equal((await request('/api/weather/current?provider=nope&lat=1&lon=2')).status, 400);
+    assert.equal((await request('/api/weather/forecast?provider=weatherbit&lat=1&lon=2')).status, 400);
+    assert.equal((await request('/api/unknown')).status, 404);
+    assert.equal(upstreamRequests.length, 0);
+});
+
+test('rejects methods other than GET', async () => {
+    const response = await fetch(`${baseUrl}/api/geocode?q=London`, { method: 'POST' });
+    assert.equal(response.status, 405);
+    assert.equal(response.headers.get('allow'), 'GET');
+});
+
+test('reports providers without a key as not configured', async () => {
+    const response = await request('/api/weather/current?provider=weatherbit&lat=1&lon=2');
+    assert.equal(response.status, 503);
+    assert.equal(upstreamRequests.length, 0);
+});
+
+test('passes upstream errors through without caching them', async () => {
+    process.env.WEATHERBIT_KEY = 'wb-test-key';
+    try {
+        const first = await request('/api/weather/current?provider=weatherbit&lat=1&lon=2');
+        assert.equal(first.status, 500);
+        assert.equal(first.headers.get('cache-control'), 'no-store');
+
+        await request('/api/weather/current?provider=weatherbit&lat=1&lon=2');
+        assert.equal(upstreamRequests.length, 2);
+    } finally {
+        delete process.env.WEATHERBIT_KEY;
+    }
+});
+
+test('proxies alert feeds with their own content type', async () => {
+    const response = await request('/api/alerts/cap?source=meteoalarm&region=france');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /atom\+xml/);
+    assert.equal(response.body, '<feed></feed>');
+    assert.match(upstreamRequests[0].pathname, /\/feeds\/.*france$/);
+});
+
+test('only accepts configured alert sources', async () => {
+    for (const source of ['toString', '__proto__', 'constructor', '']) {
+        const response = await request(`/api/alerts/cap?source=${source}`);
+        assert.equal(response.status, 400, `source=${source}`);
+    }
+});
+
+test('only follows CAP documents on allowed hosts', async () => {
+    const response = await request(`/api/alerts/cap?source=naads&document=${encodeURIComponent('https://example.com/alert.xml')}`);
+    assert.equal(response.status, 400);
+    assert.equal(upstreamRequests.length, 0);
+});
+
+test('rate-limits by client address whatever X-Forwarded-For says', async () => {
+    for (let i = 0; i < 5; i++) {
+        const response = await request('/api/geocode?q=Paris', { 'X-Forwarded-For': `203.0.113.${i}` });
+        assert.equal(response.status, 200);
+    }
+
+    const limited = await request('/api/geocode?q=Paris', { 'X-Forwarded-For': '203.0.113.99' });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
+
+test('uses the last X-Forwarded-For hop behind a trusted proxy', async () => {
+    process.env.TRUST_PROXY = '1';
+    try {
+        for (let i = 0; i < 5; i++) {
+            await request('/api/geocode?q=Paris', { 'X-Forwarded-For': `203.0.113.${i}, 198.51.100.1` });
+        }
+        const spoofed = await request('/api/geocode?q=Paris', { 'X-Forwarded-For': '203.0.113.99, 198.51.100.1' });
+        assert.equal(spoofed.status, 429);
+
+        const other = await request('/api/geocode?q=Paris', { 'X-Forwarded-For': '198.51.100.2' });
+        assert.equal(other.status, 200);
+    } finally {
+        delete process.env.TRUST_PROXY;
+    }
+});
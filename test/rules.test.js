@@ -0,0 +1,117 @@
+/**
+ * Watch rule tests
+ * rules.js is a browser script that reads the global CONFIG and Units, so both are set up here.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.CONFIG = require('../config');
+global.Units = require('../units');
+const WatchRules = require('../rules');
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+// 10:30 UTC
+const NOW = Date.UTC(2026, 9, 19, 10, 30);
+
+/**
+ * Build a rule with defaults for the fields a test doesn't care about
+ * @param {Object} fields - Rule fields to set
+ * @returns {Object} Watch rule
+ */
+function rule(fields) {
+    return { id: 'rule', name: 'Test rule', enabled: true, match: 'all', window: 'hours:3', locationId: null, ...fields };
+}
+
+/**
+ * Build hourly forecast points from the start of the current hour
+ * @param {Array<Object>} values - Metric values for each hour
+ * @returns {Array} Hourly points
+ */
+function hourly(values) {
+    const start = Math.floor(NOW / HOUR) * HOUR;
+    return values.map((point, index) => ({ time: new Date(start + index * HOUR).toISOString(), ...point }));
+}
+
+test('window ranges follow the location day', () => {
+    assert.deepEqual(WatchRules.getWindowRange('hours:3', NOW), { start: NOW, end: NOW + 3 * HOUR });
+
+    const midnight = Date.UTC(2026, 9, 19);
+    assert.deepEqual(WatchRules.getWindowRange('today', NOW, 0), { start: NOW, end: midnight + DAY });
+    assert.deepEqual(WatchRules.getWindowRange('tomorrow', NOW, 0), { start: midnight + DAY, end: midnight + 2 * DAY });
+
+    // At UTC+14 it is already 00:30 on the 20th, so tomorrow is the 21st local time
+    const ahead = WatchRules.getWindowRange('tomorrow', NOW, 14 * 3600);
+    assert.equal(ahead.start, Date.UTC(2026, 9, 21) - 14 * HOUR);
+
+    assert.throws(() => WatchRules.getWindowRange('fortnight', NOW), /Unknown rule window/);
+});
+
+test('fires when any hour in the window crosses the threshold and reports the peak', () => {
+    const data = { hourly: hourly([20, 70, 90, 50, 100].map(precipitation_prob => ({ precipitation_prob }))) };
+    const result = WatchRules.evaluate(rule({ conditions: [{ metric: 'precipitation_prob', operator: '>', value: 60 }] }), data, NOW);
+
+    assert.equal(result.matches.length, 1);
+    // The window runs 10:30-13:30, so the 14:00 hour is outside it
+    assert.equal(result.matches[0].value, 90);
+});
+
+test('counts the hour already under way', () => {
+    const data = { hourly: hourly([{ precipitation_prob: 80 }]) };
+    assert.ok(WatchRules.evaluate(rule({ conditions: [{ metric: 'precipitation_prob', operator: '>=', value: 80 }] }), data, NOW));
+});
+
+test('compares in the unit the condition was written in', () => {
+    const data = { hourly: hourly([{ wind_gust: 80 }]) };
+    const mph = condition => rule({ conditions: [{ metric: 'wind_gust', operator: '>', unit: 'mph', ...condition }] });
+
+    // 80 km/h is about 49.7 mph
+    assert.ok(WatchRules.evaluate(mph({ value: 45 }), data, NOW));
+    assert.equal(WatchRules.evaluate(mph({ value: 50 }), data, NOW), null);
+});
+
+test('combines conditions with AND or OR', () => {
+    const data = { hourly: hourly([{ temp: 31, humidity: 40 }, { temp: 25, humidity: 80 }]) };
+    const conditions = [
+        { metric: 'temp', operator: '>', value: 30, unit: 'celsius' },
+        { metric: 'humidity', operator: '>', value: 90 }
+    ];
+
+    assert.equal(WatchRules.evaluate(rule({ match: 'all', conditions }), data, NOW), null);
+    assert.equal(WatchRules.evaluate(rule({ match: 'any', conditions }), data, NOW).matches.length, 1);
+});
+
+test('reads daily metrics by local date and air quality only for now', () => {
+    const daily = [{ date: '2026-10-19', min_temp: 4 }, { date: '2026-10-20', min_temp: -2 }];
+    const frost = rule({ window: 'tomorrow', conditions: [{ metric: 'min_temp', operator: '<', value: 0, unit: 'celsius' }] });
+    assert.equal(WatchRules.evaluate(frost, { daily }, NOW).matches[0].value, -2);
+
+    const smog = rule({ conditions: [{ metric: 'aqi', operator: '>', value: 100 }] });
+    assert.ok(WatchRules.evaluate(smog, { aqi: 120 }, NOW));
+    assert.equal(WatchRules.evaluate({ ...smog, window: 'tomorrow' }, { aqi: 120 }, NOW), null);
+});
+
+test('disabled or empty rules never fire and location rules apply only there', () => {
+    const data = { hourly: hourly([{ precipitation_prob: 100 }]) };
+    const conditions = [{ metric: 'precipitation_prob', operator: '>', value: 0 }];
+
+    assert.equal(WatchRules.evaluate(rule({ enabled: false, conditions }), data, NOW), null);
+    assert.equal(WatchRules.evaluate(rule({ conditions: [] }), data, NOW), null);
+    assert.equal(WatchRules.appliesTo(rule({ locationId: null }), 'paris'), true);
+    assert.equal(WatchRules.appliesTo(rule({ locationId: 'paris' }), 'paris'), true);
+    assert.equal(WatchRules.appliesTo(rule({ locationId: 'paris' }), 'lyon'), false);
+});
+
+test('describes rules in their own units', () => {
+    const description = WatchRules.describe(rule({
+        match: 'any',
+        window: 'hours:3',
+        conditions: [
+            { metric: 'precipitation_prob', operator: '>', value: 60 },
+            { metric: 'wind_gust', operator: '>=', value: 30, unit: 'mph' }
+        ]
+    }));
+
+    assert.equal(description, 'Rain probability above 60% or Wind gusts at or above 30 mph in the next 3 hours');
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit conversion tests
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Units = require('../units');
+
+test('converts from the metric base units', () => {
+    assert.equal(Units.convert('temperature', 100, 'fahrenheit'), 212);
+    assert.equal(Units.convert('temperature', -40, 'fahrenheit'), -40);
+    assert.equal(Units.convert('temperature', 0, 'kelvin'), 273.15);
+    assert.equal(Units.convert('wind', 36, 'ms'), 10);
+    assert.ok(Math.abs(Units.convert('wind', 1.609344, 'mph') - 1) < 1e-12);
+    assert.ok(Math.abs(Units.convert('pressure', 1013.25, 'inHg') - 29.92) < 0.005);
+    assert.equal(Units.convert('precipitation', 25.4, 'in'), 1);
+    assert.equal(Units.convert('temperature', null, 'fahrenheit'), null);
+});
+
+test('falls back to the base unit for unknown units', () => {
+    assert.equal(Units.convert('wind', 20, 'furlongs'), 20);
+    assert.equal(Units.label('wind', 'furlongs'), 'km/h');
+});
+
+test('converts differences without the offset', () => {
+    assert.ok(Math.abs(Units.convertDelta('temperature', 2, 'fahrenheit') - 3.6) < 1e-9);
+    assert.equal(Units.convertDelta('temperature', 2, 'kelvin'), 2);
+    assert.equal(Units.convertDelta('temperature', undefined, 'kelvin'), null);
+});
+
+test('formats with the unit label and its default precision', () => {
+    assert.equal(Units.format('temperature', 21.4, 'celsius'), '21°C');
+    assert.equal(Units.format('temperature', 21.4, 'fahrenheit', { short: true }), '71°');
+    assert.equal(Units.format('temperature', 0, 'kelvin', { short: true }), '273 K');
+    assert.equal(Units.format('wind', 10, 'ms'), '2.8 m/s');
+    assert.equal(Units.format('pressure', 1013.25, 'inHg'), '29.92 inHg');
+    assert.equal(Units.format('distance', 10, 'miles', { decimals: 0 }), '6 mi');
+    assert.equal(Units.format('wind', null, 'mph'), '-- mph');
+});
+
+test('never shows negative zero', () => {
+    assert.equal(Units.format('temperature', -0.4, 'celsius'), '0°C');
+    assert.equal(Units.format('temperature', -0.04, 'celsius', { decimals: 1 }), '0.0°C');
+    assert.equal(Units.format('temperature', -0.6, 'celsius'), '-1°C');
+});
+
+test('maps wind speeds to Beaufort forces at the band edges', () => {
+    assert.equal(Units.toBeaufort(0), 0);
+    assert.equal(Units.toBeaufort(0.9), 0);
+    assert.equal(Units.toBeaufort(1), 1);
+    assert.equal(Units.toBeaufort(61.9), 7);
+    assert.equal(Units.toBeaufort(62), 8);
+    assert.equal(Units.toBeaufort(117.9), 11);
+    assert.equal(Units.toBeaufort(118), 12);
+    assert.equal(Units.format('wind', 62, 'beaufort'), '8 Bft');
+});
@@ -0,0 +1,130 @@
+/**
+ * IndraCast - Unit conversion
+ * Weather data is kept in metric base units (°C, km/h, hPa, km, mm) and only converted
+ * when rendered, so every display path goes through these helpers.
+ */
+
+const Units = {
+    // Base unit first in each group; convert() takes a value in the base unit
+    DEFINITIONS: {
+        temperature: {
+            celsius: { label: '°C', short: '°', decimals: 0, convert: c => c },
+            fahrenheit: { label: '°F', short: '°', decimals: 0, convert: c => c * 9 / 5 + 32 },
+            kelvin: { label: 'K', short: ' K', decimals: 0, convert: c => c + 273.15 }
+        },
+        wind: {
+            kmh: { label: 'km/h', decimals: 0, convert: kmh => kmh },
+            mph: { label: 'mph', decimals: 0, convert: kmh => kmh / 1.609344 },
+            ms: { label: 'm/s', decimals: 1, convert: kmh => kmh / 3.6 },
+            knots: { label: 'kn', decimals: 0, convert: kmh => kmh / 1.852 },
+            beaufort: { label: 'Bft', decimals: 0, convert: kmh => Units.toBeaufort(kmh) }
+        },
+        pressure: {
+            hPa: { label: 'hPa', decimals: 0, convert: hpa => hpa },
+            inHg: { label: 'inHg', decimals: 2, convert: hpa => hpa * 0.0295299831 },
+            mmHg: { label: 'mmHg', decimals: 0, convert: hpa => hpa * 0.750061683 },
+            kPa: { label: 'kPa', decimals: 1, convert: hpa => hpa / 10 }
+        },
+        distance: {
+            km: { label: 'km', decimals: 1, convert: km => km },
+            miles: { label: 'mi', decimals: 1, convert: km => km / 1.609344 }
+        },
+        precipitation: {
+            mm: { label: 'mm', decimals: 1, convert: mm => mm },
+            in: { label: 'in', decimals: 2, convert: mm => mm / 25.4 }
+        }
+    },
+
+    // Upper bounds in km/h for Beaufort forces 0-11; anything faster is force 12
+    BEAUFORT_LIMITS: [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118],
+
+    /**
+     * Look up a unit definition, falling back to the base unit of the kind
+     * @param {string} kind - 'temperature', 'wind', 'pressure', 'distance' or 'precipitation'
+     * @param {string} unit - Unit key, e.g. 'fahrenheit'
+     * @returns {Object} Unit definition
+     */
+    getDefinition(kind, unit) {
+        const units = this.DEFINITIONS[kind];
+        return units[unit] || Object.values(units)[0];
+    },
+
+    /**
+     * Convert a value from the base unit
+     * @param {string} kind - Quantity kind
+     * @param {number} value - Value in the base unit
+     * @param {string} unit - Target unit key
+     * @returns {number|null} Converted value, or null if the value is missing
+     */
+    convert(kind, value, unit) {
+        if (!Number.isFinite(value)) return null;
+        return this.getDefinition(kind, unit).convert(value);
+    },
+
+    /**
+     * Convert a difference (e.g. a spread) rather than an absolute value
+     * Offsets cancel out, so a 2 °C spread is 3.6 °F and 2 K.
+     * @param {string} kind - Quantity kind
+     * @param {number} delta - Difference in the base unit
+     * @param {string} unit - Target unit key
+     * @returns {number|null} Converted difference
+     */
+    convertDelta(kind, delta, unit) {
+        if (!Number.isFinite(delta)) return null;
+        const definition = this.getDefinition(kind, unit);
+        return definition.convert(delta) - definition.convert(0);
+    },
+
+    /**
+     * Format a value for display
+     * @param {string} kind - Quantity kind
+     * @param {number} value - Value in the base unit
+     * @param {string} unit - Target unit key
+     * @param {Object} [options] - { short: compact label (e.g. "21°"), decimals, delta: value is a difference }
+     * @returns {string} Formatted value such as "70°F" or "-- mph" when missing
+     */
+    format(kind, value, unit, { short = false, decimals, delta = false } = {}) {
+        const definition = this.getDefinition(kind, unit);
+        const converted = delta ? this.convertDelta(kind, value, unit) : this.convert(kind, value, unit);
+        const places = decimals ?? definition.decimals;
+        const label = short && definition.short ? definition.short : this.formatLabel(definition);
+        const number = converted === null ? '--' : converted.toFixed(places);
+
+        // Avoid "-0°" for values that round to zero
+        return `${/^-0(\.0+)?$/.test(number) ? number.slice(1) : number}${label}`;
+    },
+
+    /**
+     * Get the display label for a unit
+     * @param {string} kind - Quantity kind
+     * @param {string} unit - Unit key
+     * @returns {string} Label such as "mph"
+     */
+    label(kind, unit) {
+        return this.getDefinition(kind, unit).label;
+    },
+
+    /**
+     * Label as appended to a number: degrees attach directly, everything else after a space
+     * @param {Object} definition - Unit definition
+     * @returns {string} Label with spacing
+     */
+    formatLabel(definition) {
+        return definition.label.startsWith('°') ? definition.label : ` ${definition.label}`;
+    },
+
+    /**
+     * Convert a wind speed to the Beaufort scale
+     * @param {number} kmh - Wind speed in km/h
+     * @returns {number} Beaufort force 0-12
+     */
+    toBeaufort(kmh) {
+        const force = this.BEAUFORT_LIMITS.findIndex(limit => kmh < limit);
+        return force === -1 ? 12 : force;
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Units;
+}
@@ -0,0 +1,75 @@
+/**
+ * IndraCast - Wind direction helpers
+ * Names compass directions and summarises hourly wind into a wind rose. Directions are
+ * meteorological: the bearing the wind blows from, in degrees clockwise from north.
+ */
+
+const Wind = {
+    COMPASS_POINTS: [
+        { short: 'N', name: 'north' },
+        { short: 'NNE', name: 'north-northeast' },
+        { short: 'NE', name: 'northeast' },
+        { short: 'ENE', name: 'east-northeast' },
+        { short: 'E', name: 'east' },
+        { short: 'ESE', name: 'east-southeast' },
+        { short: 'SE', name: 'southeast' },
+        { short: 'SSE', name: 'south-southeast' },
+        { short: 'S', name: 'south' },
+        { short: 'SSW', name: 'south-southwest' },
+        { short: 'SW', name: 'southwest' },
+        { short: 'WSW', name: 'west-southwest' },
+        { short: 'W', name: 'west' },
+        { short: 'WNW', name: 'west-northwest' },
+        { short: 'NW', name: 'northwest' },
+        { short: 'NNW', name: 'north-northwest' }
+    ],
+
+    // Winds below this speed (km/h, Beaufort force 0) have no meaningful direction
+    CALM: 1,
+
+    /**
+     * Get the 16-point compass direction for a bearing
+     * @param {number} degrees - Direction in degrees
+     * @returns {Object|null} { short, name, index } e.g. { short: 'NNE', name: 'north-northeast', index: 1 }
+     */
+    toCardinal(degrees) {
+        if (!Number.isFinite(degrees)) return null;
+        const index = Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16;
+        return { ...this.COMPASS_POINTS[index], index };
+    },
+
+    /**
+     * Summarise wind directions into a 16-sector wind rose
+     * @param {Array} points - Readings as { wind_direction, wind_speed } (km/h)
+     * @returns {Object} { sectors: [{ short, name, hours, meanSpeed }], calm, total, dominant }
+     *                   where dominant is the most frequent sector, or null when all calm
+     */
+    getRose(points) {
+        const sectors = this.COMPASS_POINTS.map(point => ({ ...point, hours: 0, meanSpeed: 0 }));
+        let calm = 0;
+        let total = 0;
+
+        points.forEach(point => {
+            if (!Number.isFinite(point.wind_direction)) return;
+            total++;
+
+            if (Number.isFinite(point.wind_speed) && point.wind_speed < this.CALM) {
+                calm++;
+                return;
+            }
+
+            const sector = sectors[this.toCardinal(point.wind_direction).index];
+            const speed = Number.isFinite(point.wind_speed) ? point.wind_speed : 0;
+            sector.meanSpeed = (sector.meanSpeed * sector.hours + speed) / (sector.hours + 1);
+            sector.hours++;
+        });
+
+        const dominant = sectors.reduce((best, sector) => sector.hours > (best?.hours || 0) ? sector : best, null);
+        return { sectors, calm, total, dominant };
+    }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Wind;
+}